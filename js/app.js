@@ -20,6 +20,10 @@
  * Module app.
  *
  * @module app
+ * @requires {@link core/storage}
+ * @requires {@link FMRadio/models/radio}
+ * @requires {@link FMRadio/models/backends/simulator}
+ * @requires {@link FMRadio/models/sessions}
  * @requires {@link FMRadio/views/main}
  * @requires {@link FMRadio/views/popup}
  * @namespace FMRadio/app
@@ -28,6 +32,10 @@
 define({
     name: 'app',
     requires: [
+        'core/storage',
+        'models/radio',
+        'models/backends/simulator',
+        'models/sessions',
         'views/main',
         'views/popup'
     ],
@@ -35,12 +43,52 @@ define({
         'use strict';
 
         /**
-         * Main module object.
+         * Storage module object.
          *
          * @private
          * @type {Module}
          */
-        var main = req.views.main,
+        var storage = req.core.storage,
+
+            /**
+             * Main module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            main = req.views.main,
+
+            /**
+             * Radio module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            radio = req.models.radio,
+
+            /**
+             * Simulator module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            simulator = req.models.backends.simulator,
+
+            /**
+             * Sessions module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            sessions = req.models.sessions,
+
+            /**
+             * Is simulated radio used instead of the device radio.
+             *
+             * @private
+             * @type {boolean}
+             */
+            simulated = false,
 
             /**
              * Popup module object.
@@ -55,10 +103,25 @@ define({
          *
          * @private
          */
-        function exitApplication() {
+        function exit() {
+            if (typeof tizen === 'undefined') {
+                window.close();
+                return;
+            }
             tizen.application.getCurrentApplication().exit();
         }
 
+        /**
+         * Closes the application when current session and pending writes
+         * are stored.
+         *
+         * @private
+         */
+        function exitApplication() {
+            sessions.stop();
+            storage.flush().then(exit, exit);
+        }
+
         /**
          * Shows popup with message and exit button.
          *
@@ -76,6 +139,19 @@ define({
             });
         }
 
+        /**
+         * Informs that saved data cannot be read, e.g. when the database
+         * cannot be upgraded, instead of running without it.
+         *
+         * @private
+         * @param {Error} error Error of the storage.
+         */
+        function onStorageError(error) {
+            showExitPopup('Storage error',
+                'Saved data cannot be read (' + error.message + '). ' +
+                'Application will be closed.');
+        }
+
         /**
          * Returns 'true' if device supports radio feature, 'false' otherwise.
          *
@@ -96,13 +172,31 @@ define({
         }
 
         /**
-         * Returns 'true' if device antenna is connected, 'false' otherwise.
+         * Returns 'true' if Tizen radio API is available, 'false' otherwise.
          *
          * @private
-         * @returns {boolean} Is antenna connected.
+         * @returns {boolean}
          */
-        function isAntennaConnected() {
-            return tizen.fmradio.isAntennaConnected;
+        function isRadioApiAvailable() {
+            return typeof tizen !== 'undefined' &&
+                tizen.fmradio !== undefined;
+        }
+
+        /**
+         * Selects radio backend.
+         * Uses simulated radio when Tizen radio API is missing,
+         * e.g. in desktop browser.
+         *
+         * @private
+         */
+        function selectRadioBackend() {
+            simulated = !isRadioApiAvailable();
+            if (simulated) {
+                console.warn('Tizen radio API is missing, radio is simulated.');
+                radio.setBackend(simulator.getManager());
+            } else {
+                radio.setBackend(tizen.fmradio);
+            }
         }
 
         /**
@@ -112,13 +206,13 @@ define({
          */
         function checkRequirements() {
 
-            if (!isRadioSupported()) {
+            if (!simulated && !isRadioSupported()) {
                 showExitPopup('Unsupported device',
                     'This device does not support radio feature.');
                 return false;
             }
 
-            if (!isAntennaConnected()) {
+            if (!radio.isAntennaConnected()) {
                 showExitPopup('Antenna not connected',
                     'Antenna is not connected. Application will be closed.');
                 return false;
@@ -167,13 +261,16 @@ define({
 
         /**
          * Initializes application.
+         * Storage is opened when migrations of all modules are added.
          *
          * @memberof FMRadio/app
          * @public
          */
         function init() {
+            storage.open().then(null, onStorageError);
             window.addEventListener('tizenhwkey', onBackButton);
             scaleSVG();
+            selectRadioBackend();
             if (checkRequirements()) {
                 main.initialize();
             }
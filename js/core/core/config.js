@@ -29,7 +29,9 @@ define({
 
         var properties = {
             'templateDir': 'templates',
-            'templateExtension': '.tpl'
+            'templateExtension': '.tpl',
+            'storageBackends': ['idb', 'local', 'preference', 'memory'],
+            'settingsBackends': ['preference']
         };
 
         /**
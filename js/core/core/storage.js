@@ -0,0 +1,718 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, console*/
+
+/**
+ * Storage module.
+ * Asynchronous key-value storage with collections of records, used
+ * by the application modules regardless of the backend keeping data.
+ * When the storage is opened, the first available backend named
+ * by the storageBackends configuration value is used:
+ * idb ({@link core/storage/idb}) keeps data in IndexedDB,
+ * local ({@link core/storage/local}) in localStorage,
+ * preference ({@link core/storage/preference}) in Tizen preferences,
+ * memory ({@link core/storage/memory}) until the application is closed.
+ * Backends which are not available are skipped, but if the chosen
+ * backend cannot be opened, e.g. its migration fails, the storage
+ * is not opened and the error is reported.
+ *
+ * Small settings are kept in the settings area, which uses the first
+ * available backend named by the settingsBackends configuration value
+ * or the main backend if none is available. Settings stored in the main
+ * backend by older versions are moved to the settings area when read.
+ *
+ * Backend has isAvailable method and open, get, set, remove, keys
+ * and clear methods returning Promises. Backend may have getMany,
+ * setMany and collection methods as well; otherwise they are
+ * implemented on top of the other methods and every collection
+ * is kept as one value.
+ *
+ * Every method returns a Promise settled when the storage is opened
+ * and the operation completes. Failed read of a value is logged
+ * and resolved with undefined, so modules fall back to defaults.
+ * The get, set and remove methods also fire events with the results
+ * for modules listening to them.
+ *
+ * Writes are coalesced: values and collection records written within
+ * the write delay are merged by key and written together when the delay
+ * passes, when the page is hidden or when flush is called. Pending
+ * writes are flushed before reads, so reads return written values.
+ * While the page is hidden, writes are not delayed.
+ * @requires {@link core/config}
+ * @requires {@link core/event}
+ * @requires {@link core/window}
+ * @requires {@link core/storage/idb}
+ * @requires {@link core/storage/local}
+ * @requires {@link core/storage/memory}
+ * @requires {@link core/storage/preference}
+ * @namespace core/storage
+ */
+
+define({
+    name: 'core/storage',
+    requires: [
+        'core/config',
+        'core/event',
+        'core/window',
+        'core/storage/idb',
+        'core/storage/local',
+        'core/storage/memory',
+        'core/storage/preference'
+    ],
+    def: function coreStorage(req) {
+        'use strict';
+
+        var global = req.core.window,
+            Promise = global.Promise,
+            e = req.core.event,
+            config = req.core.config,
+            idb = req.core.storage.idb,
+            backends = {
+                idb: idb.backend,
+                local: req.core.storage.local,
+                preference: req.core.storage.preference,
+                memory: req.core.storage.memory
+            },
+            DEFAULT_BACKENDS = ['idb', 'local', 'preference', 'memory'],
+            DEFAULT_SETTINGS_BACKENDS = ['preference'],
+            COLLECTION_PREFIX = 'collection.',
+            WRITE_DELAY = 500, // ms, time in which writes are merged
+
+            // this module fires the following events
+            EVENT_OPEN = 'open', // storage is open and ready to be used
+            EVENT_READ = 'read', // read request completed
+            EVENT_WRITE = 'write', // write request completed
+            EVENT_REMOVE = 'remove', // remove request completed
+            EVENT_FLUSH = 'flush', // pending writes are written
+            EVENT_ERROR = 'error', // storage cannot be opened
+
+            backend = null,
+            settingsBackend = null, // backend of the settings area
+            opened = false, // open has been requested
+            deferred = {}, // functions settling the ready promise
+            ready = new Promise(function defer(resolve, reject) {
+                deferred.resolve = resolve;
+                deferred.reject = reject;
+            }),
+            collections = {},
+            pendingValues = {}, // values by key, removed values as null
+            pendingSettings = {}, // settings by key, removed as null
+            pendingRecords = {}, // records and removed keys by collection
+            batch = null, // pending writes promise with settle functions
+            timer = null,
+            queue = Promise.resolve(), // the last flush
+            hidden = false, // page is hidden, writes are not delayed
+            stats = {
+                requests: 0, // write requests of the modules
+                writes: 0, // write operations of the backend
+                flushes: 0
+            };
+
+        /**
+         * @memberof core/storage
+         * @return {boolean}
+         */
+        function isReady() {
+            return settingsBackend !== null;
+        }
+
+        /**
+         * Registers a migration step of the IndexedDB backend.
+         * Collections of the backend are object stores created
+         * by migrations.
+         * @memberof core/storage
+         * @see {@link core/storage/idb.addMigration}
+         * @param {number} version Database version.
+         * @param {function} step Migration step.
+         */
+        function addMigration(version, step) {
+            idb.addMigration(version, step);
+        }
+
+        /**
+         * Opens the first available backend.
+         * @param {string[]} names Backend names in order of preference.
+         * @return {Promise} Resolved with the backend name, rejected
+         * if no backend is available or the backend cannot be opened.
+         */
+        function tryBackends(names) {
+            var name = names[0],
+                candidate = backends[name];
+
+            if (!names.length) {
+                return Promise.reject(new Error('No storage is available'));
+            }
+            if (!candidate || !candidate.isAvailable()) {
+                return tryBackends(names.slice(1));
+            }
+            return new Promise(function openBackend(resolve) {
+                resolve(candidate.open());
+            }).then(function getName() {
+                return name;
+            });
+        }
+
+        /**
+         * Opens the storage with the first available backend
+         * and the settings area.
+         * This method fires the core.storage.open event upon completion
+         * or the core.storage.error event if the storage cannot be opened.
+         * Next calls return the same promise.
+         * @memberof core/storage
+         * @return {Promise} Resolved with the backend name, rejected
+         * if no backend is available or the backend cannot be opened.
+         */
+        function open() {
+            var name = '';
+
+            if (opened) {
+                return ready;
+            }
+            opened = true;
+            tryBackends(config.get('storageBackends', DEFAULT_BACKENDS))
+                .then(function openSettings(mainName) {
+                    name = mainName;
+                    return tryBackends(config.get('settingsBackends',
+                        DEFAULT_SETTINGS_BACKENDS))
+                        .then(null, function useMain() {
+                            return mainName;
+                        });
+                }).then(function use(settingsName) {
+                    backend = backends[name];
+                    settingsBackend = backends[settingsName];
+                    deferred.resolve(name);
+                    e.fire(EVENT_OPEN, {
+                        backend: name,
+                        settings: settingsName
+                    });
+                }, function onError(err) {
+                    console.error('Storage cannot be opened: ' + err.message);
+                    deferred.reject(err);
+                    e.fire(EVENT_ERROR, {error: err});
+                });
+            return ready;
+        }
+
+        /**
+         * Calls a backend method when the storage is opened.
+         * @param {string} method Method name.
+         * @param {Array} args Arguments.
+         * @return {Promise} Resolved with the result of the method.
+         */
+        function run(method, args) {
+            return ready.then(function call() {
+                return backend[method].apply(backend, args);
+            });
+        }
+
+        /**
+         * Returns write statistics: number of write requests
+         * of the modules, write operations of the backend and flushes.
+         * @memberof core/storage
+         * @return {object}
+         */
+        function getStats() {
+            return {
+                requests: stats.requests,
+                writes: stats.writes,
+                flushes: stats.flushes
+            };
+        }
+
+        /**
+         * Writes values to the backend, at once if it is supported.
+         * @param {object} target Backend.
+         * @param {object} values Values by key, null for removed values.
+         * @return {Promise[]} Write operations.
+         */
+        function writeValues(target, values) {
+            var removed = [],
+                written = {},
+                writes = [];
+
+            Object.keys(values).forEach(function sort(key) {
+                if (values[key] === null) {
+                    removed.push(key);
+                } else {
+                    written[key] = values[key].value;
+                }
+            });
+            writes = removed.length ? [target.remove(removed)] : [];
+            if (!Object.keys(written).length) {
+                return writes;
+            }
+            if (target.setMany) {
+                return writes.concat(target.setMany(written));
+            }
+            return writes.concat(Object.keys(written).map(function put(key) {
+                return target.set(key, written[key]);
+            }));
+        }
+
+        /**
+         * Writes records to the collection of the backend or, if the
+         * backend has no collections, to the value keeping the records.
+         * @param {string} name Collection name.
+         * @param {object} changes Records and removed keys of the records.
+         * @return {Promise}
+         */
+        function writeRecords(name, changes) {
+            var key = COLLECTION_PREFIX + name,
+                records = Object.keys(changes.records)
+                    .map(function getRecord(id) {
+                        return changes.records[id];
+                    }),
+                removed = Object.keys(changes.removed);
+
+            if (backend.collection) {
+                return backend.collection(name).write(records, removed);
+            }
+            return backend.get(key).then(function update(stored) {
+                stored = stored || {};
+                removed.forEach(function deleteRecord(id) {
+                    delete stored[id];
+                });
+                records.forEach(function putRecord(record) {
+                    stored[record[changes.keyPath]] = record;
+                });
+                return backend.set(key, stored);
+            });
+        }
+
+        /**
+         * Fires write and remove events of the written values.
+         * @param {object} values Values by key, null for removed values.
+         */
+        function notify(values) {
+            Object.keys(values).forEach(function fire(key) {
+                if (values[key] === null) {
+                    e.fire(EVENT_REMOVE, {key: key});
+                } else {
+                    e.fire(EVENT_WRITE, {key: key, value: values[key].value});
+                }
+            });
+        }
+
+        /**
+         * Writes the batch to the backends and fires the events.
+         * @param {object} values Values by key, null for removed values.
+         * @param {object} settings Settings by key, null for removed ones.
+         * @param {object} records Records and removed keys by collection.
+         * @return {Promise} Resolved when everything is written.
+         */
+        function writeBatch(values, settings, records) {
+            var writes = writeValues(backend, values)
+                .concat(writeValues(settingsBackend, settings))
+                .concat(Object.keys(records).map(function write(name) {
+                    return writeRecords(name, records[name]);
+                }));
+
+            stats.writes += writes.length;
+            stats.flushes += 1;
+            return Promise.all(writes).then(function notifyAll() {
+                notify(values);
+                notify(settings);
+                e.fire(EVENT_FLUSH, getStats());
+            });
+        }
+
+        /**
+         * Writes pending values and records now.
+         * Writes of previous flushes complete first.
+         * @memberof core/storage
+         * @return {Promise} Resolved when all pending writes
+         * are written, rejected if any of them fails.
+         */
+        function flush() {
+            var values = pendingValues,
+                settings = pendingSettings,
+                records = pendingRecords,
+                pending = batch,
+                done = null;
+
+            if (pending === null) {
+                return queue;
+            }
+            global.clearTimeout(timer);
+            timer = null;
+            batch = null;
+            pendingValues = {};
+            pendingSettings = {};
+            pendingRecords = {};
+            done = queue.then(function waitForOpen() {
+                return ready;
+            }).then(function write() {
+                return writeBatch(values, settings, records);
+            });
+            queue = done.then(null, function onError(error) {
+                console.error('Storage writes failed: ' + error.message);
+            });
+            done.then(pending.resolve, pending.reject);
+            return done;
+        }
+
+        /**
+         * Flushes pending writes and returns promise of the last flush,
+         * which is resolved even if the writes fail.
+         * @return {Promise}
+         */
+        function whenWritten() {
+            flush();
+            return queue;
+        }
+
+        /**
+         * Counts write request and schedules flush of the pending writes.
+         * Pending writes are flushed at once if the page is hidden.
+         * Failed flush is logged once, so the returned promise may be
+         * ignored by the caller.
+         * @return {Promise} Resolved when the writes are flushed,
+         * rejected if the flush fails.
+         */
+        function schedule() {
+            var promise = null;
+
+            stats.requests += 1;
+            if (batch === null) {
+                batch = {};
+                batch.promise = new Promise(function defer(resolve, reject) {
+                    batch.resolve = resolve;
+                    batch.reject = reject;
+                });
+                batch.promise.then(null, function ignore() {
+                    return undefined;
+                });
+                timer = global.setTimeout(flush, WRITE_DELAY);
+            }
+            promise = batch.promise;
+            if (hidden) {
+                flush();
+            }
+            return promise;
+        }
+
+        /**
+         * Reads value when pending writes are written and fires
+         * the core.storage.read event. Failed read is logged.
+         * @param {string} key Key.
+         * @param {function} read Reads the value from the backend.
+         * @return {Promise} Resolved with the value, undefined
+         * if the key is missing or the read fails.
+         */
+        function readValue(key, read) {
+            return whenWritten().then(function waitForOpen() {
+                return ready;
+            }).then(read).then(function onSuccess(result) {
+                e.fire(EVENT_READ, {key: key, value: result});
+                return result;
+            }, function onFailure(error) {
+                console.error('Storage read of ' + key + ' failed: ' +
+                    error.message);
+                return undefined;
+            });
+        }
+
+        /**
+         * Gets value for given key from the storage.
+         * The method fires the core.storage.read event upon completion.
+         * @memberof core/storage
+         * @param {string} key Key.
+         * @return {Promise} Resolved with the value, undefined
+         * if the key is missing or the read fails.
+         */
+        function get(key) {
+            return readValue(key, function read() {
+                return backend.get(key);
+            });
+        }
+
+        /**
+         * Sets value for given key to the storage.
+         * Value should not be changed until it is written.
+         * The method fires the core.storage.write event when the value
+         * is written.
+         * @memberof core/storage
+         * @param {string} key Key.
+         * @param {*} val Value.
+         * @return {Promise} Resolved when the value is written.
+         */
+        function set(key, val) {
+            pendingValues[key] = {value: val};
+            return schedule();
+        }
+
+        /**
+         * Removes values with given keys from the storage.
+         * The method fires the core.storage.remove event for every key
+         * when it is removed.
+         * @memberof core/storage
+         * @param {string|string[]} context Key name or keys array.
+         * @return {Promise} Resolved when the values are removed.
+         */
+        function remove(context) {
+            [].concat(context).forEach(function addKey(key) {
+                pendingValues[key] = null;
+            });
+            return schedule();
+        }
+
+        /**
+         * Gets values for given keys from the storage.
+         * @memberof core/storage
+         * @param {string[]} list Keys.
+         * @return {Promise} Resolved with the values in order of the keys,
+         * undefined for missing keys.
+         */
+        function getMany(list) {
+            return whenWritten().then(function waitForOpen() {
+                return ready;
+            }).then(function read() {
+                if (backend.getMany) {
+                    return backend.getMany(list);
+                }
+                return Promise.all(list.map(function getValue(key) {
+                    return backend.get(key);
+                }));
+            });
+        }
+
+        /**
+         * Sets values for given keys to the storage.
+         * Values are written at once if the backend supports it.
+         * @memberof core/storage
+         * @param {object} values Values by key.
+         * @return {Promise} Resolved when the values are written.
+         */
+        function setMany(values) {
+            Object.keys(values).forEach(function addValue(key) {
+                pendingValues[key] = {value: values[key]};
+            });
+            return schedule();
+        }
+
+        /**
+         * Gets all keys of the storage, except values of collections.
+         * @memberof core/storage
+         * @return {Promise} Resolved with the keys array.
+         */
+        function keys() {
+            return whenWritten().then(function read() {
+                return run('keys', []);
+            }).then(function filter(list) {
+                return list.filter(function isValue(key) {
+                    return String(key).indexOf(COLLECTION_PREFIX) !== 0;
+                });
+            });
+        }
+
+        /**
+         * Removes all values from the storage. Collections kept
+         * as values are removed too.
+         * @memberof core/storage
+         * @return {Promise} Resolved when the storage is empty.
+         */
+        function clear() {
+            return whenWritten().then(function erase() {
+                return run('clear', []);
+            });
+        }
+
+        /**
+         * Creates collection kept in the backend storage or, if the backend
+         * has no collections, as one value with records by key.
+         * @param {string} name Collection name.
+         * @param {string} keyPath Property with the key of the record.
+         * @return {object}
+         */
+        function createCollection(name, keyPath) {
+            /**
+             * Returns pending changes of the collection.
+             * @return {object}
+             */
+            function getChanges() {
+                if (!pendingRecords[name]) {
+                    pendingRecords[name] = {
+                        keyPath: keyPath,
+                        records: {},
+                        removed: {}
+                    };
+                }
+                return pendingRecords[name];
+            }
+
+            return {
+                getAll: function getAll() {
+                    return whenWritten().then(function waitForOpen() {
+                        return ready;
+                    }).then(function read() {
+                        if (backend.collection) {
+                            return backend.collection(name).getAll();
+                        }
+                        return backend.get(COLLECTION_PREFIX + name)
+                            .then(function toList(records) {
+                                records = records || {};
+                                return Object.keys(records)
+                                    .map(function getRecord(id) {
+                                        return records[id];
+                                    });
+                            });
+                    });
+                },
+                write: function write(records, removedKeys) {
+                    var changes = getChanges();
+
+                    (removedKeys || []).forEach(function removeRecord(id) {
+                        delete changes.records[id];
+                        changes.removed[id] = true;
+                    });
+                    records.forEach(function putRecord(record) {
+                        delete changes.removed[record[keyPath]];
+                        changes.records[record[keyPath]] = record;
+                    });
+                    return schedule();
+                }
+            };
+        }
+
+        /**
+         * Creates Promise API of the settings area with get, getMany,
+         * set and remove methods working like the methods of the storage.
+         * Setting missing in the settings area is read from the main
+         * backend, where older versions kept it, and moved.
+         * @return {object}
+         */
+        function createSettings() {
+            /**
+             * Moves setting stored in the main backend to the settings
+             * area, unless it has been written meanwhile.
+             * @param {string} key Key.
+             * @return {Promise} Resolved with the setting.
+             */
+            function moveSetting(key) {
+                return backend.get(key).then(function move(value) {
+                    if (value !== undefined &&
+                            !pendingSettings.hasOwnProperty(key)) {
+                        pendingSettings[key] = {value: value};
+                        pendingValues[key] = null;
+                        schedule();
+                    }
+                    return value;
+                });
+            }
+
+            /**
+             * Gets setting for given key.
+             * @param {string} key Key.
+             * @return {Promise} Resolved with the setting, undefined
+             * if the key is missing or the read fails.
+             */
+            function get(key) {
+                return readValue(key, function read() {
+                    if (settingsBackend === backend) {
+                        return backend.get(key);
+                    }
+                    return settingsBackend.get(key)
+                        .then(function check(value) {
+                            return value === undefined ?
+                                    moveSetting(key) : value;
+                        });
+                });
+            }
+
+            return {
+                get: get,
+                getMany: function getMany(list) {
+                    return Promise.all(list.map(get));
+                },
+                set: function set(key, val) {
+                    pendingSettings[key] = {value: val};
+                    return schedule();
+                },
+                remove: function remove(key) {
+                    pendingSettings[key] = null;
+                    return schedule();
+                }
+            };
+        }
+
+        /**
+         * Returns Promise API of the collection of records.
+         * The API has getAll method resolved with all records and write
+         * method deleting records with given keys and then putting
+         * given records. Records should not be changed until they are
+         * written. Collections of the IndexedDB backend have to
+         * be created by migrations.
+         * @memberof core/storage
+         * @param {string} name Collection name.
+         * @param {string} keyPath Property with the key of the record.
+         * @return {object}
+         */
+        function collection(name, keyPath) {
+            if (!collections[name]) {
+                collections[name] = createCollection(name, keyPath);
+            }
+            return collections[name];
+        }
+
+        /**
+         * Flushes pending writes when the page is hidden.
+         */
+        function onVisibilityChange() {
+            hidden = global.document.hidden;
+            if (hidden) {
+                flush();
+            }
+        }
+
+        /**
+         * Flushes pending writes when the page is closed.
+         */
+        function onPageHide() {
+            hidden = true;
+            flush();
+        }
+
+        /**
+         * Initializes module.
+         * @memberof core/storage
+         */
+        function init() {
+            global.document.addEventListener('visibilitychange',
+                onVisibilityChange);
+            global.addEventListener('pagehide', onPageHide);
+            global.addEventListener('pageshow', onVisibilityChange);
+        }
+
+        return {
+            init: init,
+            open: open,
+            addMigration: addMigration,
+            isReady: isReady,
+            get: get,
+            set: set,
+            remove: remove,
+            getMany: getMany,
+            setMany: setMany,
+            keys: keys,
+            clear: clear,
+            collection: collection,
+            settings: createSettings(),
+            flush: flush,
+            getStats: getStats
+        };
+    }
+});
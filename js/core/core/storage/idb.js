@@ -18,6 +18,17 @@
 
 /**
  * Simple storage module, implemented using IndexedDB.
+ * It is the preferred backend of {@link core/storage}, which should be
+ * used by the application modules.
+ * The get, set and remove methods return request ids and fire events
+ * with the results for modules listening to them. Other methods,
+ * including getValue, setValue and removeValues, return Promises
+ * settled when their transactions complete.
+ *
+ * Database structure is changed by migrations. Modules add migration
+ * steps for new database versions and the application opens
+ * the database when all modules are defined. Steps of versions newer
+ * than the stored one run inside the upgrade transaction.
  * @requires {@link core/event}
  * @requires {@link core/window}
  * @namespace core/storage/idb
@@ -34,11 +45,11 @@ define({
 
         var global = req.core.window,
             indexedDB = global.indexedDB || global.webkitIndexedDB,
-            IDBKeyRange = global.IDBKeyRange || global.webkitIDBKeyRange,
+            Promise = global.Promise,
             e = req.core.event,
             DB_NAME = 'corestorage',
             STORE_NAME = 'kvstore',
-            VERSION = 5, // increment the value when db structure changes
+            BASE_VERSION = 5, // db version before migrations were added
 
             // this module fires the following events
             EVENT_OPEN = 'open', // db is open and ready to be used
@@ -49,7 +60,14 @@ define({
 
             requestsCounter = -1,
             pending = {},
-            db = null;
+            db = null,
+            opened = false, // open has been requested
+            deferred = {}, // functions settling the ready promise
+            ready = new Promise(function defer(resolve, reject) {
+                deferred.resolve = resolve;
+                deferred.reject = reject;
+            }),
+            migrations = [];
 
         /**
          * @memberof core/storage/idb
@@ -58,6 +76,15 @@ define({
             return db !== null;
         }
 
+        /**
+         * Checks if IndexedDB is supported.
+         * @memberof core/storage/idb
+         * @return {boolean}
+         */
+        function isAvailable() {
+            return !!indexedDB;
+        }
+
         /**
          * Add a request to the list of pending requests.
          * @param {string} eventName
@@ -117,97 +144,335 @@ define({
         }
 
         /**
-         * Creates or updates database structure.
-         * @param {Event} ev
+         * Registers a migration step for given database version.
+         * Steps run in order of versions, steps of the same version
+         * in order of registration. Each step is called with
+         * the migration context described at createContext.
+         * Steps must be added before the database is opened.
+         * @memberof core/storage/idb
+         * @param {number} version Database version, greater than 5.
+         * @param {function} step Migration step.
+         * @throws {Error} If the database is opened or version is invalid.
          */
-        function onUpgradeNeeded(ev) {
-            var resultDb = ev.target.result;
+        function addMigration(version, step) {
+            if (opened) {
+                throw new Error('Migrations must be added before ' +
+                    'the database is opened');
+            }
+            if (version % 1 !== 0 || version <= BASE_VERSION) {
+                throw new Error('Invalid migration version ' + version);
+            }
+            migrations.push({
+                version: version,
+                step: step,
+                order: migrations.length
+            });
+        }
 
-            // a transaction for changing db version starts automatically
-            ev.target.transaction.onerror = onerror;
+        /**
+         * Returns database version required by the registered migrations.
+         * @return {number}
+         */
+        function getVersion() {
+            return migrations.reduce(function max(version, migration) {
+                return Math.max(version, migration.version);
+            }, BASE_VERSION);
+        }
 
-            // remove the existing store and create it again
-            if (resultDb.objectStoreNames.contains(STORE_NAME)) {
-                resultDb.deleteObjectStore(STORE_NAME);
-            }
+        /**
+         * Returns migrations upgrading the database between versions.
+         * @param {number} oldVersion Stored version.
+         * @param {number} newVersion Requested version.
+         * @return {object[]} Migrations in order of running.
+         */
+        function getSteps(oldVersion, newVersion) {
+            return migrations.filter(function isNeeded(migration) {
+                return migration.version > oldVersion &&
+                    migration.version <= newVersion;
+            }).sort(function compare(a, b) {
+                return a.version - b.version || a.order - b.order;
+            });
+        }
 
-            resultDb.createObjectStore(
-                STORE_NAME,
-                {keyPath: 'key'}
-            );
+        /**
+         * Aborts the upgrade transaction after failed migration.
+         * Database keeps the stored version and data.
+         * @param {IDBTransaction} trans Upgrade transaction.
+         * @param {Error} err Error.
+         */
+        function fail(trans, err) {
+            console.error('Migration failed: ' + err.message);
+            trans.abort();
         }
 
         /**
-         * Assigns database object.
-         * This handler is executed right after the upgrade.
-         * This method fires the core.storage.open event upon completion.
+         * Creates context passed to migration steps.
+         * Context has the database, upgrade transaction, old and new
+         * version, name of the key-value store and helpers:
+         * createStore(name, options) creates store if it is missing,
+         * createIndex(storeName, name, keyPath, options) creates index
+         * if it is missing,
+         * transform(storeName, callback) replaces every record with
+         * the value returned by the callback, removes it if null
+         * is returned and keeps it if nothing is returned.
+         * @param {IDBOpenDBRequest} request Open request.
+         * @param {number} oldVersion Stored version.
+         * @param {number} newVersion Requested version.
+         * @return {object}
+         */
+        function createContext(request, oldVersion, newVersion) {
+            var upgradeDb = request.result,
+                trans = request.transaction;
+
+            return {
+                db: upgradeDb,
+                transaction: trans,
+                oldVersion: oldVersion,
+                newVersion: newVersion,
+                keyValueStore: STORE_NAME,
+                createStore: function createStore(name, options) {
+                    if (upgradeDb.objectStoreNames.contains(name)) {
+                        return trans.objectStore(name);
+                    }
+                    return upgradeDb.createObjectStore(name, options);
+                },
+                createIndex: function createIndex(storeName, name, keyPath,
+                        options) {
+                    var store = trans.objectStore(storeName);
+
+                    if (store.indexNames.contains(name)) {
+                        return store.index(name);
+                    }
+                    return store.createIndex(name, keyPath, options);
+                },
+                transform: function transform(storeName, callback) {
+                    trans.objectStore(storeName).openCursor().onsuccess =
+                        function onCursor(ev) {
+                            var cursor = ev.target.result,
+                                value = null;
+
+                            if (!cursor) {
+                                return;
+                            }
+                            try {
+                                value = callback(cursor.value);
+                            } catch (err) {
+                                fail(trans, err);
+                                return;
+                            }
+                            if (value === null) {
+                                cursor.delete();
+                            } else if (value !== undefined) {
+                                cursor.update(value);
+                            }
+                            cursor.continue();
+                        };
+                }
+            };
+        }
+
+        /**
+         * Creates or updates database structure.
+         * The key-value store is created first, then migration steps run.
+         * Failed step aborts the upgrade.
          * @param {Event} ev
          */
-        function onOpenSuccess(ev) {
-            db = ev.target.result;
-            e.fire(EVENT_OPEN);
+        function onUpgradeNeeded(ev) {
+            var request = ev.target,
+                context = createContext(request, ev.oldVersion,
+                    ev.newVersion);
+
+            // a transaction for changing db version starts automatically
+            request.transaction.onerror = onerror;
+
+            try {
+                context.createStore(STORE_NAME, {keyPath: 'key'});
+                getSteps(ev.oldVersion, ev.newVersion)
+                    .forEach(function runStep(migration) {
+                        migration.step(context);
+                    });
+            } catch (err) {
+                fail(request.transaction, err);
+            }
         }
 
         /**
-         * Open the database.
+         * Opens the database and runs the needed migrations.
+         * This method fires the core.storage.open event upon completion.
+         * Next calls return the same promise.
+         * @memberof core/storage/idb
+         * @return {Promise} Resolved with the database, rejected if
+         * the database cannot be opened or the upgrade fails.
          */
         function open() {
+            var request = null;
+
+            if (opened) {
+                return ready;
+            }
+            opened = true;
+            if (!indexedDB) {
+                deferred.reject(new Error('IndexedDB is not available'));
+                return ready;
+            }
+
             // create a request for opening the database
-            var request = indexedDB.open(DB_NAME, VERSION);
+            request = indexedDB.open(DB_NAME, getVersion());
 
             // one or more of the handlers will be called
             // automatically when the current function exits
             request.onupgradeneeded = onUpgradeNeeded;
-            request.onsuccess = onOpenSuccess;
-            request.onerror = onerror;
+            request.onsuccess = function onOpenSuccess(ev) {
+                db = ev.target.result;
+                deferred.resolve(db);
+                e.fire(EVENT_OPEN);
+            };
+            request.onerror = function onOpenError(ev) {
+                onerror(ev);
+                deferred.reject(ev.target.error);
+            };
+            return ready;
+        }
+
+        /**
+         * Runs a transaction on the store when the database is opened.
+         * The callback makes requests and returns a function reading
+         * their results, which is called when the transaction completes.
+         * @param {string} storeName Store name.
+         * @param {string} mode Transaction mode.
+         * @param {function} callback Called with the store.
+         * @return {Promise} Resolved with the result, rejected with
+         * the transaction error.
+         */
+        function transact(storeName, mode, callback) {
+            return ready.then(function run() {
+                return new Promise(function execute(resolve, reject) {
+                    var trans = db.transaction([storeName], mode),
+                        getResult = callback(trans.objectStore(storeName));
+
+                    trans.oncomplete = function onComplete() {
+                        resolve(getResult());
+                    };
+                    trans.onerror = function onError(ev) {
+                        reject(ev.target.error);
+                    };
+                    trans.onabort = function onAbort() {
+                        reject(trans.error || new Error('Transaction aborted'));
+                    };
+                });
+            });
+        }
+
+        /**
+         * Settles a pending request of the event API.
+         * Fires the event with the result or logs the error.
+         * @param {Promise} promise Request promise.
+         * @param {number} id Request id.
+         * @param {function} getData Returns event data for the result.
+         */
+        function settle(promise, id, getData) {
+            var request = getPendingRequest(id);
+
+            promise.then(function onSuccess(result) {
+                e.fire(request.eventName, getData(result));
+                removePendingRequest(id);
+            }, function onFailure(error) {
+                console.error(error.message);
+                removePendingRequest(id);
+            });
+        }
+
+        /**
+         * Reads record with given key.
+         * @param {string} key Key.
+         * @return {Promise} Resolved with the record, undefined
+         * if the key is missing.
+         */
+        function readRecord(key) {
+            return transact(STORE_NAME, 'readonly', function read(store) {
+                var request = store.get(key);
+
+                return function getRecord() {
+                    return request.result;
+                };
+            });
+        }
+
+        /**
+         * Gets value for given key from the storage.
+         * @memberof core/storage/idb
+         * @param {string} key Key.
+         * @return {Promise} Resolved with the value, undefined
+         * if the key is missing.
+         */
+        function getValue(key) {
+            return readRecord(key).then(function toValue(result) {
+                return result && result.value;
+            });
         }
 
         /**
          * Gets value for given key from the storage.
-         * The method fires the core.storage.read event upon completion.
+         * The method fires the core.storage.read event upon completion,
+         * with error named StorageNotFoundError if the key is missing.
          * @memberof core/storage/idb
          * @param {string} key Key.
          * @return {number} Request id.
          */
         function get(key) {
-            var trans = db.transaction([STORE_NAME], 'readwrite'),
-                store = trans.objectStore(STORE_NAME),
+            var id = addPendingRequest(EVENT_READ, key);
 
-                // Find the key in the store
-                keyRange = IDBKeyRange.only(key),
-                id = addPendingRequest(EVENT_READ, key),
-                cursorRequest = store.openCursor(keyRange);
+            settle(readRecord(key), id, function toData(result) {
+                var error = null;
 
-            cursorRequest.onsuccess = function onCursorOpenSuccess(ev) {
-                var error = null,
-                    cursor = ev.target.result;
-
-                if (!cursor) {
+                if (result === undefined) {
                     error = new Error('No records returned');
                     error.name = 'StorageNotFoundError';
-
-                    e.fire(EVENT_READ, {
-                        id: id,
-                        key: key,
-                        error: error
-                    });
-                    removePendingRequest(id);
-                } else {
-                    e.fire(EVENT_READ, {
-                        id: id,
-                        key: cursor.value.key,
-                        value: cursor.value.value
-                    });
+                    return {id: id, key: key, error: error};
                 }
-                removePendingRequest(id);
-            };
+                return {id: id, key: result.key, value: result.value};
+            });
+            return id;
+        }
 
-            cursorRequest.onerror = function onCursorOpenError(err) {
-                removePendingRequest(id);
-                console.error(err.target.error.message);
-            };
+        /**
+         * Gets values for given keys from the storage in one transaction.
+         * @memberof core/storage/idb
+         * @param {string[]} list Keys.
+         * @return {Promise} Resolved with the values in order of the keys,
+         * undefined for missing keys.
+         */
+        function getMany(list) {
+            return transact(STORE_NAME, 'readonly', function read(store) {
+                var requests = list.map(function request(key) {
+                    return store.get(key);
+                });
+
+                return function getValues() {
+                    return requests.map(function getValue(request) {
+                        return request.result && request.result.value;
+                    });
+                };
+            });
+        }
 
-            return id;
+        /**
+         * Sets value for given key to the storage.
+         * @memberof core/storage/idb
+         * @param {string} key Key.
+         * @param {object} val Value object.
+         * @return {Promise} Resolved when the value is written.
+         */
+        function setValue(key, val) {
+            return transact(STORE_NAME, 'readwrite', function write(store) {
+                store.put({
+                    key: key,
+                    value: val
+                });
+                return function getResult() {
+                    return undefined;
+                };
+            });
         }
 
         /**
@@ -216,91 +481,186 @@ define({
          * @memberof core/storage/idb
          * @param {string} key Key.
          * @param {object} val Value object.
-         * @return {boolean}
+         * @return {number} Request id.
          */
         function set(key, val) {
-            var trans = db.transaction([STORE_NAME], 'readwrite'),
-                store = trans.objectStore(STORE_NAME),
-                request = store.put({
-                    key: key,
-                    value: val
-                }),
-                id = addPendingRequest(EVENT_WRITE, key, val);
+            var id = addPendingRequest(EVENT_WRITE, key, val);
 
-            request.onsuccess = function onPutSuccess() {
-                e.fire(
-                    EVENT_WRITE,
-                    {id: id, key: key, value: val}
-                );
-                removePendingRequest(id);
-            };
+            settle(setValue(key, val), id, function toData() {
+                return {id: id, key: key, value: val};
+            });
+            return id;
+        }
 
-            request.onerror = function onPutError(err) {
-                console.error(err.target.error.message);
-                removePendingRequest(id);
-            };
+        /**
+         * Sets values for given keys to the storage in one transaction.
+         * No value is written if any of the writes fails.
+         * @memberof core/storage/idb
+         * @param {object} values Values by key.
+         * @return {Promise} Resolved when the values are written.
+         */
+        function setMany(values) {
+            return transact(STORE_NAME, 'readwrite', function write(store) {
+                Object.keys(values).forEach(function put(key) {
+                    store.put({
+                        key: key,
+                        value: values[key]
+                    });
+                });
+                return function getResult() {
+                    return undefined;
+                };
+            });
+        }
 
-            return id;
+        /**
+         * Removes values with given keys from the storage
+         * in one transaction.
+         * @memberof core/storage/idb
+         * @param {string|string[]} context Key name or keys array.
+         * @return {Promise} Resolved when the values are removed.
+         */
+        function removeValues(context) {
+            var list = [].concat(context);
+
+            return transact(STORE_NAME, 'readwrite', function erase(store) {
+                list.forEach(function deleteKey(key) {
+                    store.delete(key);
+                });
+                return function getResult() {
+                    return undefined;
+                };
+            });
         }
 
         /**
-         * Removes value with given key from the storage.
-         * The method fires the core.storage.remove event upon completion.
-         * @param {string} key Key name.
-         * @return {number} id Id.
+         * Removes values with given keys from the storage.
+         * The method fires the core.storage.remove event for every key
+         * upon completion.
+         * @memberof core/storage/idb
+         * @param {string|string[]} context Key name or keys array.
+         * @return {number|number[]} Request id or ids array.
          */
-        function removeItem(key) {
-            var trans = db.transaction([STORE_NAME], 'readwrite'),
-                store = trans.objectStore(STORE_NAME),
-                id = addPendingRequest(EVENT_REMOVE, key),
-                request = store.delete(key);
-
-            request.onsuccess = function onDeleteSuccess() {
-                e.fire(EVENT_REMOVE, {id: id, key: key});
-                removePendingRequest(id);
-            };
+        function remove(context) {
+            var list = [].concat(context),
+                ids = list.map(function addRequest(key) {
+                    return addPendingRequest(EVENT_REMOVE, key);
+                }),
+                done = removeValues(list);
 
-            request.onerror = function onDeleteError(err) {
-                console.error(err.target.error.message);
-                removePendingRequest(id);
-            };
-            return id;
+            ids.forEach(function settleRequest(id, i) {
+                settle(done, id, function toData() {
+                    return {id: id, key: list[i]};
+                });
+            });
+            return Array.isArray(context) ? ids : ids[0];
         }
 
         /**
-         * Removes keys from given array.
-         * @param {string[]} keys Key array.
+         * Gets all keys of the storage.
+         * @memberof core/storage/idb
+         * @return {Promise} Resolved with the keys array.
          */
-        function removeItems(keys) {
-            var ids = [];
-            keys.forEach(function forEach(key) {
-                ids.push(removeItem(key));
+        function keys() {
+            return transact(STORE_NAME, 'readonly', function read(store) {
+                var result = [];
+
+                store.openCursor().onsuccess = function onCursor(ev) {
+                    var cursor = ev.target.result;
+
+                    if (cursor) {
+                        result.push(cursor.key);
+                        cursor.continue();
+                    }
+                };
+                return function getResult() {
+                    return result;
+                };
             });
-            return ids;
         }
 
         /**
-         * Removes value for given context.
+         * Removes all values from the storage.
          * @memberof core/storage/idb
-         * @param {string|array} context Key name or keys array.
-         * @return {number|array} id Id or ids array.
+         * @return {Promise} Resolved when the storage is empty.
          */
-        function remove(context) {
-            var id = -1;
-            if (typeof context === 'string') {
-                id = removeItem(context);
-            } else if (Array.isArray(context)) {
-                id = removeItems(context);
-            }
-            return id;
+        function clear() {
+            return transact(STORE_NAME, 'readwrite', function erase(store) {
+                store.clear();
+                return function getResult() {
+                    return undefined;
+                };
+            });
         }
 
-        function init() {
-            open();
+        /**
+         * Returns Promise API of the object store added by migrations.
+         * The API has getAll method resolved with all records
+         * and write method deleting and then putting records
+         * in one transaction. Records are keyed by the key path
+         * of the store.
+         * @memberof core/storage/idb
+         * @param {string} name Store name.
+         * @return {object}
+         */
+        function collection(name) {
+            return {
+                getAll: function getAll() {
+                    return transact(name, 'readonly', function read(store) {
+                        var records = [];
+
+                        store.openCursor().onsuccess = function onCursor(ev) {
+                            var cursor = ev.target.result;
+
+                            if (cursor) {
+                                records.push(cursor.value);
+                                cursor.continue();
+                            }
+                        };
+                        return function getResult() {
+                            return records;
+                        };
+                    });
+                },
+                write: function write(records, removedKeys) {
+                    return transact(name, 'readwrite', function put(store) {
+                        (removedKeys || []).forEach(function deleteKey(key) {
+                            store.delete(key);
+                        });
+                        records.forEach(function putRecord(record) {
+                            store.put(record);
+                        });
+                        return function getResult() {
+                            return undefined;
+                        };
+                    });
+                }
+            };
         }
 
         return {
-            init: init,
+            isAvailable: isAvailable,
+            open: open,
+            collection: collection,
+            addMigration: addMigration,
+            /**
+             * Backend of {@link core/storage}, with get, set and remove
+             * methods returning Promises instead of request ids.
+             * @memberof core/storage/idb
+             * @type {object}
+             */
+            backend: {
+                isAvailable: isAvailable,
+                open: open,
+                get: getValue,
+                set: setValue,
+                remove: removeValues,
+                getMany: getMany,
+                setMany: setMany,
+                keys: keys,
+                clear: clear,
+                collection: collection
+            },
             getPendingRequest: getPendingRequest,
             hasPendingRequests: hasPendingRequests,
             isReady: isReady,
@@ -313,7 +673,14 @@ define({
              */
             add: set,
             set: set,
-            remove: remove
+            remove: remove,
+            getMany: getMany,
+            setMany: setMany,
+            keys: keys,
+            getValue: getValue,
+            setValue: setValue,
+            removeValues: removeValues,
+            clear: clear
         };
     }
 });
@@ -0,0 +1,169 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define*/
+
+/**
+ * Storage backend of {@link core/storage} keeping values in localStorage.
+ * Values are stored as JSON under prefixed keys, so other localStorage
+ * items are not affected.
+ * @requires {@link core/window}
+ * @namespace core/storage/local
+ */
+
+define({
+    name: 'core/storage/local',
+    requires: [
+        'core/window'
+    ],
+    def: function coreStorageLocal(global) {
+        'use strict';
+
+        var Promise = global.Promise,
+            PREFIX = 'corestorage.',
+            TEST_KEY = PREFIX + 'test';
+
+        /**
+         * Runs an operation on localStorage and returns a Promise
+         * of its result.
+         * @param {function} operation Called with localStorage.
+         * @return {Promise} Rejected if the operation throws,
+         * e.g. when the quota is exceeded.
+         */
+        function run(operation) {
+            return new Promise(function execute(resolve) {
+                resolve(operation(global.localStorage));
+            });
+        }
+
+        /**
+         * Returns stored keys of the storage.
+         * @param {Storage} localStorage
+         * @return {string[]} Keys without prefix.
+         */
+        function getKeys(localStorage) {
+            var result = [],
+                key = '',
+                i = 0;
+
+            for (i = 0; i < localStorage.length; i += 1) {
+                key = localStorage.key(i);
+                if (key.indexOf(PREFIX) === 0 && key !== TEST_KEY) {
+                    result.push(key.substr(PREFIX.length));
+                }
+            }
+            return result;
+        }
+
+        /**
+         * Checks if localStorage is supported and writable.
+         * @memberof core/storage/local
+         * @return {boolean}
+         */
+        function isAvailable() {
+            try {
+                global.localStorage.setItem(TEST_KEY, '1');
+                global.localStorage.removeItem(TEST_KEY);
+                return true;
+            } catch (err) {
+                return false;
+            }
+        }
+
+        /**
+         * Nothing has to be opened.
+         * @memberof core/storage/local
+         * @return {Promise}
+         */
+        function open() {
+            return Promise.resolve();
+        }
+
+        /**
+         * Gets value for given key.
+         * @memberof core/storage/local
+         * @param {string} key Key.
+         * @return {Promise} Resolved with the value, undefined
+         * if the key is missing.
+         */
+        function get(key) {
+            return run(function read(localStorage) {
+                var json = localStorage.getItem(PREFIX + key);
+
+                return json === null ? undefined : JSON.parse(json);
+            });
+        }
+
+        /**
+         * Sets value for given key.
+         * @memberof core/storage/local
+         * @param {string} key Key.
+         * @param {*} val Value.
+         * @return {Promise}
+         */
+        function set(key, val) {
+            return run(function write(localStorage) {
+                localStorage.setItem(PREFIX + key, JSON.stringify(val));
+            });
+        }
+
+        /**
+         * Removes values with given keys.
+         * @memberof core/storage/local
+         * @param {string|string[]} context Key name or keys array.
+         * @return {Promise}
+         */
+        function remove(context) {
+            return run(function erase(localStorage) {
+                [].concat(context).forEach(function deleteKey(key) {
+                    localStorage.removeItem(PREFIX + key);
+                });
+            });
+        }
+
+        /**
+         * Gets all keys.
+         * @memberof core/storage/local
+         * @return {Promise} Resolved with the keys array.
+         */
+        function keys() {
+            return run(getKeys);
+        }
+
+        /**
+         * Removes all values.
+         * @memberof core/storage/local
+         * @return {Promise}
+         */
+        function clear() {
+            return run(function erase(localStorage) {
+                getKeys(localStorage).forEach(function deleteKey(key) {
+                    localStorage.removeItem(PREFIX + key);
+                });
+            });
+        }
+
+        return {
+            isAvailable: isAvailable,
+            open: open,
+            get: get,
+            set: set,
+            remove: remove,
+            keys: keys,
+            clear: clear
+        };
+    }
+});
@@ -0,0 +1,142 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define*/
+
+/**
+ * In-memory storage backend of {@link core/storage}.
+ * Values are kept as JSON, so they are copied the same way
+ * as by persistent backends, and are lost when the application
+ * is closed. Used when no other backend is available and in tests.
+ * @requires {@link core/window}
+ * @namespace core/storage/memory
+ */
+
+define({
+    name: 'core/storage/memory',
+    requires: [
+        'core/window'
+    ],
+    def: function coreStorageMemory(global) {
+        'use strict';
+
+        var Promise = global.Promise,
+            values = Object.create(null);
+
+        /**
+         * Runs an operation and returns a Promise of its result.
+         * @param {function} operation
+         * @return {Promise} Rejected if the operation throws.
+         */
+        function run(operation) {
+            return new Promise(function execute(resolve) {
+                resolve(operation());
+            });
+        }
+
+        /**
+         * Memory is always available.
+         * @memberof core/storage/memory
+         * @return {boolean}
+         */
+        function isAvailable() {
+            return true;
+        }
+
+        /**
+         * Nothing has to be opened.
+         * @memberof core/storage/memory
+         * @return {Promise}
+         */
+        function open() {
+            return Promise.resolve();
+        }
+
+        /**
+         * Gets value for given key.
+         * @memberof core/storage/memory
+         * @param {string} key Key.
+         * @return {Promise} Resolved with the value, undefined
+         * if the key is missing.
+         */
+        function get(key) {
+            return run(function read() {
+                var json = values[key];
+
+                return json === undefined ? undefined : JSON.parse(json);
+            });
+        }
+
+        /**
+         * Sets value for given key.
+         * @memberof core/storage/memory
+         * @param {string} key Key.
+         * @param {*} val Value.
+         * @return {Promise}
+         */
+        function set(key, val) {
+            return run(function write() {
+                values[key] = JSON.stringify(val);
+            });
+        }
+
+        /**
+         * Removes values with given keys.
+         * @memberof core/storage/memory
+         * @param {string|string[]} context Key name or keys array.
+         * @return {Promise}
+         */
+        function remove(context) {
+            return run(function erase() {
+                [].concat(context).forEach(function deleteKey(key) {
+                    delete values[key];
+                });
+            });
+        }
+
+        /**
+         * Gets all keys.
+         * @memberof core/storage/memory
+         * @return {Promise} Resolved with the keys array.
+         */
+        function keys() {
+            return run(function read() {
+                return Object.keys(values);
+            });
+        }
+
+        /**
+         * Removes all values.
+         * @memberof core/storage/memory
+         * @return {Promise}
+         */
+        function clear() {
+            return run(function erase() {
+                values = Object.create(null);
+            });
+        }
+
+        return {
+            isAvailable: isAvailable,
+            open: open,
+            get: get,
+            set: set,
+            remove: remove,
+            keys: keys,
+            clear: clear
+        };
+    }
+});
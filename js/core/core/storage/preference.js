@@ -0,0 +1,161 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define*/
+
+/**
+ * Storage backend of {@link core/storage} keeping values
+ * in the Tizen application preferences.
+ * Preferences are meant for small settings, so this backend keeps
+ * the settings area of the storage and follows IndexedDB
+ * and localStorage in the default order of the main backends.
+ * Values are stored as JSON under prefixed keys.
+ * @requires {@link core/window}
+ * @namespace core/storage/preference
+ */
+
+define({
+    name: 'core/storage/preference',
+    requires: [
+        'core/window'
+    ],
+    def: function coreStoragePreference(global) {
+        'use strict';
+
+        var Promise = global.Promise,
+            PREFIX = 'corestorage.';
+
+        /**
+         * Runs an operation on tizen.preference and returns a Promise
+         * of its result.
+         * @param {function} operation Called with tizen.preference.
+         * @return {Promise} Rejected if the operation throws.
+         */
+        function run(operation) {
+            return new Promise(function execute(resolve) {
+                resolve(operation(global.tizen.preference));
+            });
+        }
+
+        /**
+         * Checks if tizen.preference is supported.
+         * @memberof core/storage/preference
+         * @return {boolean}
+         */
+        function isAvailable() {
+            return global.tizen !== undefined && !!global.tizen.preference;
+        }
+
+        /**
+         * Nothing has to be opened.
+         * @memberof core/storage/preference
+         * @return {Promise}
+         */
+        function open() {
+            return Promise.resolve();
+        }
+
+        /**
+         * Gets value for given key.
+         * @memberof core/storage/preference
+         * @param {string} key Key.
+         * @return {Promise} Resolved with the value, undefined
+         * if the key is missing.
+         */
+        function get(key) {
+            return run(function read(preference) {
+                if (!preference.exists(PREFIX + key)) {
+                    return undefined;
+                }
+                return JSON.parse(preference.getValue(PREFIX + key));
+            });
+        }
+
+        /**
+         * Sets value for given key.
+         * @memberof core/storage/preference
+         * @param {string} key Key.
+         * @param {*} val Value.
+         * @return {Promise}
+         */
+        function set(key, val) {
+            return run(function write(preference) {
+                preference.setValue(PREFIX + key, JSON.stringify(val));
+            });
+        }
+
+        /**
+         * Removes values with given keys.
+         * @memberof core/storage/preference
+         * @param {string|string[]} context Key name or keys array.
+         * @return {Promise}
+         */
+        function remove(context) {
+            return run(function erase(preference) {
+                [].concat(context).forEach(function deleteKey(key) {
+                    if (preference.exists(PREFIX + key)) {
+                        preference.remove(PREFIX + key);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Gets all keys.
+         * @memberof core/storage/preference
+         * @return {Promise} Resolved with the keys array.
+         */
+        function keys() {
+            return new Promise(function read(resolve, reject) {
+                global.tizen.preference.getAll(function onSuccess(data) {
+                    resolve(data.map(function getKey(item) {
+                        return item.key;
+                    }).filter(function isOwn(key) {
+                        return key.indexOf(PREFIX) === 0;
+                    }).map(function removePrefix(key) {
+                        return key.substr(PREFIX.length);
+                    }));
+                }, function onError(err) {
+                    // there are no preferences at all
+                    if (err.name === 'NotFoundError') {
+                        resolve([]);
+                    } else {
+                        reject(err);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Removes all values.
+         * @memberof core/storage/preference
+         * @return {Promise}
+         */
+        function clear() {
+            return keys().then(remove);
+        }
+
+        return {
+            isAvailable: isAvailable,
+            open: open,
+            get: get,
+            set: set,
+            remove: remove,
+            keys: keys,
+            clear: clear
+        };
+    }
+});
@@ -102,6 +102,7 @@ define({
 
         /**
          * Generates code for template variable in loop.
+         * Value is HTML-escaped.
          * @param {string} match The matched substring.
          * @param {string} $1 First submatch (property).
          * @param {string} $2 Second submatch (modifier prop).
@@ -110,12 +111,13 @@ define({
          */
         function templateLoopVariable(match, $1, $2, $3) {
             var prop = ($1 !== undefined) ? $1 : '',
-                ret = '\'+d[i]' + prop + '+\'';
+                ret = '\'+this.escape(d[i]' + prop + ')+\'';
 
             // Check if the modifier is a function
             if ($3 !== undefined) {
                 if (typeof text[$3] === 'function') {
-                    ret = '\'+this.' + $3 + '(d[i]' + prop + ')+\'';
+                    ret = '\'+this.escape(this.' + $3 + '(d[i]' + prop +
+                        '))+\'';
                 } else {
                     console.error('Modifier \'' + $3 + '\' is not implemented');
                 }
@@ -162,6 +164,7 @@ define({
 
         /**
          * Generates code for template variable.
+         * Value is HTML-escaped.
          * @param {string} match The matched substring.
          * @param {string} $1 First submatch (property).
          * @param {string} $2 Second submatch (modifier prop).
@@ -169,12 +172,13 @@ define({
          * @return {string}
          */
         function templateVariable(match, $1, $2, $3) {
-            var ret = '\'+data.' + $1 + '+\'';
+            var ret = '\'+this.escape(data.' + $1 + ')+\'';
 
             // Check if the modifier is a function
             if ($3 !== undefined) {
                 if (typeof text[$3] === 'function') {
-                    ret = '\' + this.' + $3 + '(data.' + $1 + ') +\'';
+                    ret = '\' + this.escape(this.' + $3 + '(data.' + $1 +
+                        ')) +\'';
                 } else {
                     console.error('Modifier \'' + $3 + '\' is not implemented');
                 }
@@ -356,6 +360,7 @@ define({
 
         /**
          * Returns template in html format.
+         * Values of variables are HTML-escaped, so they cannot add markup.
          * @memberof core/template
          *
          * @example
@@ -30,7 +30,151 @@ define({
     def: function coreText(window) {
         'use strict';
 
-        var str = window.String.prototype;
+        var str = window.String.prototype,
+
+            /**
+             * Ranges of code points joined with the preceding character
+             * into one grapheme cluster: combining marks, Hangul vowels
+             * and final consonants, kana sound marks, variation selectors,
+             * zero width joiner, emoji modifiers and tags.
+             * @const {number[][]}
+             */
+            EXTENDING_RANGES = [
+                [0x0300, 0x036F], [0x0483, 0x0489], [0x0591, 0x05BD],
+                [0x0610, 0x061A], [0x064B, 0x065F], [0x0900, 0x0903],
+                [0x093A, 0x094F], [0x0E31, 0x0E31], [0x0E34, 0x0E3A],
+                [0x0E47, 0x0E4E], [0x1160, 0x11FF], [0x1AB0, 0x1AFF],
+                [0x1DC0, 0x1DFF], [0x200D, 0x200D], [0x20D0, 0x20FF],
+                [0x3099, 0x309A], [0xFE00, 0xFE0F], [0xFE20, 0xFE2F],
+                [0x1F3FB, 0x1F3FF], [0xE0020, 0xE007F]
+            ],
+
+            /**
+             * Zero width joiner code point.
+             * @const {number}
+             */
+            ZWJ = 0x200D,
+
+            /**
+             * HTML entities of characters with special meaning in markup.
+             * @const {object}
+             */
+            HTML_ENTITIES = {
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                '\'': '&#39;'
+            };
+
+        /**
+         * Returns 'true' if code point is a regional indicator used
+         * in pairs for flags, 'false' otherwise.
+         * @param {number} code Code point.
+         * @return {boolean}
+         */
+        function isRegionalIndicator(code) {
+            return code >= 0x1F1E6 && code <= 0x1F1FF;
+        }
+
+        /**
+         * Returns 'true' if code point extends preceding grapheme cluster,
+         * 'false' otherwise.
+         * @param {number} code Code point.
+         * @return {boolean}
+         */
+        function isExtending(code) {
+            return EXTENDING_RANGES.some(function inRange(range) {
+                return code >= range[0] && code <= range[1];
+            });
+        }
+
+        /**
+         * Returns code point of the character starting at given index.
+         * @param {string} txt Text.
+         * @param {number} index Index of UTF-16 code unit.
+         * @return {number}
+         */
+        function codePointAt(txt, index) {
+            var high = txt.charCodeAt(index),
+                low = txt.charCodeAt(index + 1);
+
+            if (high >= 0xD800 && high <= 0xDBFF &&
+                    low >= 0xDC00 && low <= 0xDFFF) {
+                return (high - 0xD800) * 0x400 + low - 0xDC00 + 0x10000;
+            }
+            return high;
+        }
+
+        /**
+         * Returns 'true' if code point continues the last grapheme cluster,
+         * 'false' otherwise.
+         * @param {string} last Last grapheme cluster.
+         * @param {number} previous Previous code point.
+         * @param {number} code Code point.
+         * @return {boolean}
+         */
+        function continues(last, previous, code) {
+            if (isExtending(code) || previous === ZWJ) {
+                return true;
+            }
+            return isRegionalIndicator(code) && last.length === 2 &&
+                isRegionalIndicator(codePointAt(last, 0));
+        }
+
+        /**
+         * This is used to split a text into user-perceived characters
+         * (grapheme clusters). Characters combined by marks, emoji
+         * sequences and flags are kept together.
+         * @memberof core/text
+         * @param {string} txt Text to split.
+         * @return {string[]} Grapheme clusters.
+         */
+        function graphemes(txt) {
+            var clusters = [],
+                index = 0,
+                code = 0,
+                size = 0,
+                previous = 0,
+                last = '';
+
+            while (index < txt.length) {
+                code = codePointAt(txt, index);
+                size = code > 0xFFFF ? 2 : 1;
+                last = clusters[clusters.length - 1];
+                if (last !== undefined && continues(last, previous, code)) {
+                    clusters[clusters.length - 1] +=
+                        txt.substr(index, size);
+                } else {
+                    clusters.push(txt.substr(index, size));
+                }
+                previous = code;
+                index += size;
+            }
+            return clusters;
+        }
+
+        /**
+         * This is used to count user-perceived characters of a text.
+         * @memberof core/text
+         * @param {string} txt Text to measure.
+         * @return {number} Number of grapheme clusters.
+         */
+        function length(txt) {
+            return graphemes(txt).length;
+        }
+
+        /**
+         * This is used to cut a text to given number of user-perceived
+         * characters without splitting any of them.
+         * @memberof core/text
+         * @param {string} txt Text to modify.
+         * @param {number} max Maximal number of grapheme clusters.
+         * @return {string} Modified text.
+         */
+        function truncate(txt, max) {
+            return graphemes(txt).slice(0, Math.max(max, 0)).join('');
+        }
 
         /**
          * This is used to trim a text.
@@ -62,10 +206,27 @@ define({
             return str.toLowerCase.call(txt);
         }
 
+        /**
+         * This is used to escape a text inserted into HTML markup.
+         * Template variables are escaped by default.
+         * @memberof core/text
+         * @param {*} txt Text to modify.
+         * @return {string} Modified text.
+         */
+        function escapeHtml(txt) {
+            return String(txt).replace(/[&<>"']/g, function toEntity(chr) {
+                return HTML_ENTITIES[chr];
+            });
+        }
+
         return {
+            escape: escapeHtml,
             trim: trim,
             upper: upper,
-            lower: lower
+            lower: lower,
+            graphemes: graphemes,
+            length: length,
+            truncate: truncate
         };
     }
 });
@@ -0,0 +1,625 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tizen, console*/
+
+/**
+ * Module alarms.
+ * Wake-up alarms relaunching the application tuned to chosen station.
+ *
+ * @module models/alarms
+ * @requires {@link core/event}
+ * @requires {@link core/storage}
+ * @requires {@link core/window}
+ * @requires {@link FMRadio/models/radio}
+ * @requires {@link FMRadio/models/stations}
+ * @requires {@link FMRadio/models/volume}
+ * @namespace FMRadio/models/alarms
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/alarms',
+    requires: [
+        'core/event',
+        'core/storage',
+        'core/window',
+        'models/radio',
+        'models/stations',
+        'models/volume'
+    ],
+    def: function modelsAlarms(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Storage module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            storage = req.core.storage,
+
+            /**
+             * Window object.
+             *
+             * @private
+             * @type {Window}
+             */
+            window = req.core.window,
+
+            /**
+             * Radio module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            radio = req.models.radio,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Volume module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            volume = req.models.volume,
+
+            /**
+             * Database key of the alarm list.
+             *
+             * @private
+             * @const {string}
+             */
+            DB_KEY = 'alarms',
+
+            /**
+             * Key of the application control data holding alarm id.
+             *
+             * @private
+             * @const {string}
+             */
+            APP_CONTROL_KEY = 'alarmId',
+
+            /**
+             * Application control operation launching the application.
+             *
+             * @private
+             * @const {string}
+             */
+            APP_CONTROL_OPERATION =
+                'http://tizen.org/appcontrol/operation/default',
+
+            /**
+             * Snooze duration in minutes.
+             *
+             * @memberof FMRadio/models/alarms
+             * @public
+             * @const {number}
+             */
+            SNOOZE_MINUTES = 9,
+
+            /**
+             * List of alarms.
+             *
+             * @private
+             * @type {object[]}
+             */
+            alarmList = [],
+
+            /**
+             * Id of the alarm requested by application control
+             * before alarm list has been read.
+             *
+             * @private
+             * @type {number}
+             */
+            pendingAlarmId = null,
+
+            /**
+             * Volume level set by the user before the alarm started
+             * playing, null if no alarm is playing.
+             *
+             * @private
+             * @type {number}
+             */
+            userVolume = null,
+
+            /**
+             * Timeouts of snoozed alarms by alarm id, used when Tizen
+             * alarm API is missing.
+             *
+             * @private
+             * @type {object}
+             */
+            snoozeTimeouts = {},
+
+            /**
+             * Has missing Tizen alarm API been reported.
+             *
+             * @private
+             * @type {boolean}
+             */
+            apiWarned = false;
+
+        /**
+         * Returns 'true' if Tizen alarm API is available, 'false' otherwise.
+         *
+         * @private
+         * @returns {boolean}
+         */
+        function isAlarmApiAvailable() {
+            return typeof tizen !== 'undefined' && tizen.alarm !== undefined;
+        }
+
+        /**
+         * Saves alarm list to database.
+         *
+         * @private
+         */
+        function saveToDatabase() {
+            storage.set(DB_KEY, JSON.stringify(alarmList));
+        }
+
+        /**
+         * Returns the nearest date of given time of the day.
+         *
+         * @private
+         * @param {string} time Time in HH:MM format.
+         * @returns {Date}
+         */
+        function getNextDate(time) {
+            var parts = time.split(':'),
+                date = new Date();
+
+            date.setHours(Number(parts[0]), Number(parts[1]), 0, 0);
+            if (date.getTime() <= Date.now()) {
+                date.setDate(date.getDate() + 1);
+            }
+            return date;
+        }
+
+        /**
+         * Creates application control launching the application
+         * for given alarm.
+         *
+         * @private
+         * @param {number} id Alarm id.
+         * @returns {ApplicationControl}
+         */
+        function createAppControl(id) {
+            return new tizen.ApplicationControl(
+                APP_CONTROL_OPERATION,
+                null,
+                null,
+                null,
+                [new tizen.ApplicationControlData(
+                    APP_CONTROL_KEY,
+                    [String(id)]
+                )]
+            );
+        }
+
+        /**
+         * Adds Tizen alarm launching the application.
+         * Returns Tizen alarm id or null on failure.
+         *
+         * @private
+         * @param {Alarm} tizenAlarm Tizen alarm.
+         * @param {number} id Alarm id.
+         * @returns {string|null}
+         */
+        function addTizenAlarm(tizenAlarm, id) {
+            try {
+                tizen.alarm.add(
+                    tizenAlarm,
+                    tizen.application.getCurrentApplication().appInfo.id,
+                    createAppControl(id)
+                );
+                return tizenAlarm.id;
+            } catch (error) {
+                console.error('Alarm registration failed: ', error.message);
+                return null;
+            }
+        }
+
+        /**
+         * Removes Tizen alarm with given id.
+         *
+         * @private
+         * @param {string} registrationId Tizen alarm id.
+         */
+        function removeTizenAlarm(registrationId) {
+            try {
+                tizen.alarm.remove(registrationId);
+            } catch (error) {
+                console.warn('Alarm is no longer registered: ',
+                    error.message);
+            }
+        }
+
+        /**
+         * Removes Tizen alarm registered for given alarm.
+         *
+         * @private
+         * @param {object} alarm Alarm.
+         */
+        function unregister(alarm) {
+            if (alarm.registrationId) {
+                removeTizenAlarm(alarm.registrationId);
+                alarm.registrationId = null;
+            }
+        }
+
+        /**
+         * Cancels pending snooze of given alarm.
+         *
+         * @private
+         * @param {object} alarm Alarm.
+         */
+        function cancelSnooze(alarm) {
+            if (alarm.snoozeId && isAlarmApiAvailable()) {
+                removeTizenAlarm(alarm.snoozeId);
+            }
+            alarm.snoozeId = null;
+            window.clearTimeout(snoozeTimeouts[alarm.id]);
+            delete snoozeTimeouts[alarm.id];
+        }
+
+        /**
+         * Registers given alarm in Tizen alarm API.
+         * Repeated alarms are triggered on given days of the week.
+         *
+         * @private
+         * @param {object} alarm Alarm.
+         */
+        function register(alarm) {
+            var date = getNextDate(alarm.time),
+                tizenAlarm = alarm.days.length ?
+                        new tizen.AlarmAbsolute(date, alarm.days) :
+                        new tizen.AlarmAbsolute(date);
+
+            alarm.registrationId = addTizenAlarm(tizenAlarm, alarm.id);
+        }
+
+        /**
+         * Registers enabled alarms again and saves alarm list.
+         *
+         * @private
+         * @fires models.alarms.changed
+         */
+        function update() {
+            if (isAlarmApiAvailable()) {
+                alarmList.forEach(function registerAlarm(alarm) {
+                    unregister(alarm);
+                    if (alarm.enabled) {
+                        register(alarm);
+                    }
+                });
+            } else if (!apiWarned) {
+                apiWarned = true;
+                console.warn('Tizen alarm API is missing, ' +
+                    'alarms will not be triggered.');
+            }
+            saveToDatabase();
+            e.fire('changed');
+        }
+
+        /**
+         * Returns alarm list.
+         *
+         * @memberof FMRadio/models/alarms
+         * @public
+         * @returns {object[]}
+         */
+        function getAlarms() {
+            return alarmList;
+        }
+
+        /**
+         * Returns alarm with given id or null if it does not exist.
+         *
+         * @memberof FMRadio/models/alarms
+         * @public
+         * @param {number} id Alarm id.
+         * @returns {object|null}
+         */
+        function getAlarm(id) {
+            var i = 0;
+
+            for (i = 0; i < alarmList.length; i += 1) {
+                if (alarmList[i].id === id) {
+                    return alarmList[i];
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Saves alarm.
+         * Adds new alarm if it has no id or updates existing one.
+         *
+         * @memberof FMRadio/models/alarms
+         * @public
+         * @param {object} values Alarm values.
+         * @param {number} [values.id] Id of the alarm to update.
+         * @param {string} values.time Time in HH:MM format.
+         * @param {string[]} values.days Days of the week to repeat the
+         * alarm on, e.g. ['MO', 'FR']. Alarm is triggered once if empty.
+         * @param {number} values.frequency Frequency to tune.
+         * @param {number} values.startVolume Volume level from 0 to 1.
+         * @param {number} values.fadeIn Fade-in duration in seconds.
+         * @returns {object} Saved alarm.
+         */
+        function save(values) {
+            var alarm = getAlarm(values.id);
+
+            if (alarm === null) {
+                alarm = {
+                    id: Date.now(),
+                    registrationId: null,
+                    snoozeId: null
+                };
+                alarmList.push(alarm);
+            }
+
+            alarm.time = values.time;
+            alarm.days = values.days;
+            alarm.frequency = values.frequency;
+            alarm.startVolume = values.startVolume;
+            alarm.fadeIn = values.fadeIn;
+            alarm.enabled = true;
+
+            update();
+            return alarm;
+        }
+
+        /**
+         * Enables or disables alarm.
+         * Disabled alarm is not snoozed anymore.
+         *
+         * @memberof FMRadio/models/alarms
+         * @public
+         * @param {number} id Alarm id.
+         * @param {boolean} enabled Should alarm be enabled.
+         */
+        function setEnabled(id, enabled) {
+            var alarm = getAlarm(id);
+
+            if (alarm !== null) {
+                alarm.enabled = enabled;
+                if (!enabled) {
+                    cancelSnooze(alarm);
+                }
+                update();
+            }
+        }
+
+        /**
+         * Removes alarm and its pending snooze.
+         *
+         * @memberof FMRadio/models/alarms
+         * @public
+         * @param {number} id Alarm id.
+         */
+        function remove(id) {
+            var alarm = getAlarm(id);
+
+            if (alarm !== null) {
+                if (isAlarmApiAvailable()) {
+                    unregister(alarm);
+                }
+                cancelSnooze(alarm);
+                alarmList.splice(alarmList.indexOf(alarm), 1);
+                update();
+            }
+        }
+
+        /**
+         * Plays alarm with given id.
+         * Disables alarms which are not repeated.
+         * Fades the volume in, volume set by the user is remembered
+         * to be restored when the alarm stops.
+         *
+         * @private
+         * @param {number} id Alarm id.
+         * @fires models.alarms.fired
+         */
+        function fire(id) {
+            var alarm = getAlarm(id);
+
+            if (alarm === null) {
+                return;
+            }
+
+            alarm.snoozeId = null;
+            delete snoozeTimeouts[id];
+            if (!alarm.days.length) {
+                alarm.enabled = false;
+                update();
+            } else {
+                saveToDatabase();
+            }
+            if (userVolume === null) {
+                userVolume = volume.get();
+            }
+            volume.fade(0, alarm.startVolume, alarm.fadeIn * 1000);
+            e.fire('fired', {alarm: alarm});
+        }
+
+        /**
+         * Stops playing alarm and restores volume set by the user.
+         *
+         * @memberof FMRadio/models/alarms
+         * @public
+         */
+        function dismiss() {
+            volume.cancelFade();
+            radio.stop();
+            if (userVolume !== null) {
+                volume.set(userVolume);
+                userVolume = null;
+            }
+        }
+
+        /**
+         * Stops playing alarm and plays it again after snooze duration.
+         * Id of the snooze alarm is saved, so it can be cancelled.
+         *
+         * @memberof FMRadio/models/alarms
+         * @public
+         * @param {number} id Alarm id.
+         */
+        function snooze(id) {
+            var alarm = getAlarm(id);
+
+            dismiss();
+            if (alarm === null) {
+                return;
+            }
+            cancelSnooze(alarm);
+            if (isAlarmApiAvailable()) {
+                alarm.snoozeId = addTizenAlarm(
+                    new tizen.AlarmRelative(
+                        SNOOZE_MINUTES * tizen.alarm.PERIOD_MINUTE
+                    ),
+                    id
+                );
+                saveToDatabase();
+            } else {
+                snoozeTimeouts[id] = window.setTimeout(function onSnoozeEnd() {
+                    fire(id);
+                }, SNOOZE_MINUTES * 60000);
+            }
+        }
+
+        /**
+         * Returns id of the alarm which launched the application
+         * or null if application has not been launched by alarm.
+         *
+         * @private
+         * @returns {number|null}
+         */
+        function getRequestedAlarmId() {
+            var requested = null,
+                data = [],
+                i = 0;
+
+            if (typeof tizen === 'undefined') {
+                return null;
+            }
+
+            requested = tizen.application.getCurrentApplication()
+                .getRequestedAppControl();
+            if (requested) {
+                data = requested.appControl.data || [];
+            }
+            for (i = 0; i < data.length; i += 1) {
+                if (data[i].key === APP_CONTROL_KEY) {
+                    return Number(data[i].value[0]);
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Plays alarm which launched the application again.
+         *
+         * @private
+         */
+        function onAppControl() {
+            var id = getRequestedAlarmId();
+
+            if (id !== null) {
+                fire(id);
+            }
+        }
+
+        /**
+         * Applies alarm list read from the storage.
+         * Plays alarm which launched the application.
+         *
+         * @private
+         * @param {string} [value] Stored alarm list.
+         */
+        function applyAlarms(value) {
+            if (value) {
+                try {
+                    alarmList = JSON.parse(value);
+                    e.fire('changed');
+                } catch (error) {
+                    console.error('Alarms cannot be read. ' + error.message);
+                }
+            }
+            if (pendingAlarmId !== null) {
+                fire(pendingAlarmId);
+                pendingAlarmId = null;
+            }
+        }
+
+        /**
+         * Reads alarm list from the storage.
+         * Stations are loaded first, so alarm frequency overrides
+         * last played frequency.
+         *
+         * @private
+         */
+        function queryDatabase() {
+            storage.get(DB_KEY).then(applyAlarms);
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/models/alarms
+         * @public
+         */
+        function init() {
+            pendingAlarmId = getRequestedAlarmId();
+            window.addEventListener('appcontrol', onAppControl);
+            if (stations.isLoaded()) {
+                queryDatabase();
+            } else {
+                e.listen('models.stations.loaded', queryDatabase);
+            }
+        }
+
+        return {
+            init: init,
+            SNOOZE_MINUTES: SNOOZE_MINUTES,
+            getAlarms: getAlarms,
+            getAlarm: getAlarm,
+            save: save,
+            setEnabled: setEnabled,
+            remove: remove,
+            snooze: snooze,
+            dismiss: dismiss
+        };
+    }
+});
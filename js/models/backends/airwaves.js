@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define*/
+
+/**
+ * Module airwaves.
+ * Default fixture describing stations received by the simulated radio.
+ *
+ * @module models/backends/airwaves
+ * @namespace FMRadio/models/backends/airwaves
+ * @memberof FMRadio/models/backends
+ */
+define({
+    name: 'models/backends/airwaves',
+    def: function modelsBackendsAirwaves() {
+        'use strict';
+
+        return {
+            /**
+             * Signal level in dBm measured where no station broadcasts.
+             *
+             * @memberof FMRadio/models/backends/airwaves
+             * @public
+             * @type {number}
+             */
+            noiseFloor: -110,
+
+            /**
+             * Minimal signal level in dBm recognized as a station by seek
+             * and scan.
+             *
+             * @memberof FMRadio/models/backends/airwaves
+             * @public
+             * @type {number}
+             */
+            sensitivity: -90,
+
+            /**
+             * Broadcasting stations with their signal level in dBm.
+             *
+             * @memberof FMRadio/models/backends/airwaves
+             * @public
+             * @type {object[]}
+             */
+            stations: [
+                {frequency: 66.3, signal: -74},
+                {frequency: 69.8, signal: -81},
+                {frequency: 80.0, signal: -65},
+                {frequency: 82.5, signal: -77},
+                {frequency: 88.6, signal: -71},
+                {frequency: 90.3, signal: -86},
+                {frequency: 91.9, signal: -58},
+                {frequency: 94.1, signal: -63},
+                {frequency: 96.5, signal: -88},
+                {frequency: 98.7, signal: -52},
+                {frequency: 101.0, signal: -49},
+                {frequency: 103.3, signal: -79},
+                {frequency: 105.7, signal: -67},
+                {frequency: 107.5, signal: -84}
+            ]
+        };
+    }
+});
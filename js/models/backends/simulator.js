@@ -0,0 +1,652 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define*/
+
+/**
+ * Module simulator.
+ * Simulated FMRadioManager used when the device has no radio hardware.
+ * Frequency bounds of the simulated tuner cover all preset band plans,
+ * so stations of the fixture are reachable in every region.
+ *
+ * @module models/backends/simulator
+ * @requires {@link core/window}
+ * @requires {@link FMRadio/models/backends/airwaves}
+ * @requires {@link FMRadio/models/bandPlan}
+ * @namespace FMRadio/models/backends/simulator
+ * @memberof FMRadio/models/backends
+ */
+define({
+    name: 'models/backends/simulator',
+    requires: [
+        'core/window',
+        'models/backends/airwaves',
+        'models/bandPlan'
+    ],
+    def: function modelsBackendsSimulator(req) {
+        'use strict';
+
+        /**
+         * Window object.
+         *
+         * @private
+         * @type {Window}
+         */
+        var window = req.core.window,
+
+            /**
+             * Possible states of the simulated radio.
+             *
+             * @private
+             * @const {object}
+             */
+            RADIO_STATE = Object.freeze({
+                READY: 'READY',
+                PLAY: 'PLAYING',
+                SCAN: 'SCANNING'
+            }),
+
+            /**
+             * Width of the received channel in MHz.
+             *
+             * @private
+             * @const {number}
+             */
+            CHANNEL_WIDTH = 0.1,
+
+            /**
+             * Signal loss in dBm for each channel width away from the station.
+             *
+             * @private
+             * @const {number}
+             */
+            ADJACENT_CHANNEL_LOSS = 20,
+
+            /**
+             * Band plan module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            bandPlan = req.models.bandPlan,
+
+            /**
+             * Preset band plans.
+             *
+             * @private
+             * @type {object[]}
+             */
+            presets = bandPlan.getPlans().filter(function isPreset(plan) {
+                return plan.id !== bandPlan.CUSTOM;
+            }),
+
+            /**
+             * Simulator configuration.
+             *
+             * @private
+             * @type {object}
+             */
+            config = {
+                frequencyLowerBound: Math.min.apply(null, presets.map(
+                    function getMin(plan) {
+                        return plan.min;
+                    }
+                )),
+                frequencyUpperBound: Math.max.apply(null, presets.map(
+                    function getMax(plan) {
+                        return plan.max;
+                    }
+                )),
+                seekDelay: 300,
+                scanStepDelay: 25,
+                airwaves: req.models.backends.airwaves
+            },
+
+            /**
+             * Current radio state.
+             *
+             * @private
+             * @type {string}
+             */
+            state = RADIO_STATE.READY,
+
+            /**
+             * Current radio frequency.
+             *
+             * @private
+             * @type {number}
+             */
+            frequency = config.frequencyLowerBound,
+
+            /**
+             * Muted state.
+             *
+             * @private
+             * @type {boolean}
+             */
+            muted = false,
+
+            /**
+             * Antenna connection state.
+             *
+             * @private
+             * @type {boolean}
+             */
+            antennaConnected = true,
+
+            /**
+             * Is playback interrupted.
+             *
+             * @private
+             * @type {boolean}
+             */
+            interrupted = false,
+
+            /**
+             * Antenna change listener.
+             *
+             * @private
+             * @type {function}
+             */
+            antennaListener = null,
+
+            /**
+             * Interruption listener.
+             *
+             * @private
+             * @type {object}
+             */
+            interruptListener = null,
+
+            /**
+             * Timeout id of the pending scan step.
+             *
+             * @private
+             * @type {number}
+             */
+            scanTimeout = 0,
+
+            /**
+             * Simulated FMRadioManager object.
+             *
+             * @private
+             * @type {object}
+             */
+            manager = null;
+
+        /**
+         * Creates error object with given name.
+         *
+         * @private
+         * @param {string} name Error name.
+         * @param {string} message Error message.
+         * @returns {Error}
+         */
+        function createError(name, message) {
+            var error = new Error(message);
+
+            error.name = name;
+            return error;
+        }
+
+        /**
+         * Rounds frequency to the resolution of the simulated tuner.
+         *
+         * @private
+         * @param {number} freq Frequency.
+         * @returns {number}
+         */
+        function round(freq) {
+            return Math.round(freq * 100) / 100;
+        }
+
+        /**
+         * Returns signal strength in dBm received at given frequency.
+         *
+         * @private
+         * @param {number} freq Frequency.
+         * @returns {number}
+         */
+        function getSignalAt(freq) {
+            var airwaves = config.airwaves,
+                signal = airwaves.noiseFloor;
+
+            if (!antennaConnected) {
+                return signal;
+            }
+
+            airwaves.stations.forEach(function checkStation(station) {
+                var distance = Math.abs(freq - station.frequency) /
+                        CHANNEL_WIDTH,
+                    received = station.signal -
+                        distance * ADJACENT_CHANNEL_LOSS;
+
+                signal = Math.max(signal, received);
+            });
+
+            return Math.round(signal);
+        }
+
+        /**
+         * Returns 'true' if station is received at given frequency.
+         *
+         * @private
+         * @param {number} freq Frequency.
+         * @returns {boolean}
+         */
+        function isStationAt(freq) {
+            return getSignalAt(freq) >= config.airwaves.sensitivity;
+        }
+
+        /**
+         * Invokes callback asynchronously.
+         *
+         * @private
+         * @param {function} callback Callback to invoke.
+         * @param {*} [arg] Callback argument.
+         * @param {number} [delay] Delay in milliseconds.
+         */
+        function invokeLater(callback, arg, delay) {
+            if (typeof callback === 'function') {
+                window.setTimeout(function invoke() {
+                    callback(arg);
+                }, delay || 0);
+            }
+        }
+
+        /**
+         * Starts radio at given frequency.
+         *
+         * @private
+         * @param {number} [freq] Frequency to be played.
+         * @throws {Error} InvalidValuesError when frequency is out of range.
+         * @throws {Error} InvalidStateError when radio is scanning.
+         */
+        function start(freq) {
+            if (freq === undefined) {
+                freq = frequency;
+            }
+            if (isNaN(freq) || freq < config.frequencyLowerBound ||
+                    freq > config.frequencyUpperBound) {
+                throw createError('InvalidValuesError',
+                    'Frequency ' + freq + ' is out of range.');
+            }
+            if (state === RADIO_STATE.SCAN) {
+                throw createError('InvalidStateError', 'Radio is scanning.');
+            }
+            frequency = round(freq);
+            interrupted = false;
+            state = RADIO_STATE.PLAY;
+        }
+
+        /**
+         * Stops radio.
+         *
+         * @private
+         * @throws {Error} InvalidStateError when radio is not playing.
+         */
+        function stop() {
+            if (state !== RADIO_STATE.PLAY) {
+                throw createError('InvalidStateError', 'Radio is not playing.');
+            }
+            state = RADIO_STATE.READY;
+        }
+
+        /**
+         * Seeks station in given direction on channels of the active
+         * band plan. Wraps around the band.
+         *
+         * @private
+         * @param {number} direction 1 for seeking up, -1 for seeking down.
+         * @param {function} [successCb] Success callback.
+         * @param {function} [errorCb] Error callback.
+         */
+        function seek(direction, successCb, errorCb) {
+            var step = direction > 0 ? bandPlan.next : bandPlan.prev,
+                first = bandPlan.wrap(step(frequency)),
+                freq = first;
+
+            if (state !== RADIO_STATE.PLAY) {
+                invokeLater(errorCb,
+                    createError('InvalidStateError', 'Radio is not playing.'));
+                return;
+            }
+
+            do {
+                if (isStationAt(freq)) {
+                    frequency = freq;
+                    invokeLater(successCb, undefined, config.seekDelay);
+                    return;
+                }
+                freq = bandPlan.wrap(step(freq));
+            } while (freq !== first);
+
+            invokeLater(errorCb,
+                createError('NotFoundError', 'No station found.'),
+                config.seekDelay);
+        }
+
+        /**
+         * Seeks the channel at higher frequency.
+         *
+         * @private
+         * @param {function} [successCb] Success callback.
+         * @param {function} [errorCb] Error callback.
+         */
+        function seekUp(successCb, errorCb) {
+            seek(1, successCb, errorCb);
+        }
+
+        /**
+         * Seeks the channel at lower frequency.
+         *
+         * @private
+         * @param {function} [successCb] Success callback.
+         * @param {function} [errorCb] Error callback.
+         */
+        function seekDown(successCb, errorCb) {
+            seek(-1, successCb, errorCb);
+        }
+
+        /**
+         * Scans channels of the active band plan one at a time.
+         *
+         * @private
+         * @param {object} scanCb Scan callback.
+         * @param {number[]} found Frequencies found so far.
+         */
+        function scanStep(scanCb, found) {
+            if (state !== RADIO_STATE.SCAN) {
+                return;
+            }
+
+            if (isStationAt(frequency)) {
+                found.push(frequency);
+                if (typeof scanCb.onfrequencyfound === 'function') {
+                    scanCb.onfrequencyfound(frequency);
+                }
+            }
+
+            if (bandPlan.next(frequency) > bandPlan.getMaxFrequency()) {
+                state = RADIO_STATE.READY;
+                if (typeof scanCb.onfinished === 'function') {
+                    scanCb.onfinished(found);
+                }
+                return;
+            }
+
+            frequency = bandPlan.next(frequency);
+            scanTimeout = window.setTimeout(function nextStep() {
+                scanStep(scanCb, found);
+            }, config.scanStepDelay);
+        }
+
+        /**
+         * Starts scanning for channels.
+         *
+         * @private
+         * @param {object} scanCb Scan callback.
+         * @param {function} [errorCb] Error callback.
+         */
+        function scanStart(scanCb, errorCb) {
+            if (state !== RADIO_STATE.READY) {
+                invokeLater(errorCb,
+                    createError('InvalidStateError', 'Radio is not ready.'));
+                return;
+            }
+
+            state = RADIO_STATE.SCAN;
+            frequency = bandPlan.getMinFrequency();
+            scanTimeout = window.setTimeout(function firstStep() {
+                scanStep(scanCb || {}, []);
+            }, config.scanStepDelay);
+        }
+
+        /**
+         * Stops scanning for channels.
+         *
+         * @private
+         * @param {function} [successCb] Success callback.
+         * @param {function} [errorCb] Error callback.
+         */
+        function scanStop(successCb, errorCb) {
+            if (state !== RADIO_STATE.SCAN) {
+                invokeLater(errorCb,
+                    createError('InvalidStateError', 'Radio is not scanning.'));
+                return;
+            }
+
+            window.clearTimeout(scanTimeout);
+            state = RADIO_STATE.READY;
+            invokeLater(successCb);
+        }
+
+        /**
+         * Sets interruption listener.
+         *
+         * @private
+         * @param {object} listener Interruption callback.
+         */
+        function setFMRadioInterruptedListener(listener) {
+            interruptListener = listener;
+        }
+
+        /**
+         * Unsets interruption listener.
+         *
+         * @private
+         */
+        function unsetFMRadioInterruptedListener() {
+            interruptListener = null;
+        }
+
+        /**
+         * Sets antenna change listener.
+         *
+         * @private
+         * @param {function} listener Antenna change callback.
+         */
+        function setAntennaChangeListener(listener) {
+            antennaListener = listener;
+        }
+
+        /**
+         * Unsets antenna change listener.
+         *
+         * @private
+         */
+        function unsetAntennaChangeListener() {
+            antennaListener = null;
+        }
+
+        /**
+         * Creates simulated FMRadioManager object.
+         *
+         * @private
+         * @returns {object}
+         */
+        function createManager() {
+            var radio = {
+                start: start,
+                stop: stop,
+                seekUp: seekUp,
+                seekDown: seekDown,
+                scanStart: scanStart,
+                scanStop: scanStop,
+                setFMRadioInterruptedListener: setFMRadioInterruptedListener,
+                unsetFMRadioInterruptedListener:
+                    unsetFMRadioInterruptedListener,
+                setAntennaChangeListener: setAntennaChangeListener,
+                unsetAntennaChangeListener: unsetAntennaChangeListener
+            };
+
+            Object.defineProperties(radio, {
+                frequency: {
+                    get: function getFrequency() {
+                        return frequency;
+                    }
+                },
+                frequencyUpperBound: {
+                    get: function getFrequencyUpperBound() {
+                        return config.frequencyUpperBound;
+                    }
+                },
+                frequencyLowerBound: {
+                    get: function getFrequencyLowerBound() {
+                        return config.frequencyLowerBound;
+                    }
+                },
+                signalStrength: {
+                    get: function getSignalStrength() {
+                        return getSignalAt(frequency);
+                    }
+                },
+                state: {
+                    get: function getState() {
+                        return state;
+                    }
+                },
+                isAntennaConnected: {
+                    get: function getAntennaConnected() {
+                        return antennaConnected;
+                    }
+                },
+                mute: {
+                    get: function getMute() {
+                        return muted;
+                    },
+                    set: function setMute(isMuted) {
+                        muted = !!isMuted;
+                    }
+                }
+            });
+
+            return radio;
+        }
+
+        /**
+         * Returns simulated FMRadioManager object.
+         * It can be used in place of tizen.fmradio.
+         *
+         * @memberof FMRadio/models/backends/simulator
+         * @public
+         * @returns {object}
+         */
+        function getManager() {
+            if (manager === null) {
+                manager = createManager();
+            }
+            return manager;
+        }
+
+        /**
+         * Changes simulator configuration.
+         *
+         * @memberof FMRadio/models/backends/simulator
+         * @public
+         * @param {object} options Configuration values to change.
+         * @param {number} [options.frequencyLowerBound] Lower frequency bound.
+         * @param {number} [options.frequencyUpperBound] Upper frequency bound.
+         * @param {number} [options.seekDelay] Duration of seek in ms.
+         * @param {number} [options.scanStepDelay] Duration of scan step in ms.
+         * @param {object} [options.airwaves] Airwaves fixture with
+         * noiseFloor, sensitivity and stations properties.
+         */
+        function configure(options) {
+            Object.keys(options).forEach(function setOption(key) {
+                if (config.hasOwnProperty(key)) {
+                    config[key] = options[key];
+                }
+            });
+
+            if (frequency < config.frequencyLowerBound ||
+                    frequency > config.frequencyUpperBound) {
+                frequency = config.frequencyLowerBound;
+            }
+        }
+
+        /**
+         * Simulates connecting or disconnecting the antenna.
+         * Disconnecting the antenna stops playback.
+         *
+         * @memberof FMRadio/models/backends/simulator
+         * @public
+         * @param {boolean} isConnected Is antenna connected.
+         */
+        function setAntennaConnected(isConnected) {
+            isConnected = !!isConnected;
+            if (isConnected === antennaConnected) {
+                return;
+            }
+
+            antennaConnected = isConnected;
+            if (!antennaConnected && state === RADIO_STATE.PLAY) {
+                state = RADIO_STATE.READY;
+            }
+            if (antennaListener) {
+                antennaListener(antennaConnected);
+            }
+        }
+
+        /**
+         * Simulates interruption of the playback, e.g. by incoming call.
+         *
+         * @memberof FMRadio/models/backends/simulator
+         * @public
+         * @param {string} [reason] Interruption reason.
+         */
+        function interrupt(reason) {
+            if (state !== RADIO_STATE.PLAY) {
+                return;
+            }
+
+            state = RADIO_STATE.READY;
+            interrupted = true;
+            if (interruptListener &&
+                    typeof interruptListener.oninterrupted === 'function') {
+                interruptListener.oninterrupted(
+                    reason || 'RADIO_INTERRUPTED_BY_CALL'
+                );
+            }
+        }
+
+        /**
+         * Simulates end of the playback interruption.
+         *
+         * @memberof FMRadio/models/backends/simulator
+         * @public
+         */
+        function finishInterruption() {
+            if (!interrupted) {
+                return;
+            }
+
+            interrupted = false;
+            if (interruptListener && typeof
+                    interruptListener.oninterruptfinished === 'function') {
+                interruptListener.oninterruptfinished();
+            }
+        }
+
+        return {
+            getManager: getManager,
+            configure: configure,
+            setAntennaConnected: setAntennaConnected,
+            interrupt: interrupt,
+            finishInterruption: finishInterruption
+        };
+    }
+});
@@ -0,0 +1,641 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, console*/
+
+/**
+ * Module band plan.
+ * Defines frequency range and channel spacing used for tuning.
+ *
+ * Frequencies are calculated in kHz internally to avoid rounding errors.
+ *
+ * @module models/bandPlan
+ * @requires {@link core/event}
+ * @requires {@link core/storage}
+ * @namespace FMRadio/models/bandPlan
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/bandPlan',
+    requires: [
+        'core/event',
+        'core/storage'
+    ],
+    def: function modelsBandPlan(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Storage module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            storage = req.core.storage,
+
+            /**
+             * Custom band plan id.
+             *
+             * @memberof FMRadio/models/bandPlan
+             * @public
+             * @const {string}
+             */
+            CUSTOM = 'CUSTOM',
+
+            /**
+             * Default band plan id.
+             *
+             * @private
+             * @const {string}
+             */
+            DEFAULT_PLAN = 'ITU1',
+
+            /**
+             * Band plan presets.
+             * Min and max are the first and the last channel of the band.
+             *
+             * @private
+             * @const {object}
+             */
+            PRESETS = Object.freeze({
+                ITU1: {
+                    name: 'Europe (ITU-1)',
+                    min: 87.5,
+                    max: 108.0,
+                    step: 0.1
+                },
+                ITU2: {
+                    name: 'Americas (ITU-2)',
+                    min: 87.9,
+                    max: 107.9,
+                    step: 0.2
+                },
+                JAPAN: {
+                    name: 'Japan',
+                    min: 76.0,
+                    max: 95.0,
+                    step: 0.1
+                },
+                JAPAN_WIDE: {
+                    name: 'Japan wide',
+                    min: 76.0,
+                    max: 108.0,
+                    step: 0.1
+                },
+                OIRT: {
+                    name: 'Eastern Europe (OIRT)',
+                    min: 65.81,
+                    max: 73.97,
+                    step: 0.03
+                }
+            }),
+
+            /**
+             * Database key of the band plan settings.
+             *
+             * @private
+             * @const {string}
+             */
+            DB_KEY = 'bandPlan',
+
+            /**
+             * Id of the active band plan.
+             *
+             * @private
+             * @type {string}
+             */
+            activeId = DEFAULT_PLAN,
+
+            /**
+             * Custom band plan values.
+             *
+             * @private
+             * @type {object}
+             */
+            custom = {
+                min: PRESETS[DEFAULT_PLAN].min,
+                max: PRESETS[DEFAULT_PLAN].max,
+                step: PRESETS[DEFAULT_PLAN].step
+            },
+
+            /**
+             * Lower frequency bound of the hardware in kHz.
+             *
+             * @private
+             * @type {number}
+             */
+            hardwareLower = 0,
+
+            /**
+             * Upper frequency bound of the hardware in kHz.
+             *
+             * @private
+             * @type {number}
+             */
+            hardwareUpper = Infinity,
+
+            /**
+             * Effective range of the active band plan in kHz.
+             *
+             * @private
+             * @type {object}
+             */
+            range = null;
+
+        /**
+         * Converts frequency in MHz to kHz.
+         *
+         * @private
+         * @param {number} freq Frequency in MHz.
+         * @returns {number} Frequency in kHz.
+         */
+        function toKHz(freq) {
+            return Math.round(freq * 1000);
+        }
+
+        /**
+         * Returns band plan with given id.
+         *
+         * @private
+         * @param {string} id Band plan id.
+         * @returns {object}
+         */
+        function getPlan(id) {
+            var values = id === CUSTOM ? custom : PRESETS[id];
+
+            return {
+                id: id,
+                name: id === CUSTOM ? 'Custom' : values.name,
+                min: values.min,
+                max: values.max,
+                step: values.step
+            };
+        }
+
+        /**
+         * Calculates range of the band plan limited by hardware bounds.
+         * Returns null if no channel of the plan is supported by hardware.
+         *
+         * @private
+         * @param {object} plan Band plan.
+         * @returns {object|null} Range in kHz.
+         */
+        function calculateRange(plan) {
+            var origin = toKHz(plan.min),
+                step = toKHz(plan.step),
+                lower = Math.max(origin, hardwareLower),
+                upper = Math.min(toKHz(plan.max), hardwareUpper),
+                min = origin + Math.ceil((lower - origin) / step) * step,
+                max = origin + Math.floor((upper - origin) / step) * step;
+
+            if (min > max) {
+                return null;
+            }
+
+            return {
+                origin: origin,
+                step: step,
+                min: min,
+                max: max,
+                decimals: (origin % 100 === 0 && step % 100 === 0) ? 1 : 2
+            };
+        }
+
+        /**
+         * Returns 'true' if band plan has channels supported by hardware,
+         * 'false' otherwise.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {string} id Band plan id.
+         * @returns {boolean}
+         */
+        function isSupported(id) {
+            return calculateRange(getPlan(id)) !== null;
+        }
+
+        /**
+         * Returns id of the first preset supported by hardware.
+         *
+         * @private
+         * @returns {string}
+         */
+        function findSupportedPreset() {
+            var ids = Object.keys(PRESETS),
+                i = 0;
+
+            if (isSupported(DEFAULT_PLAN)) {
+                return DEFAULT_PLAN;
+            }
+            for (i = 0; i < ids.length; i += 1) {
+                if (isSupported(ids[i])) {
+                    return ids[i];
+                }
+            }
+            return DEFAULT_PLAN;
+        }
+
+        /**
+         * Recalculates effective range of the active band plan.
+         * Falls back to supported preset when active plan is not supported.
+         *
+         * @private
+         */
+        function updateRange() {
+            range = calculateRange(getPlan(activeId));
+            if (range === null) {
+                activeId = findSupportedPreset();
+                range = calculateRange(getPlan(activeId));
+            }
+            if (range === null) {
+                // Hardware bounds do not match any plan.
+                range = {
+                    origin: hardwareLower,
+                    step: 100,
+                    min: hardwareLower,
+                    max: hardwareUpper,
+                    decimals: 1
+                };
+            }
+        }
+
+        /**
+         * Saves band plan settings to database.
+         *
+         * @private
+         */
+        function saveToDatabase() {
+            storage.settings.set(DB_KEY, JSON.stringify({
+                id: activeId,
+                custom: custom
+            }));
+        }
+
+        /**
+         * Converts frequency in kHz to MHz.
+         *
+         * @private
+         * @param {number} freq Frequency in kHz.
+         * @returns {number} Frequency in MHz.
+         */
+        function toMHz(freq) {
+            return freq / 1000;
+        }
+
+        /**
+         * Returns frequency of the channel with given index.
+         *
+         * @private
+         * @param {number} index Channel index.
+         * @returns {number} Frequency in MHz.
+         */
+        function getChannel(index) {
+            return toMHz(range.origin + index * range.step);
+        }
+
+        /**
+         * Sets frequency bounds supported by hardware.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {number} lower Lower frequency bound in MHz.
+         * @param {number} upper Upper frequency bound in MHz.
+         */
+        function setHardwareBounds(lower, upper) {
+            hardwareLower = toKHz(lower);
+            hardwareUpper = toKHz(upper);
+            updateRange();
+        }
+
+        /**
+         * Returns list of available band plans.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @returns {object[]}
+         */
+        function getPlans() {
+            return Object.keys(PRESETS).concat(CUSTOM).map(
+                function mapPlan(id) {
+                    var plan = getPlan(id);
+
+                    plan.active = id === activeId;
+                    plan.supported = isSupported(id);
+                    return plan;
+                }
+            );
+        }
+
+        /**
+         * Returns 'true' if channel spacing and first channel of the band
+         * are valid, 'false' otherwise.
+         *
+         * @private
+         * @param {number} min First channel in kHz.
+         * @param {number} step Channel spacing in kHz.
+         * @returns {boolean}
+         */
+        function isValidGrid(min, step) {
+            return step >= 10 && step <= 1000 &&
+                step % 10 === 0 && min % 10 === 0;
+        }
+
+        /**
+         * Returns error message if custom band plan values are invalid,
+         * empty string otherwise.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {object} values Custom band plan values.
+         * @param {number} values.min First channel in MHz.
+         * @param {number} values.max Last channel in MHz.
+         * @param {number} values.step Channel spacing in MHz.
+         * @returns {string}
+         */
+        function validateCustom(values) {
+            var min = toKHz(values.min),
+                max = toKHz(values.max),
+                step = toKHz(values.step);
+
+            if (isNaN(parseFloat(values.min)) ||
+                    isNaN(parseFloat(values.max)) ||
+                    isNaN(parseFloat(values.step))) {
+                return 'All values must be numbers.';
+            }
+            if (!isValidGrid(min, step)) {
+                return 'Step must be between 0.01 and 1 MHz and ' +
+                    'frequencies must be multiples of 0.01 MHz.';
+            }
+            if (min + step > max) {
+                return 'Band must contain at least two channels.';
+            }
+            if (calculateRange(values) === null) {
+                return 'Band is not supported by this device.';
+            }
+            return '';
+        }
+
+        /**
+         * Activates band plan with given id.
+         * Returns 'true' if the plan has been activated, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {string} id Band plan id.
+         * @param {object} [customValues] Values of custom band plan.
+         * @returns {boolean}
+         * @fires models.bandPlan.changed
+         */
+        function select(id, customValues) {
+            if (id !== CUSTOM && !PRESETS.hasOwnProperty(id)) {
+                return false;
+            }
+            if (id === CUSTOM && customValues) {
+                if (validateCustom(customValues)) {
+                    return false;
+                }
+                custom = {
+                    min: Number(customValues.min),
+                    max: Number(customValues.max),
+                    step: Number(customValues.step)
+                };
+            }
+            if (!isSupported(id)) {
+                return false;
+            }
+
+            activeId = id;
+            updateRange();
+            saveToDatabase();
+            e.fire('changed', {id: activeId});
+            return true;
+        }
+
+        /**
+         * Returns the lowest frequency of the active band plan.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @returns {number}
+         */
+        function getMinFrequency() {
+            return toMHz(range.min);
+        }
+
+        /**
+         * Returns the highest frequency of the active band plan.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @returns {number}
+         */
+        function getMaxFrequency() {
+            return toMHz(range.max);
+        }
+
+        /**
+         * Returns 'true' if frequency is in range of the active band plan,
+         * 'false' otherwise.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {number} freq Frequency.
+         * @returns {boolean}
+         */
+        function contains(freq) {
+            var kHz = toKHz(freq);
+
+            return kHz >= range.min && kHz <= range.max;
+        }
+
+        /**
+         * Returns channel nearest to given frequency.
+         * Frequencies out of the band are moved to the nearest band edge.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {number} freq Frequency.
+         * @returns {number}
+         */
+        function snap(freq) {
+            var kHz = Math.min(Math.max(toKHz(freq), range.min), range.max);
+
+            return getChannel(Math.round((kHz - range.origin) / range.step));
+        }
+
+        /**
+         * Returns channel above given frequency.
+         * Returned frequency can exceed the band.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {number} freq Frequency.
+         * @returns {number}
+         */
+        function next(freq) {
+            var index = (toKHz(freq) - range.origin) / range.step;
+
+            return getChannel(Math.floor(index) + 1);
+        }
+
+        /**
+         * Returns channel below given frequency.
+         * Returned frequency can exceed the band.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {number} freq Frequency.
+         * @returns {number}
+         */
+        function prev(freq) {
+            var index = (toKHz(freq) - range.origin) / range.step;
+
+            return getChannel(Math.ceil(index) - 1);
+        }
+
+        /**
+         * Wraps frequency exceeding the band around to the opposite edge.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {number} freq Frequency.
+         * @returns {number}
+         */
+        function wrap(freq) {
+            var kHz = toKHz(freq);
+
+            if (kHz < range.min) {
+                return toMHz(range.max);
+            }
+            if (kHz > range.max) {
+                return toMHz(range.min);
+            }
+            return freq;
+        }
+
+        /**
+         * Returns position of frequency in the band in percent.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {number} freq Frequency.
+         * @returns {number}
+         */
+        function getProgress(freq) {
+            var width = range.max - range.min;
+
+            if (width === 0) {
+                return 100;
+            }
+            return Math.min(Math.max(
+                (toKHz(freq) - range.min) * 100 / width,
+                0
+            ), 100);
+        }
+
+        /**
+         * Rounds frequency to precision of the active band plan.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {number} freq Frequency.
+         * @returns {number}
+         */
+        function round(freq) {
+            var factor = Math.pow(10, range.decimals);
+
+            return Math.round(freq * factor) / factor;
+        }
+
+        /**
+         * Formats frequency with precision of the active band plan.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         * @param {number} freq Frequency.
+         * @returns {string}
+         */
+        function format(freq) {
+            return freq.toFixed(range.decimals);
+        }
+
+        /**
+         * Applies band plan settings read from the storage.
+         *
+         * @private
+         * @param {string} [value] Stored settings.
+         * @fires models.bandPlan.changed
+         */
+        function applySettings(value) {
+            var settings = null;
+
+            if (!value) {
+                return;
+            }
+            try {
+                settings = JSON.parse(value);
+            } catch (error) {
+                console.error('Band plan settings cannot be read. ' +
+                    error.message);
+                return;
+            }
+            custom = settings.custom;
+            if (settings.id === CUSTOM || PRESETS.hasOwnProperty(settings.id)) {
+                activeId = settings.id;
+            }
+            updateRange();
+            e.fire('changed', {id: activeId});
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/models/bandPlan
+         * @public
+         */
+        function init() {
+            updateRange();
+            storage.settings.get(DB_KEY).then(applySettings);
+        }
+
+        return {
+            init: init,
+            CUSTOM: CUSTOM,
+            setHardwareBounds: setHardwareBounds,
+            getPlans: getPlans,
+            isSupported: isSupported,
+            validateCustom: validateCustom,
+            select: select,
+            getMinFrequency: getMinFrequency,
+            getMaxFrequency: getMaxFrequency,
+            contains: contains,
+            snap: snap,
+            next: next,
+            prev: prev,
+            wrap: wrap,
+            getProgress: getProgress,
+            round: round,
+            format: format
+        };
+    }
+});
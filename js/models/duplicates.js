@@ -0,0 +1,280 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define*/
+
+/**
+ * Module duplicates.
+ * Groups stations lying on adjacent frequencies, which are usually
+ * the same broadcast received on neighbouring channels.
+ *
+ * @module models/duplicates
+ * @requires {@link core/storage}
+ * @requires {@link FMRadio/models/stations}
+ * @namespace FMRadio/models/duplicates
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/duplicates',
+    requires: [
+        'core/storage',
+        'models/stations'
+    ],
+    def: function modelsDuplicates(req) {
+        'use strict';
+
+        /**
+         * Storage module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var storage = req.core.storage,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Database key of the grouping distance.
+             *
+             * @private
+             * @const {string}
+             */
+            DB_KEY = 'duplicateDistance',
+
+            /**
+             * Allowed grouping distance range in MHz.
+             *
+             * @memberof FMRadio/models/duplicates
+             * @public
+             * @const {object}
+             */
+            DISTANCE_RANGE = Object.freeze({min: 0.01, max: 1}),
+
+            /**
+             * Pattern of names given to stations automatically.
+             *
+             * @private
+             * @const {RegExp}
+             */
+            AUTO_NAME_PATTERN = /^(UNNAMED|Station \d+)$/,
+
+            /**
+             * Maximal distance in MHz between stations of the group.
+             *
+             * @private
+             * @type {number}
+             */
+            distance = 0.2;
+
+        /**
+         * Returns maximal distance between stations of the group.
+         *
+         * @memberof FMRadio/models/duplicates
+         * @public
+         * @returns {number} Distance in MHz.
+         */
+        function getDistance() {
+            return distance;
+        }
+
+        /**
+         * Sets maximal distance between stations of the group.
+         * Returns 'true' if distance is valid, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/duplicates
+         * @public
+         * @param {number|string} value Distance in MHz.
+         * @returns {boolean}
+         */
+        function setDistance(value) {
+            var number = parseFloat(value);
+
+            if (isNaN(number) || number < DISTANCE_RANGE.min ||
+                    number > DISTANCE_RANGE.max) {
+                return false;
+            }
+            distance = number;
+            storage.settings.set(DB_KEY, distance);
+            return true;
+        }
+
+        /**
+         * Returns 'true' if station has been named by the user,
+         * 'false' otherwise.
+         *
+         * @memberof FMRadio/models/duplicates
+         * @public
+         * @param {object} station Station.
+         * @returns {boolean}
+         */
+        function isNamed(station) {
+            return !!station.name && !AUTO_NAME_PATTERN.test(station.name);
+        }
+
+        /**
+         * Returns the member proposed to be kept.
+         * Named members are preferred, the strongest one wins.
+         *
+         * @private
+         * @param {object[]} members Group members.
+         * @param {function} getSignal Returns signal of the member or null.
+         * @returns {object}
+         */
+        function proposeKept(members, getSignal) {
+            var candidates = members.filter(isNamed);
+
+            if (!candidates.length) {
+                candidates = members;
+            }
+            return candidates.reduce(function stronger(best, member) {
+                var signal = getSignal(member),
+                    bestSignal = getSignal(best);
+
+                if (signal !== null &&
+                        (bestSignal === null || signal > bestSignal)) {
+                    return member;
+                }
+                return best;
+            });
+        }
+
+        /**
+         * Returns groups of items lying within the distance from each
+         * other. Items without neighbours are not grouped.
+         *
+         * @memberof FMRadio/models/duplicates
+         * @public
+         * @param {object[]} items Items with frequency and name.
+         * @param {function} getSignal Returns signal of the item or null
+         * if it is unknown. Higher value is stronger.
+         * @returns {object[]} Groups with members and kept member.
+         */
+        function findGroups(items, getSignal) {
+            var groups = [],
+                current = [],
+                maxGap = Math.round(distance * 1000);
+
+            /**
+             * Adds current group to the list if it has duplicates.
+             */
+            function closeGroup() {
+                if (current.length > 1) {
+                    groups.push({
+                        members: current,
+                        kept: proposeKept(current, getSignal)
+                    });
+                }
+                current = [];
+            }
+
+            items.slice().sort(function compare(a, b) {
+                return a.frequency - b.frequency;
+            }).forEach(function addItem(item) {
+                var last = current[current.length - 1];
+
+                if (last &&
+                        Math.round((item.frequency - last.frequency) * 1000) >
+                        maxGap) {
+                    closeGroup();
+                }
+                current.push(item);
+            });
+            closeGroup();
+
+            return groups;
+        }
+
+        /**
+         * Returns groups of saved stations.
+         * Signal is the average reception quality of the station.
+         *
+         * @memberof FMRadio/models/duplicates
+         * @public
+         * @returns {object[]} Groups with members and kept member.
+         */
+        function findStationGroups() {
+            return findGroups(
+                stations.getStationList(),
+                function getQuality(station) {
+                    return station.qualitySamples ? station.quality : null;
+                }
+            );
+        }
+
+        /**
+         * Removes all members of the groups except kept ones.
+         * Returns number of removed stations.
+         *
+         * @memberof FMRadio/models/duplicates
+         * @public
+         * @param {object[]} groups Groups with members and kept member.
+         * @returns {number}
+         */
+        function mergeStationGroups(groups) {
+            var removed = [];
+
+            groups.forEach(function collectRemoved(group) {
+                group.members.forEach(function addRemoved(member) {
+                    if (member !== group.kept) {
+                        removed.push(member.frequency);
+                    }
+                });
+            });
+            stations.remove(removed);
+
+            return removed.length;
+        }
+
+        /**
+         * Applies grouping distance read from the storage.
+         *
+         * @private
+         * @param {number} [value] Stored distance.
+         */
+        function applyDistance(value) {
+            if (value) {
+                distance = Number(value);
+            }
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/models/duplicates
+         * @public
+         */
+        function init() {
+            storage.settings.get(DB_KEY).then(applyDistance);
+        }
+
+        return {
+            init: init,
+            DISTANCE_RANGE: DISTANCE_RANGE,
+            getDistance: getDistance,
+            setDistance: setDistance,
+            isNamed: isNamed,
+            findGroups: findGroups,
+            findStationGroups: findStationGroups,
+            mergeStationGroups: mergeStationGroups
+        };
+    }
+});
@@ -0,0 +1,385 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, console*/
+
+/**
+ * Module history.
+ * Records changes of the station list so they can be undone and redone.
+ * Latest changes are kept in database to survive application restart.
+ * Every change keeps only the stations it added, changed or removed,
+ * which are applied to the current station list when it is undone
+ * or redone.
+ *
+ * @module models/history
+ * @requires {@link core/event}
+ * @requires {@link core/storage}
+ * @requires {@link FMRadio/models/stations}
+ * @namespace FMRadio/models/history
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/history',
+    requires: [
+        'core/event',
+        'core/storage',
+        'models/stations'
+    ],
+    def: function modelsHistory(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Storage module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            storage = req.core.storage,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Database key of the history.
+             *
+             * @private
+             * @const {string}
+             */
+            DB_KEY = 'stationHistory',
+
+            /**
+             * Properties of the station updated by radio reception,
+             * which are not part of the recorded changes.
+             *
+             * @private
+             * @const {string[]}
+             */
+            RECEPTION_FIELDS = ['quality', 'qualitySamples'],
+
+            /**
+             * Number of kept changes.
+             *
+             * @memberof FMRadio/models/history
+             * @public
+             * @const {number}
+             */
+            HISTORY_SIZE = 20,
+
+            /**
+             * Recorded changes with label and stations differing
+             * before and after the change.
+             *
+             * @private
+             * @type {object[]}
+             */
+            entries = [],
+
+            /**
+             * Number of applied changes.
+             * Changes above this position are undone and can be redone.
+             *
+             * @private
+             * @type {number}
+             */
+            position = 0;
+
+        /**
+         * Saves history to database.
+         *
+         * @private
+         */
+        function saveToDatabase() {
+            storage.set(DB_KEY, JSON.stringify({
+                entries: entries,
+                position: position
+            }));
+        }
+
+        /**
+         * Returns 'true' if change removed or renamed any station,
+         * 'false' otherwise.
+         *
+         * @private
+         * @param {string} before Snapshot taken before the change.
+         * @param {string} after Snapshot taken after the change.
+         * @returns {boolean}
+         */
+        function isDestructive(before, after) {
+            var afterList = JSON.parse(after);
+
+            return JSON.parse(before).some(function isLost(station) {
+                return !afterList.some(function isKept(other) {
+                    return other.frequency === station.frequency &&
+                        other.name === station.name;
+                });
+            });
+        }
+
+        /**
+         * Returns station as JSON without reception properties.
+         *
+         * @private
+         * @param {object} station Station.
+         * @returns {string}
+         */
+        function toJson(station) {
+            return JSON.stringify(station, function skip(key, value) {
+                return RECEPTION_FIELDS.indexOf(key) === -1 ?
+                        value : undefined;
+            });
+        }
+
+        /**
+         * Returns stations of the list which are missing or differ
+         * in the other list. Reception properties are not compared.
+         *
+         * @private
+         * @param {object[]} list Stations.
+         * @param {object[]} other Stations to compare with.
+         * @returns {object[]}
+         */
+        function diff(list, other) {
+            var json = {};
+
+            other.forEach(function addStation(station) {
+                json[station.id] = toJson(station);
+            });
+            return list.filter(function isChanged(station) {
+                return json[station.id] !== toJson(station);
+            });
+        }
+
+        /**
+         * Creates history entry from station list snapshots taken
+         * before and after the change.
+         *
+         * @private
+         * @param {string} label Description of the change.
+         * @param {string} before Snapshot taken before the change.
+         * @param {string} after Snapshot taken after the change.
+         * @returns {object}
+         */
+        function createEntry(label, before, after) {
+            var beforeList = JSON.parse(before),
+                afterList = JSON.parse(after);
+
+            return {
+                label: label,
+                before: diff(beforeList, afterList),
+                after: diff(afterList, beforeList)
+            };
+        }
+
+        /**
+         * Replaces stations of the current station list.
+         * Added stations which are on the list keep their current
+         * reception properties, recorded after the change.
+         *
+         * @private
+         * @param {object[]} removed Stations to remove.
+         * @param {object[]} added Stations to add instead.
+         */
+        function patch(removed, added) {
+            var current = JSON.parse(stations.getSnapshot()),
+                byId = {},
+                replaced = {};
+
+            current.forEach(function addStation(station) {
+                byId[station.id] = station;
+            });
+            removed.concat(added).forEach(function addId(station) {
+                replaced[station.id] = true;
+            });
+            stations.restore(JSON.stringify(
+                current.filter(function isKept(station) {
+                    return !replaced[station.id];
+                }).concat(added.map(function keepReception(station) {
+                    var result = JSON.parse(JSON.stringify(station)),
+                        other = byId[station.id];
+
+                    if (other) {
+                        RECEPTION_FIELDS.forEach(function copy(key) {
+                            result[key] = other[key];
+                        });
+                    }
+                    return result;
+                })).sort(function compare(a, b) {
+                    return a.frequency - b.frequency;
+                })
+            ));
+        }
+
+        /**
+         * Records change of the station list.
+         * Undone changes are dropped.
+         *
+         * @private
+         * @param {Event} event Stations changed event.
+         * @fires models.history.recorded
+         */
+        function onStationsChanged(event) {
+            var change = event.detail;
+
+            if (change.before === change.after) {
+                return;
+            }
+
+            entries = entries.slice(0, position);
+            entries.push(createEntry(change.label, change.before,
+                change.after));
+            if (entries.length > HISTORY_SIZE) {
+                entries.shift();
+            }
+            position = entries.length;
+            saveToDatabase();
+
+            e.fire('recorded', {
+                label: change.label,
+                destructive: isDestructive(change.before, change.after)
+            });
+        }
+
+        /**
+         * Returns 'true' if there is a change to undo, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/history
+         * @public
+         * @returns {boolean}
+         */
+        function canUndo() {
+            return position > 0;
+        }
+
+        /**
+         * Returns 'true' if there is a change to redo, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/history
+         * @public
+         * @returns {boolean}
+         */
+        function canRedo() {
+            return position < entries.length;
+        }
+
+        /**
+         * Reverts stations changed by the latest applied change.
+         * Returns 'true' if change is undone, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/history
+         * @public
+         * @returns {boolean}
+         * @fires models.history.undone
+         */
+        function undo() {
+            var entry = null;
+
+            if (!canUndo()) {
+                return false;
+            }
+            position -= 1;
+            entry = entries[position];
+            patch(entry.after, entry.before);
+            saveToDatabase();
+            e.fire('undone', {label: entry.label});
+            return true;
+        }
+
+        /**
+         * Applies again the earliest undone change.
+         * Returns 'true' if change is redone, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/history
+         * @public
+         * @returns {boolean}
+         * @fires models.history.redone
+         */
+        function redo() {
+            var entry = null;
+
+            if (!canRedo()) {
+                return false;
+            }
+            entry = entries[position];
+            position += 1;
+            patch(entry.before, entry.after);
+            saveToDatabase();
+            e.fire('redone', {label: entry.label});
+            return true;
+        }
+
+        /**
+         * Applies history read from the storage.
+         * Station list snapshots stored by older versions are replaced
+         * with the changed stations.
+         *
+         * @private
+         * @param {string} [value] Stored history.
+         */
+        function applyHistory(value) {
+            var history = null;
+
+            if (!value) {
+                return;
+            }
+            try {
+                history = JSON.parse(value);
+            } catch (error) {
+                console.error('History cannot be read. ' + error.message);
+                return;
+            }
+            entries = history.entries.map(function upgrade(entry) {
+                return typeof entry.before === 'string' ?
+                        createEntry(entry.label, entry.before,
+                            entry.after) : entry;
+            });
+            position = history.position;
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/models/history
+         * @public
+         */
+        function init() {
+            storage.get(DB_KEY).then(applyHistory);
+        }
+
+        e.listen('models.stations.changed', onStationsChanged);
+
+        return {
+            init: init,
+            HISTORY_SIZE: HISTORY_SIZE,
+            canUndo: canUndo,
+            canRedo: canRedo,
+            undo: undo,
+            redo: redo
+        };
+    }
+});
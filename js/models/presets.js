@@ -0,0 +1,330 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, console*/
+
+/**
+ * Module presets.
+ * Keeps numbered preset slots for quick access to favorite frequencies.
+ * Slots hold frequencies only, so they stay valid when stations are
+ * renamed or removed.
+ *
+ * @module models/presets
+ * @requires {@link core/event}
+ * @requires {@link core/storage}
+ * @requires {@link FMRadio/models/stations}
+ * @namespace FMRadio/models/presets
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/presets',
+    requires: [
+        'core/event',
+        'core/storage',
+        'models/stations'
+    ],
+    def: function modelsPresets(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Storage module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            storage = req.core.storage,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Database key of the presets.
+             *
+             * @private
+             * @const {string}
+             */
+            DB_KEY = 'presets',
+
+            /**
+             * Allowed number of slots.
+             *
+             * @memberof FMRadio/models/presets
+             * @public
+             * @const {object}
+             */
+            SLOT_COUNT_RANGE = Object.freeze({min: 6, max: 12}),
+
+            /**
+             * Number of displayed slots.
+             *
+             * @private
+             * @type {number}
+             */
+            slotCount = SLOT_COUNT_RANGE.min,
+
+            /**
+             * Frequencies of all slots, null for empty slot.
+             * Slots above slot count are kept to be restored when
+             * the count grows.
+             *
+             * @private
+             * @type {number[]}
+             */
+            slots = [];
+
+        /**
+         * Empties all slots.
+         *
+         * @private
+         */
+        function resetSlots() {
+            var i = 0;
+
+            slots = [];
+            for (i = 0; i < SLOT_COUNT_RANGE.max; i += 1) {
+                slots.push(null);
+            }
+        }
+
+        /**
+         * Saves presets to database.
+         *
+         * @private
+         * @fires models.presets.changed
+         */
+        function saveToDatabase() {
+            storage.set(DB_KEY, JSON.stringify({
+                count: slotCount,
+                slots: slots
+            }));
+            e.fire('changed');
+        }
+
+        /**
+         * Returns 'true' if slot number is displayed, 'false' otherwise.
+         *
+         * @private
+         * @param {number} number Slot number starting from 1.
+         * @returns {boolean}
+         */
+        function isValidSlot(number) {
+            return number % 1 === 0 && number >= 1 && number <= slotCount;
+        }
+
+        /**
+         * Returns number of displayed slots.
+         *
+         * @memberof FMRadio/models/presets
+         * @public
+         * @returns {number}
+         */
+        function getSlotCount() {
+            return slotCount;
+        }
+
+        /**
+         * Sets number of displayed slots.
+         * Returns 'true' if number is valid, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/presets
+         * @public
+         * @param {number|string} value Number of slots.
+         * @returns {boolean}
+         */
+        function setSlotCount(value) {
+            var count = Number(value);
+
+            if (count % 1 !== 0 || count < SLOT_COUNT_RANGE.min ||
+                    count > SLOT_COUNT_RANGE.max) {
+                return false;
+            }
+            slotCount = count;
+            saveToDatabase();
+            return true;
+        }
+
+        /**
+         * Returns displayed slots.
+         * Name is null if slot is empty or its frequency is not saved
+         * as a station.
+         *
+         * @memberof FMRadio/models/presets
+         * @public
+         * @returns {object[]} Slots with number, frequency and name.
+         */
+        function getSlots() {
+            return slots.slice(0, slotCount).map(function toSlot(freq, i) {
+                var station = freq === null ? null : stations.getStation(freq);
+
+                return {
+                    number: i + 1,
+                    frequency: freq,
+                    name: station ? station.name : null
+                };
+            });
+        }
+
+        /**
+         * Returns frequency of the slot or null if slot is empty.
+         *
+         * @memberof FMRadio/models/presets
+         * @public
+         * @param {number} number Slot number starting from 1.
+         * @returns {number|null}
+         */
+        function getFrequency(number) {
+            return isValidSlot(number) ? slots[number - 1] : null;
+        }
+
+        /**
+         * Returns number of the first empty slot or null if all slots
+         * are assigned.
+         *
+         * @memberof FMRadio/models/presets
+         * @public
+         * @returns {number|null}
+         */
+        function findFreeSlot() {
+            var index = slots.slice(0, slotCount).indexOf(null);
+
+            return index === -1 ? null : index + 1;
+        }
+
+        /**
+         * Assigns frequency to the slot replacing its previous frequency.
+         * Returns 'true' if slot number is valid, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/presets
+         * @public
+         * @param {number} number Slot number starting from 1.
+         * @param {number} frequency Frequency.
+         * @returns {boolean}
+         */
+        function assign(number, frequency) {
+            if (!isValidSlot(number)) {
+                return false;
+            }
+            slots[number - 1] = frequency;
+            saveToDatabase();
+            return true;
+        }
+
+        /**
+         * Assigns frequencies to empty slots in given order.
+         * Frequencies already assigned to a slot are skipped.
+         * Returns number of assigned frequencies.
+         *
+         * @memberof FMRadio/models/presets
+         * @public
+         * @param {number[]} frequencies Frequencies.
+         * @returns {number}
+         */
+        function assignMany(frequencies) {
+            var assigned = 0;
+
+            frequencies.forEach(function assignOne(freq) {
+                var index = slots.slice(0, slotCount).indexOf(null);
+
+                if (index !== -1 &&
+                        slots.slice(0, slotCount).indexOf(freq) === -1) {
+                    slots[index] = freq;
+                    assigned += 1;
+                }
+            });
+            if (assigned) {
+                saveToDatabase();
+            }
+            return assigned;
+        }
+
+        /**
+         * Empties the slot.
+         *
+         * @memberof FMRadio/models/presets
+         * @public
+         * @param {number} number Slot number starting from 1.
+         */
+        function clear(number) {
+            if (isValidSlot(number)) {
+                slots[number - 1] = null;
+                saveToDatabase();
+            }
+        }
+
+        /**
+         * Applies presets read from the storage.
+         *
+         * @private
+         * @param {string} [value] Stored presets.
+         * @fires models.presets.changed
+         */
+        function applyPresets(value) {
+            var presets = null;
+
+            if (!value) {
+                return;
+            }
+            try {
+                presets = JSON.parse(value);
+            } catch (error) {
+                console.error('Presets cannot be read. ' + error.message);
+                return;
+            }
+            slotCount = presets.count;
+            presets.slots.forEach(function setSlot(freq, i) {
+                slots[i] = freq;
+            });
+            e.fire('changed');
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/models/presets
+         * @public
+         */
+        function init() {
+            resetSlots();
+            storage.get(DB_KEY).then(applyPresets);
+        }
+
+        return {
+            init: init,
+            SLOT_COUNT_RANGE: SLOT_COUNT_RANGE,
+            getSlotCount: getSlotCount,
+            setSlotCount: setSlotCount,
+            getSlots: getSlots,
+            getFrequency: getFrequency,
+            findFreeSlot: findFreeSlot,
+            assign: assign,
+            assignMany: assignMany,
+            clear: clear
+        };
+    }
+});
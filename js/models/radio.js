@@ -21,6 +21,8 @@
  *
  * @module models/radio
  * @requires {@link core/event}
+ * @requires {@link core/window}
+ * @requires {@link FMRadio/models/bandPlan}
  * @requires {@link FMRadio/models/stations}
  * @requires {@link FMRadio/views/popup}
  * @namespace FMRadio/models/radio
@@ -30,6 +32,8 @@ define({
     name: 'models/radio',
     requires: [
         'core/event',
+        'core/window',
+        'models/bandPlan',
         'models/stations',
         'views/popup'
     ],
@@ -44,6 +48,14 @@ define({
          */
         var e = req.core.event,
 
+            /**
+             * Window object.
+             *
+             * @private
+             * @type {Window}
+             */
+            window = req.core.window,
+
             /**
              * Popup module object.
              *
@@ -61,38 +73,38 @@ define({
             stations = req.models.stations,
 
             /**
-             * Tizen radio object.
+             * Band plan module object.
              *
              * @private
-             * @type {FMRadioManager}
+             * @type {Module}
              */
-            radio = null,
+            bandPlan = req.models.bandPlan,
 
             /**
-             * Minimal radio frequency.
+             * Radio backend object.
+             * Tizen radio object unless other backend has been set.
              *
-             * @memberof FMRadio/models/radio
-             * @public
-             * @type {number}
+             * @private
+             * @type {FMRadioManager}
              */
-            minFrequency = 87.5,
+            radio = null,
 
             /**
-             * Maximal radio frequency.
+             * Found stations counter.
              *
-             * @memberof FMRadio/models/radio
-             * @public
+             * @private
              * @type {number}
              */
-            maxFrequency = 108.0,
+            stationCount = 0,
 
             /**
-             * Found stations counter.
+             * Frequencies found by the scan so far with their signal
+             * strength.
              *
              * @private
-             * @type {number}
+             * @type {object[]}
              */
-            stationCount = 0,
+            scanResults = [],
 
             /**
              * Frequency before scan to be restored after cancel.
@@ -114,7 +126,9 @@ define({
                  * Calculates move point of progress bar after finding next
                  * frequency.
                  *
-                 * Increases number of found stations.
+                 * Collects the frequency with its signal strength if it
+                 * belongs to the active band plan, so it is kept even if
+                 * the scan is cancelled.
                  *
                  * Updates search progress bar and station count.
                  *
@@ -122,41 +136,50 @@ define({
                  * @param {number} frequency Found frequency.
                  */
                 onfrequencyfound: function onFrequencyFound(frequency) {
-                    var range = (maxFrequency * 10) - (minFrequency * 10),
-                        progress = ((frequency - minFrequency) * 1000) / range;
-
-                    stationCount += 1;
-                    popup.updateProgress(progress, stationCount);
+                    if (bandPlan.contains(frequency)) {
+                        scanResults.push({
+                            frequency: frequency,
+                            signalStrength: radio.signalStrength
+                        });
+                        stationCount = scanResults.length;
+                    }
+                    popup.updateProgress(
+                        bandPlan.getProgress(frequency),
+                        stationCount
+                    );
                 },
                 /**
                  * Called when scanning has been completed.
                  * Updates progress bar and found stations count after scan
                  * frequencies.
                  *
-                 * Saves found frequencies.
-                 *
-                 * Switches playing radio frequency to the first one found.
+                 * Publishes collected frequencies to be reviewed before
+                 * saving. Restores frequency played before scan if nothing
+                 * has been found.
                  *
                  * @private
-                 * @param {number[]} frequencies List of found frequencies.
+                 * @fires models.radio.scanFinished
                  * @fires models.radio.switchToFrequency
                  */
-                onfinished: function onFinished(frequencies) {
-                    var i = 0;
-
-                    stationCount = frequencies.length;
+                onfinished: function onFinished() {
                     popup.updateProgress(100, stationCount);
-                    for (i = 0; i < stationCount; i += 1) {
-                        stations.save('Station ' + (i + 1), frequencies[i]);
+                    if (stationCount) {
+                        e.fire('scanFinished', {
+                            results: scanResults,
+                            frequencyBeforeScan: frequencyBeforeScan
+                        });
+                    } else {
+                        e.fire('switchToFrequency',
+                            {frequency: frequencyBeforeScan});
                     }
-                    e.fire('switchToFrequency', {frequency: frequencies[0]});
                 }
             },
 
             /**
              * Possible states of the radio.
              *
-             * @private
+             * @memberof FMRadio/models/radio
+             * @public
              * @const {object}
              */
             RADIO_STATE = Object.freeze({
@@ -164,6 +187,38 @@ define({
                 SCAN: 'SCANNING'
             }),
 
+            /**
+             * State of the running software scan, null if not scanning.
+             *
+             * @private
+             * @type {object}
+             */
+            softwareScan = null,
+
+            /**
+             * Interval between signal strength readings in milliseconds.
+             *
+             * @private
+             * @const {number}
+             */
+            SIGNAL_POLL_INTERVAL = 1000,
+
+            /**
+             * Signal strength in dBm regarded as no reception.
+             *
+             * @private
+             * @const {number}
+             */
+            SIGNAL_MIN = -100,
+
+            /**
+             * Signal strength in dBm regarded as perfect reception.
+             *
+             * @private
+             * @const {number}
+             */
+            SIGNAL_MAX = -50,
+
             /**
              * Interruption callback.
              *
@@ -180,6 +235,9 @@ define({
          * @returns {string} State of the radio.
          */
         function getState() {
+            if (softwareScan !== null) {
+                return RADIO_STATE.SCAN;
+            }
             return radio.state;
         }
 
@@ -191,7 +249,7 @@ define({
          * @returns {number} Radio frequency.
          */
         function getFrequency() {
-            return Math.round(radio.frequency * 10) / 10;
+            return bandPlan.round(radio.frequency);
         }
 
         /**
@@ -213,7 +271,7 @@ define({
          * @param {number} freq Frequency to be played.
          */
         function start(freq) {
-            if (radio.state !== RADIO_STATE.SCAN) {
+            if (getState() !== RADIO_STATE.SCAN) {
                 radio.start(freq);
             }
         }
@@ -223,20 +281,31 @@ define({
          *
          * @memberof FMRadio/models/radio
          * @public
+         * @fires models.radio.stopped
          */
         function stop() {
-            if (radio.state === RADIO_STATE.PLAY) {
+            if (getState() === RADIO_STATE.PLAY) {
                 radio.stop();
+                e.fire('stopped');
             }
         }
 
         /**
          * Performs action when the scanning process is stopped with success.
+         * Publishes frequencies found before the scan has been stopped
+         * to be reviewed before saving.
          *
          * @private
+         * @fires models.radio.scanFinished
          */
         function scanStopSuccess() {
             start(frequencyBeforeScan);
+            if (scanResults.length) {
+                e.fire('scanFinished', {
+                    results: scanResults,
+                    frequencyBeforeScan: frequencyBeforeScan
+                });
+            }
             frequencyBeforeScan = 0;
         }
 
@@ -262,7 +331,7 @@ define({
          * @param {function} successCb Function to call after finding channel.
          */
         function seekUp(successCb) {
-            if (radio.state === RADIO_STATE.PLAY) {
+            if (getState() === RADIO_STATE.PLAY) {
                 radio.seekUp(successCb, errorCallback);
             }
         }
@@ -275,7 +344,7 @@ define({
          * @param {function} successCb Function to call after finding channel.
          */
         function seekDown(successCb) {
-            if (radio.state === RADIO_STATE.PLAY) {
+            if (getState() === RADIO_STATE.PLAY) {
                 radio.seekDown(successCb, errorCallback);
             }
         }
@@ -285,28 +354,228 @@ define({
          *
          * @memberof FMRadio/models/radio
          * @public
+         * @fires models.radio.stopped
          */
         function scanStart() {
             if (radio.state === RADIO_STATE.PLAY) {
                 radio.stop();
+                e.fire('stopped');
             }
             stationCount = 0;
+            scanResults = [];
             frequencyBeforeScan = getFrequency();
             radio.scanStart(scanCallback, errorCallback);
         }
 
+        /**
+         * Returns 'true' if sample with given index is a station,
+         * 'false' otherwise.
+         * Station is a local peak of the signal above the threshold,
+         * so weaker adjacent channels of the same station are skipped.
+         *
+         * @private
+         * @param {object[]} samples Signal samples ordered by frequency.
+         * @param {number} index Sample index.
+         * @param {number} threshold Minimal signal strength in dBm.
+         * @returns {boolean}
+         */
+        function isPeak(samples, index, threshold) {
+            var signal = samples[index].signalStrength,
+                prev = samples[index - 1],
+                next = samples[index + 1];
+
+            return signal >= threshold &&
+                (!prev || signal > prev.signalStrength) &&
+                (!next || signal >= next.signalStrength);
+        }
+
+        /**
+         * Collects sample with given index if it is a station.
+         *
+         * @private
+         * @param {number} index Sample index.
+         */
+        function collectPeak(index) {
+            var samples = softwareScan.samples;
+
+            if (samples[index] &&
+                    isPeak(samples, index, softwareScan.threshold)) {
+                scanResults.push(samples[index]);
+                stationCount = scanResults.length;
+            }
+        }
+
+        /**
+         * Ends software scan.
+         * Collects the last sample and restores muted state.
+         *
+         * @private
+         */
+        function endSoftwareScan() {
+            window.clearTimeout(softwareScan.timeout);
+            collectPeak(softwareScan.samples.length - 1);
+            radio.mute = softwareScan.wasMuted;
+            softwareScan = null;
+        }
+
+        /**
+         * Samples signal of the current channel and tunes to the next one.
+         * Sample is checked for peak once the next channel is sampled.
+         *
+         * @private
+         */
+        function softwareScanStep() {
+            var scan = softwareScan,
+                frequency = getFrequency(),
+                next = bandPlan.next(frequency);
+
+            scan.samples.push({
+                frequency: frequency,
+                signalStrength: radio.signalStrength
+            });
+            collectPeak(scan.samples.length - 2);
+
+            if (next > scan.end) {
+                endSoftwareScan();
+                scanCallback.onfinished();
+                return;
+            }
+
+            popup.updateProgress(
+                Math.min((next - scan.start) / (scan.end - scan.start), 0.99) *
+                    100,
+                stationCount
+            );
+            radio.start(next);
+            scan.timeout = window.setTimeout(softwareScanStep, scan.dwell);
+        }
+
+        /**
+         * Starts scanning for channels by tuning to every channel of the
+         * active band plan and sampling its signal strength.
+         * Radio is muted during the scan. Scan range is expected
+         * to be validated by the scan settings.
+         *
+         * @memberof FMRadio/models/radio
+         * @public
+         * @param {object} options Scan options.
+         * @param {number} options.threshold Minimal signal strength of the
+         * station in dBm.
+         * @param {number} options.dwell Time of listening to each channel
+         * in milliseconds.
+         * @param {number} [options.start] First scanned frequency,
+         * the band start by default.
+         * @param {number} [options.end] Last scanned frequency,
+         * the band end by default.
+         * @fires models.radio.stopped
+         */
+        function softwareScanStart(options) {
+            var first = bandPlan.snap(
+                    options.start || bandPlan.getMinFrequency()
+                ),
+                last = bandPlan.snap(options.end || bandPlan.getMaxFrequency());
+
+            stationCount = 0;
+            scanResults = [];
+            frequencyBeforeScan = getFrequency();
+            softwareScan = {
+                start: first,
+                end: last,
+                threshold: options.threshold,
+                dwell: options.dwell,
+                samples: [],
+                wasMuted: radio.mute,
+                timeout: 0
+            };
+            radio.mute = true;
+            e.fire('stopped');
+            radio.start(first);
+            softwareScan.timeout = window.setTimeout(
+                softwareScanStep,
+                options.dwell
+            );
+        }
+
         /**
          * Stops scanning for channels.
+         * Works for both hardware and software scan.
          *
          * @memberof FMRadio/models/radio
          * @public
          */
         function scanStop() {
-            if (radio.state === RADIO_STATE.SCAN) {
+            if (softwareScan !== null) {
+                endSoftwareScan();
+                scanStopSuccess();
+            } else if (radio.state === RADIO_STATE.SCAN) {
                 radio.scanStop(scanStopSuccess, errorCallback);
             }
         }
 
+        /**
+         * Returns 'true' if device antenna is connected, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/radio
+         * @public
+         * @returns {boolean} Is antenna connected.
+         */
+        function isAntennaConnected() {
+            return radio.isAntennaConnected;
+        }
+
+        /**
+         * Returns reception quality for given signal strength.
+         *
+         * @memberof FMRadio/models/radio
+         * @public
+         * @param {number} signalStrength Signal strength in dBm.
+         * @returns {number} Quality from 0 to 1.
+         */
+        function toQuality(signalStrength) {
+            var quality = (signalStrength - SIGNAL_MIN) /
+                    (SIGNAL_MAX - SIGNAL_MIN);
+
+            return Math.min(Math.max(quality, 0), 1);
+        }
+
+        /**
+         * Reads signal strength of the playing radio.
+         * Adds reading to reception quality of the station.
+         * Quality is null when radio is not playing.
+         *
+         * @private
+         * @fires models.radio.signalStrength
+         */
+        function pollSignalStrength() {
+            var frequency = getFrequency(),
+                signalStrength = null,
+                quality = null;
+
+            if (getState() === RADIO_STATE.PLAY) {
+                signalStrength = radio.signalStrength;
+                quality = toQuality(signalStrength);
+                stations.addQualitySample(frequency, quality);
+            }
+            e.fire('signalStrength', {
+                frequency: frequency,
+                signalStrength: signalStrength,
+                quality: quality
+            });
+        }
+
+        /**
+         * Sets radio backend.
+         * Backend must implement FMRadioManager interface.
+         * Has to be called before module initialization to take effect.
+         *
+         * @memberof FMRadio/models/radio
+         * @public
+         * @param {FMRadioManager} backend Radio backend.
+         */
+        function setBackend(backend) {
+            radio = backend;
+        }
+
         /**
          * Listens for antenna connection status change.
          *
@@ -321,9 +590,10 @@ define({
 
         /**
          * Initializes module.
-         * Creates tizen fmradio object.
-         * Sets frequency limits.
+         * Uses tizen fmradio object if no other backend has been set.
+         * Limits band plan to frequency bounds of the radio.
          * Adds radio listeners.
+         * Starts signal strength monitor.
          * Sets frequency.
          * Plays radio.
          *
@@ -357,32 +627,40 @@ define({
                     start(getFrequency());
                 }
             };
-            radio = tizen.fmradio;
-            minFrequency = radio.frequencyLowerBound;
-            maxFrequency = radio.frequencyUpperBound;
+            if (radio === null) {
+                radio = tizen.fmradio;
+            }
+            bandPlan.setHardwareBounds(
+                radio.frequencyLowerBound,
+                radio.frequencyUpperBound
+            );
 
             radio.setFMRadioInterruptedListener(interruptCallback);
             radio.setAntennaChangeListener(onChangeAntennaConnectionListener);
+            window.setInterval(pollSignalStrength, SIGNAL_POLL_INTERVAL);
 
             freq = stations.getLastFrequency();
             if (!freq) {
-                freq = minFrequency;
+                freq = bandPlan.getMinFrequency();
             }
-            start(freq);
+            start(bandPlan.snap(freq));
         }
 
         return {
             initialize: init,
+            RADIO_STATE: RADIO_STATE,
+            setBackend: setBackend,
+            isAntennaConnected: isAntennaConnected,
             getState: getState,
             getFrequency: getFrequency,
-            minFrequency: minFrequency,
-            maxFrequency: maxFrequency,
+            toQuality: toQuality,
             setMuted: setMuted,
             start: start,
             stop: stop,
             seekUp: seekUp,
             seekDown: seekDown,
             scanStart: scanStart,
+            softwareScanStart: softwareScanStart,
             scanStop: scanStop
         };
     }
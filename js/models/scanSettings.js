@@ -0,0 +1,311 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, console*/
+
+/**
+ * Module scan settings.
+ * Selects scan engine and keeps options of the software scan.
+ *
+ * @module models/scanSettings
+ * @requires {@link core/event}
+ * @requires {@link core/storage}
+ * @requires {@link FMRadio/models/bandPlan}
+ * @namespace FMRadio/models/scanSettings
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/scanSettings',
+    requires: [
+        'core/event',
+        'core/storage',
+        'models/bandPlan'
+    ],
+    def: function modelsScanSettings(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Storage module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            storage = req.core.storage,
+
+            /**
+             * Band plan module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            bandPlan = req.models.bandPlan,
+
+            /**
+             * Available scan engines.
+             *
+             * @memberof FMRadio/models/scanSettings
+             * @public
+             * @const {object}
+             */
+            ENGINES = Object.freeze({
+                HARDWARE: 'hardware',
+                SOFTWARE: 'software'
+            }),
+
+            /**
+             * Database key of the scan settings.
+             *
+             * @private
+             * @const {string}
+             */
+            DB_KEY = 'scanSettings',
+
+            /**
+             * Allowed signal threshold range in dBm.
+             *
+             * @private
+             * @const {object}
+             */
+            THRESHOLD_RANGE = Object.freeze({min: -120, max: 0}),
+
+            /**
+             * Allowed dwell time range in milliseconds.
+             *
+             * @private
+             * @const {object}
+             */
+            DWELL_RANGE = Object.freeze({min: 20, max: 2000}),
+
+            /**
+             * Scan settings.
+             * Start and end frequency are null to scan the whole band.
+             *
+             * @private
+             * @type {object}
+             */
+            settings = {
+                engine: ENGINES.HARDWARE,
+                threshold: -90,
+                dwell: 100,
+                start: null,
+                end: null
+            };
+
+        /**
+         * Returns 'true' if value is a number within given range,
+         * 'false' otherwise.
+         *
+         * @private
+         * @param {string|number} value Value.
+         * @param {object} range Range with min and max.
+         * @returns {boolean}
+         */
+        function isInRange(value, range) {
+            var number = parseFloat(value);
+
+            return !isNaN(number) && number >= range.min &&
+                number <= range.max;
+        }
+
+        /**
+         * Returns frequency value or null if it is empty.
+         *
+         * @private
+         * @param {string|number} value Frequency value.
+         * @returns {number|null}
+         */
+        function toFrequency(value) {
+            if (value === null || value === undefined || value === '') {
+                return null;
+            }
+            return parseFloat(value);
+        }
+
+        /**
+         * Returns 'true' if frequency is set and out of the active band
+         * plan, 'false' otherwise.
+         *
+         * @private
+         * @param {number} freq Frequency or null.
+         * @returns {boolean}
+         */
+        function isOutOfBand(freq) {
+            return freq !== null && !bandPlan.contains(freq);
+        }
+
+        /**
+         * Returns channel nearest to frequency, or to band edge if
+         * frequency is not set.
+         *
+         * @private
+         * @param {number} freq Frequency or null.
+         * @param {number} edge Band edge.
+         * @returns {number}
+         */
+        function toChannel(freq, edge) {
+            return bandPlan.snap(freq === null ? edge : freq);
+        }
+
+        /**
+         * Returns error message if scanned frequency range is invalid
+         * in the active band plan, empty string otherwise.
+         * Range is checked on the channels the scan starts and ends at.
+         *
+         * @private
+         * @param {number} start First scanned frequency or null.
+         * @param {number} end Last scanned frequency or null.
+         * @returns {string}
+         */
+        function validateRange(start, end) {
+            if (isNaN(start) || isNaN(end)) {
+                return 'Start and end frequency must be numbers or empty.';
+            }
+            if (isOutOfBand(start) || isOutOfBand(end)) {
+                return 'Start and end frequency must be between ' +
+                    bandPlan.format(bandPlan.getMinFrequency()) + ' and ' +
+                    bandPlan.format(bandPlan.getMaxFrequency()) + ' MHz.';
+            }
+            if (toChannel(start, bandPlan.getMinFrequency()) >=
+                    toChannel(end, bandPlan.getMaxFrequency())) {
+                return 'Start frequency must be lower than end frequency.';
+            }
+            return '';
+        }
+
+        /**
+         * Returns error message if scan settings are invalid,
+         * empty string otherwise.
+         *
+         * @memberof FMRadio/models/scanSettings
+         * @public
+         * @param {object} values Scan settings.
+         * @returns {string}
+         */
+        function validate(values) {
+            if (values.engine !== ENGINES.HARDWARE &&
+                    values.engine !== ENGINES.SOFTWARE) {
+                return 'Unknown scan engine.';
+            }
+            if (!isInRange(values.threshold, THRESHOLD_RANGE)) {
+                return 'Threshold must be between ' + THRESHOLD_RANGE.min +
+                    ' and ' + THRESHOLD_RANGE.max + ' dBm.';
+            }
+            if (!isInRange(values.dwell, DWELL_RANGE)) {
+                return 'Dwell time must be between ' + DWELL_RANGE.min +
+                    ' and ' + DWELL_RANGE.max + ' ms.';
+            }
+            return validateRange(
+                toFrequency(values.start),
+                toFrequency(values.end)
+            );
+        }
+
+        /**
+         * Returns copy of the scan settings.
+         *
+         * @memberof FMRadio/models/scanSettings
+         * @public
+         * @returns {object}
+         */
+        function get() {
+            return {
+                engine: settings.engine,
+                threshold: settings.threshold,
+                dwell: settings.dwell,
+                start: settings.start,
+                end: settings.end
+            };
+        }
+
+        /**
+         * Saves scan settings.
+         * Returns 'true' if settings are valid and saved, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/scanSettings
+         * @public
+         * @param {object} values Scan settings.
+         * @param {string} values.engine Scan engine.
+         * @param {number} values.threshold Minimal signal of the station
+         * in dBm.
+         * @param {number} values.dwell Time of listening to each channel
+         * in milliseconds.
+         * @param {number} [values.start] First scanned frequency.
+         * @param {number} [values.end] Last scanned frequency.
+         * @returns {boolean}
+         * @fires models.scanSettings.changed
+         */
+        function set(values) {
+            if (validate(values)) {
+                return false;
+            }
+
+            settings = {
+                engine: values.engine,
+                threshold: parseFloat(values.threshold),
+                dwell: parseFloat(values.dwell),
+                start: toFrequency(values.start),
+                end: toFrequency(values.end)
+            };
+            storage.settings.set(DB_KEY, JSON.stringify(settings));
+            e.fire('changed', get());
+            return true;
+        }
+
+        /**
+         * Applies scan settings read from the storage.
+         *
+         * @private
+         * @param {string} [value] Stored settings.
+         */
+        function applySettings(value) {
+            if (!value) {
+                return;
+            }
+            try {
+                settings = JSON.parse(value);
+            } catch (error) {
+                console.error('Scan settings cannot be read. ' +
+                    error.message);
+            }
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/models/scanSettings
+         * @public
+         */
+        function init() {
+            storage.settings.get(DB_KEY).then(applySettings);
+        }
+
+        return {
+            init: init,
+            ENGINES: ENGINES,
+            validate: validate,
+            get: get,
+            set: set
+        };
+    }
+});
@@ -0,0 +1,289 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, console*/
+
+/**
+ * Module sessions.
+ * Records listening sessions. Session starts when the radio is tuned
+ * to a frequency and ends when it is tuned to another one or stopped.
+ *
+ * @module models/sessions
+ * @requires {@link core/event}
+ * @requires {@link core/storage}
+ * @requires {@link core/window}
+ * @namespace FMRadio/models/sessions
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/sessions',
+    requires: [
+        'core/event',
+        'core/storage',
+        'core/window'
+    ],
+    def: function modelsSessions(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Storage module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            storage = req.core.storage,
+
+            /**
+             * Window object.
+             *
+             * @private
+             * @type {Window}
+             */
+            window = req.core.window,
+
+            /**
+             * Database key of the sessions.
+             *
+             * @private
+             * @const {string}
+             */
+            DB_KEY = 'sessions',
+
+            /**
+             * Minimal duration of the recorded session in milliseconds.
+             * Shorter sessions are passed while tuning and are skipped.
+             *
+             * @private
+             * @const {number}
+             */
+            DURATION_MIN = 10000,
+
+            /**
+             * Maximal number of stored sessions.
+             * The oldest sessions are removed first.
+             *
+             * @private
+             * @const {number}
+             */
+            SESSIONS_MAX = 1000,
+
+            /**
+             * Recorded sessions ordered by start time.
+             *
+             * @private
+             * @type {object[]}
+             */
+            sessions = [],
+
+            /**
+             * Current session, null if the radio is not played.
+             *
+             * @private
+             * @type {object}
+             */
+            current = null;
+
+        /**
+         * Saves sessions to database.
+         *
+         * @private
+         * @fires models.sessions.changed
+         */
+        function saveToDatabase() {
+            storage.set(DB_KEY, JSON.stringify(sessions));
+            e.fire('changed');
+        }
+
+        /**
+         * Ends current session.
+         * Session is recorded if it lasted long enough.
+         *
+         * @memberof FMRadio/models/sessions
+         * @public
+         */
+        function stop() {
+            if (current === null) {
+                return;
+            }
+            current.duration = Date.now() - current.start;
+            if (current.duration >= DURATION_MIN) {
+                sessions.push(current);
+                sessions = sessions.slice(-SESSIONS_MAX);
+                saveToDatabase();
+            }
+            current = null;
+        }
+
+        /**
+         * Starts session on the frequency unless it is played already.
+         * Current session on other frequency is ended.
+         *
+         * @memberof FMRadio/models/sessions
+         * @public
+         * @param {number} frequency Played frequency.
+         * @param {string|null} name Name of the station, null if
+         * the frequency is not saved.
+         */
+        function track(frequency, name) {
+            if (current !== null && current.frequency === frequency) {
+                return;
+            }
+            stop();
+            current = {
+                frequency: frequency,
+                name: name,
+                start: Date.now(),
+                duration: 0
+            };
+        }
+
+        /**
+         * Records current session when the page is hidden, as the
+         * application may be closed in the background without unload.
+         * The radio may keep playing, so the session continues as a new
+         * one. Short session is not split.
+         *
+         * @private
+         */
+        function onVisibilityChange() {
+            var session = current;
+
+            if (!window.document.hidden || session === null ||
+                    Date.now() - session.start < DURATION_MIN) {
+                return;
+            }
+            stop();
+            track(session.frequency, session.name);
+        }
+
+        /**
+         * Returns recorded sessions, the latest first.
+         *
+         * @memberof FMRadio/models/sessions
+         * @public
+         * @returns {object[]}
+         */
+        function getSessions() {
+            return sessions.slice().reverse();
+        }
+
+        /**
+         * Returns recorded sessions grouped by day of the start time,
+         * the latest first.
+         *
+         * @memberof FMRadio/models/sessions
+         * @public
+         * @returns {object[]} Days with date of the midnight and sessions.
+         */
+        function getDays() {
+            var days = [];
+
+            getSessions().forEach(function addSession(session) {
+                var date = new Date(session.start),
+                    last = days[days.length - 1];
+
+                date.setHours(0, 0, 0, 0);
+                if (last && last.date.getTime() === date.getTime()) {
+                    last.sessions.push(session);
+                } else {
+                    days.push({
+                        date: date,
+                        sessions: [session]
+                    });
+                }
+            });
+            return days;
+        }
+
+        /**
+         * Returns duration as minutes or hours and minutes.
+         *
+         * @memberof FMRadio/models/sessions
+         * @public
+         * @param {number} duration Duration in milliseconds.
+         * @returns {string}
+         */
+        function formatDuration(duration) {
+            var minutes = Math.round(duration / 60000),
+                hours = Math.floor(minutes / 60);
+
+            if (minutes < 1) {
+                return 'less than 1 min';
+            }
+            if (hours) {
+                return hours + ' h ' + minutes % 60 + ' min';
+            }
+            return minutes + ' min';
+        }
+
+        /**
+         * Applies sessions read from the storage.
+         * Sessions recorded before the storage was read
+         * follow the stored ones.
+         *
+         * @private
+         * @param {string} [value] Stored sessions.
+         * @fires models.sessions.changed
+         */
+        function applySessions(value) {
+            var stored = null;
+
+            if (!value) {
+                return;
+            }
+            try {
+                stored = JSON.parse(value);
+            } catch (error) {
+                console.error('Sessions cannot be read. ' + error.message);
+                return;
+            }
+            sessions = stored.concat(sessions).slice(-SESSIONS_MAX);
+            e.fire('changed');
+        }
+
+        /**
+         * Initializes module.
+         * Current session is ended when the page is closed. Writes
+         * of the hidden page are not delayed by the storage.
+         *
+         * @memberof FMRadio/models/sessions
+         * @public
+         */
+        function init() {
+            storage.get(DB_KEY).then(applySessions);
+            window.document.addEventListener('visibilitychange',
+                onVisibilityChange);
+            window.addEventListener('pagehide', stop);
+        }
+
+        return {
+            init: init,
+            track: track,
+            stop: stop,
+            getSessions: getSessions,
+            getDays: getDays,
+            formatDuration: formatDuration
+        };
+    }
+});
@@ -0,0 +1,250 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define*/
+
+/**
+ * Module sleep timer.
+ * Stops the radio after given time, fading the volume out before.
+ *
+ * @module models/sleepTimer
+ * @requires {@link core/event}
+ * @requires {@link core/window}
+ * @requires {@link FMRadio/models/radio}
+ * @requires {@link FMRadio/models/volume}
+ * @namespace FMRadio/models/sleepTimer
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/sleepTimer',
+    requires: [
+        'core/event',
+        'core/window',
+        'models/radio',
+        'models/volume'
+    ],
+    def: function modelsSleepTimer(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Window object.
+             *
+             * @private
+             * @type {Window}
+             */
+            window = req.core.window,
+
+            /**
+             * Radio module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            radio = req.models.radio,
+
+            /**
+             * Volume module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            volume = req.models.volume,
+
+            /**
+             * Duration of the volume fade out in milliseconds.
+             *
+             * @private
+             * @const {number}
+             */
+            FADE_DURATION = 60000,
+
+            /**
+             * Interval between timer ticks in milliseconds.
+             *
+             * @private
+             * @const {number}
+             */
+            TICK_INTERVAL = 1000,
+
+            /**
+             * Time when the radio will be stopped, 0 if timer is not set.
+             *
+             * @private
+             * @type {number}
+             */
+            endTime = 0,
+
+            /**
+             * Interval id of the timer.
+             *
+             * @private
+             * @type {number}
+             */
+            tickInterval = 0,
+
+            /**
+             * Volume level before fade out, null if not fading.
+             *
+             * @private
+             * @type {number}
+             */
+            originalVolume = null;
+
+        /**
+         * Returns 'true' if timer is set, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/sleepTimer
+         * @public
+         * @returns {boolean}
+         */
+        function isActive() {
+            return endTime !== 0;
+        }
+
+        /**
+         * Returns time remaining to stop the radio.
+         *
+         * @memberof FMRadio/models/sleepTimer
+         * @public
+         * @returns {number} Remaining time in milliseconds.
+         */
+        function getRemaining() {
+            if (!isActive()) {
+                return 0;
+            }
+            return Math.max(endTime - Date.now(), 0);
+        }
+
+        /**
+         * Formats time as [h:]mm:ss.
+         *
+         * @memberof FMRadio/models/sleepTimer
+         * @public
+         * @param {number} time Time in milliseconds.
+         * @returns {string}
+         */
+        function formatTime(time) {
+            var seconds = Math.ceil(time / 1000),
+                hours = Math.floor(seconds / 3600),
+                minutes = Math.floor(seconds / 60) % 60,
+                text = '';
+
+            seconds %= 60;
+            if (hours) {
+                text = hours + ':';
+            }
+            text += (minutes < 10 && hours ? '0' : '') + minutes + ':';
+            return text + (seconds < 10 ? '0' : '') + seconds;
+        }
+
+        /**
+         * Clears timer and restores volume changed by the fade out.
+         *
+         * @private
+         */
+        function reset() {
+            window.clearInterval(tickInterval);
+            tickInterval = 0;
+            endTime = 0;
+            if (originalVolume !== null) {
+                volume.cancelFade();
+                volume.set(originalVolume);
+                originalVolume = null;
+            }
+        }
+
+        /**
+         * Stops the radio and restores original volume.
+         *
+         * @private
+         * @fires models.sleepTimer.finished
+         */
+        function finish() {
+            volume.cancelFade();
+            radio.stop();
+            reset();
+            e.fire('finished');
+        }
+
+        /**
+         * Updates timer state.
+         * Starts volume fade out near the end.
+         *
+         * @private
+         * @fires models.sleepTimer.tick
+         */
+        function tick() {
+            var remaining = getRemaining();
+
+            if (remaining === 0) {
+                finish();
+                return;
+            }
+
+            if (originalVolume === null && remaining <= FADE_DURATION) {
+                originalVolume = volume.get();
+                volume.fade(originalVolume, 0, remaining);
+            }
+            e.fire('tick', {remaining: remaining});
+        }
+
+        /**
+         * Cancels the timer.
+         *
+         * @memberof FMRadio/models/sleepTimer
+         * @public
+         * @fires models.sleepTimer.cancelled
+         */
+        function cancel() {
+            if (isActive()) {
+                reset();
+                e.fire('cancelled');
+            }
+        }
+
+        /**
+         * Sets the timer.
+         * Replaces the timer set before.
+         *
+         * @memberof FMRadio/models/sleepTimer
+         * @public
+         * @param {number} minutes Time to stop the radio in minutes.
+         * @fires models.sleepTimer.started
+         */
+        function start(minutes) {
+            reset();
+            endTime = Date.now() + minutes * 60000;
+            tickInterval = window.setInterval(tick, TICK_INTERVAL);
+            e.fire('started', {remaining: getRemaining()});
+        }
+
+        return {
+            start: start,
+            cancel: cancel,
+            isActive: isActive,
+            getRemaining: getRemaining,
+            formatTime: formatTime
+        };
+    }
+});
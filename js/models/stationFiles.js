@@ -0,0 +1,671 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tizen*/
+
+/**
+ * Module station files.
+ * Exports station list to files and imports it from files
+ * in documents directory.
+ *
+ * @module models/stationFiles
+ * @requires {@link core/text}
+ * @requires {@link FMRadio/models/bandPlan}
+ * @requires {@link FMRadio/models/stations}
+ * @namespace FMRadio/models/stationFiles
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/stationFiles',
+    requires: [
+        'core/text',
+        'models/bandPlan',
+        'models/stations'
+    ],
+    def: function modelsStationFiles(req) {
+        'use strict';
+
+        /**
+         * Text module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var text = req.core.text,
+
+            /**
+             * Band plan module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            bandPlan = req.models.bandPlan,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Supported file formats.
+             * Text format has one "frequency=name" line per station.
+             *
+             * @memberof FMRadio/models/stationFiles
+             * @public
+             * @const {object}
+             */
+            FORMATS = Object.freeze({
+                JSON: 'json',
+                CSV: 'csv',
+                TEXT: 'txt'
+            }),
+
+            /**
+             * Ways of resolving conflict with saved station.
+             *
+             * @memberof FMRadio/models/stationFiles
+             * @public
+             * @const {object}
+             */
+            RESOLUTIONS = Object.freeze({
+                SKIP: 'skip',
+                OVERWRITE: 'overwrite',
+                KEEP_BOTH: 'keep'
+            }),
+
+            /**
+             * Version of the exported JSON file.
+             *
+             * @private
+             * @const {number}
+             */
+            FORMAT_VERSION = 1,
+
+            /**
+             * Directory of the station files.
+             *
+             * @private
+             * @const {string}
+             */
+            DIRECTORY = 'documents',
+
+            /**
+             * Pattern of the numeric CSV value.
+             *
+             * @private
+             * @const {RegExp}
+             */
+            NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+        /**
+         * Returns 'true' if filesystem API is available, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/stationFiles
+         * @public
+         * @returns {boolean}
+         */
+        function isSupported() {
+            return typeof tizen !== 'undefined' &&
+                tizen.filesystem !== undefined;
+        }
+
+        /**
+         * Returns format of the file with given name.
+         *
+         * @memberof FMRadio/models/stationFiles
+         * @public
+         * @param {string} fileName File name.
+         * @returns {string|null} Format or null if it is not supported.
+         */
+        function getFormat(fileName) {
+            var extension = fileName.split('.').pop().toLowerCase(),
+                format = null;
+
+            Object.keys(FORMATS).forEach(function check(key) {
+                if (FORMATS[key] === extension) {
+                    format = extension;
+                }
+            });
+            return format;
+        }
+
+        /**
+         * Returns names of the station properties other than name
+         * and frequency.
+         *
+         * @private
+         * @param {object[]} list Stations.
+         * @returns {string[]}
+         */
+        function getMetadataKeys(list) {
+            var keys = [];
+
+            list.forEach(function addKeys(station) {
+                Object.keys(station).forEach(function addKey(key) {
+                    if (key !== 'name' && key !== 'frequency' &&
+                            keys.indexOf(key) === -1) {
+                        keys.push(key);
+                    }
+                });
+            });
+            return keys.sort();
+        }
+
+        /**
+         * Returns value quoted for CSV file.
+         *
+         * @private
+         * @param {*} value Value.
+         * @returns {string}
+         */
+        function toCsvValue(value) {
+            var text = value === undefined || value === null ?
+                    '' : String(value);
+
+            if (/[",\r\n]/.test(text)) {
+                return '"' + text.replace(/"/g, '""') + '"';
+            }
+            return text;
+        }
+
+        /**
+         * Returns station list as CSV text.
+         * Name and frequency columns are followed by metadata columns.
+         *
+         * @private
+         * @param {object[]} list Stations.
+         * @returns {string}
+         */
+        function toCsv(list) {
+            var columns = ['name', 'frequency']
+                    .concat(getMetadataKeys(list));
+
+            return [columns.join(',')].concat(list.map(function toRow(station) {
+                return columns.map(function toValue(column) {
+                    return toCsvValue(station[column]);
+                }).join(',');
+            })).join('\n');
+        }
+
+        /**
+         * Returns station list as text in given format.
+         *
+         * @memberof FMRadio/models/stationFiles
+         * @public
+         * @param {object[]} list Stations.
+         * @param {string} format File format.
+         * @returns {string}
+         */
+        function serialize(list, format) {
+            if (format === FORMATS.CSV) {
+                return toCsv(list);
+            }
+            if (format === FORMATS.TEXT) {
+                return list.map(function toLine(station) {
+                    return station.frequency + '=' + station.name;
+                }).join('\n');
+            }
+            return JSON.stringify({
+                version: FORMAT_VERSION,
+                stations: list
+            }, null, 2);
+        }
+
+        /**
+         * Returns values of the CSV text.
+         * Quoted values may contain commas, quotes and line breaks.
+         *
+         * @private
+         * @param {string} text CSV text.
+         * @returns {string[][]} Rows of values.
+         */
+        function parseCsvRows(text) {
+            var rows = [],
+                row = [],
+                value = '',
+                quoted = false,
+                pattern = /("")|(")|(,)|(\r?\n)|([^",\r\n]+)/g,
+                match = pattern.exec(text);
+
+            /**
+             * Adds value to the row and row to the rows if it ends.
+             *
+             * @param {boolean} isRowEnd Does row end after the value.
+             */
+            function endValue(isRowEnd) {
+                row.push(value);
+                value = '';
+                if (isRowEnd) {
+                    rows.push(row);
+                    row = [];
+                }
+            }
+
+            while (match) {
+                if (match[1]) {
+                    value += quoted ? '"' : '';
+                } else if (match[2]) {
+                    quoted = !quoted;
+                } else if (quoted || match[5]) {
+                    value += match[0];
+                } else {
+                    endValue(!!match[4]);
+                }
+                match = pattern.exec(text);
+            }
+            endValue(true);
+
+            return rows.filter(function isNotEmpty(values) {
+                return values.join('').trim() !== '';
+            });
+        }
+
+        /**
+         * Returns stations read from CSV text.
+         * First row names the columns.
+         *
+         * @private
+         * @param {string} text CSV text.
+         * @returns {object[]}
+         */
+        function parseCsv(text) {
+            var rows = parseCsvRows(text),
+                columns = (rows.shift() || []).map(function trim(column) {
+                    return column.trim();
+                });
+
+            if (columns.indexOf('frequency') === -1) {
+                throw new Error('Frequency column is missing.');
+            }
+            return rows.map(function toStation(values) {
+                var station = {};
+
+                columns.forEach(function setValue(column, i) {
+                    var value = (values[i] || '').trim();
+
+                    if (column && value !== '') {
+                        station[column] = NUMBER_PATTERN.test(value) ?
+                                Number(value) : value;
+                    }
+                });
+                return station;
+            });
+        }
+
+        /**
+         * Returns stations read from "frequency=name" text.
+         * Empty lines and comment lines are ignored.
+         *
+         * @private
+         * @param {string} text Text.
+         * @returns {object[]}
+         */
+        function parseText(text) {
+            return text.split(/\r?\n/).filter(function isPreset(line) {
+                return line.indexOf('=') !== -1 && !/^\s*[#;\[]/.test(line);
+            }).map(function toStation(line) {
+                var separator = line.indexOf('=');
+
+                return {
+                    frequency: line.substr(0, separator).trim(),
+                    name: line.substr(separator + 1).trim()
+                };
+            });
+        }
+
+        /**
+         * Returns stations read from JSON text.
+         * Both exported files and plain station arrays are accepted.
+         *
+         * @private
+         * @param {string} text JSON text.
+         * @returns {object[]}
+         */
+        function parseJson(text) {
+            var data = JSON.parse(text);
+
+            if (Array.isArray(data)) {
+                return data;
+            }
+            if (!data || !Array.isArray(data.stations)) {
+                throw new Error('Station list is missing.');
+            }
+            if (data.version > FORMAT_VERSION) {
+                throw new Error('File version ' + data.version +
+                    ' is not supported.');
+            }
+            return data.stations;
+        }
+
+        /**
+         * Returns 'true' if frequency is a channel of the active band plan,
+         * compared in kHz, 'false' otherwise.
+         *
+         * @private
+         * @param {number} frequency Frequency.
+         * @returns {boolean}
+         */
+        function isChannel(frequency) {
+            return Math.round(bandPlan.snap(frequency) * 1000) ===
+                Math.round(frequency * 1000);
+        }
+
+        /**
+         * Returns station with valid name and frequency or null if
+         * frequency is out of the band or off its channel grid, as such
+         * station could never be tuned.
+         *
+         * @private
+         * @param {object} station Read station.
+         * @param {number} maxNameLength Maximal length of the name.
+         * @returns {object|null}
+         */
+        function normalize(station, maxNameLength) {
+            var result = {},
+                frequency = parseFloat(station.frequency);
+
+            if (isNaN(frequency) || !bandPlan.contains(frequency) ||
+                    !isChannel(frequency)) {
+                return null;
+            }
+            Object.keys(station).forEach(function copy(key) {
+                result[key] = station[key];
+            });
+            result.frequency = frequency;
+            if (typeof station.groups === 'string') {
+                result.groups = station.groups.split(',')
+                    .map(function trim(group) {
+                        return group.trim();
+                    }).filter(Boolean);
+            }
+            result.name = text.truncate(String(station.name || '').trim(),
+                maxNameLength) || 'UNNAMED';
+
+            return result;
+        }
+
+        /**
+         * Returns stations read from the text.
+         * Stations out of the band or off its channels are counted
+         * as skipped.
+         * Later stations on the same frequency replace earlier ones.
+         *
+         * @memberof FMRadio/models/stationFiles
+         * @public
+         * @param {string} text File content.
+         * @param {string} format File format.
+         * @param {number} maxNameLength Maximal length of the name.
+         * @returns {object} Stations and number of skipped entries.
+         * @throws {Error} If the text cannot be read.
+         */
+        function parse(text, format, maxNameLength) {
+            var read = [],
+                list = [],
+                skipped = 0;
+
+            if (format === FORMATS.CSV) {
+                read = parseCsv(text);
+            } else if (format === FORMATS.TEXT) {
+                read = parseText(text);
+            } else {
+                read = parseJson(text);
+            }
+
+            read.forEach(function add(item) {
+                var station = normalize(item || {}, maxNameLength);
+
+                if (station === null) {
+                    skipped += 1;
+                    return;
+                }
+                list = list.filter(function isOther(other) {
+                    return other.frequency !== station.frequency;
+                });
+                list.push(station);
+            });
+
+            return {stations: list, skipped: skipped};
+        }
+
+        /**
+         * Returns saved station with the same name.
+         *
+         * @private
+         * @param {string} name Station name.
+         * @returns {object|null}
+         */
+        function findByName(name) {
+            var lowerName = name.toLowerCase(),
+                found = null;
+
+            stations.getStationList().forEach(function check(station) {
+                if (station.name.toLowerCase() === lowerName) {
+                    found = station;
+                }
+            });
+            return found;
+        }
+
+        /**
+         * Returns import entries for read stations.
+         * Stations on frequency or with name of saved station conflict
+         * with it and are skipped unless resolved otherwise.
+         * Stations on the same frequency cannot be kept both.
+         *
+         * @memberof FMRadio/models/stationFiles
+         * @public
+         * @param {object[]} list Read stations.
+         * @returns {object[]} Entries with station, conflicting station
+         * and resolution.
+         */
+        function prepareImport(list) {
+            return list.map(function toEntry(station) {
+                var byFrequency = stations.getStation(station.frequency),
+                    conflict = byFrequency || findByName(station.name);
+
+                return {
+                    station: station,
+                    conflict: conflict,
+                    canKeepBoth: conflict !== null && byFrequency === null,
+                    resolution: conflict ?
+                            RESOLUTIONS.SKIP : RESOLUTIONS.KEEP_BOTH
+                };
+            });
+        }
+
+        /**
+         * Returns name not used by any of the stations.
+         * Name is shortened to fit the number suffix.
+         *
+         * @private
+         * @param {string} name Station name.
+         * @param {string[]} taken Lowercase names in use.
+         * @param {number} maxNameLength Maximal length of the name.
+         * @returns {string}
+         */
+        function getUniqueName(name, taken, maxNameLength) {
+            var number = 2,
+                suffix = '',
+                unique = name;
+
+            while (taken.indexOf(unique.toLowerCase()) !== -1) {
+                suffix = ' ' + number;
+                unique = text.truncate(name,
+                    maxNameLength - suffix.length) + suffix;
+                number += 1;
+            }
+            return unique;
+        }
+
+        /**
+         * Returns 'true' if entry should be imported, 'false' otherwise.
+         *
+         * @private
+         * @param {object} entry Import entry.
+         * @returns {boolean}
+         */
+        function isImported(entry) {
+            if (entry.resolution === RESOLUTIONS.KEEP_BOTH) {
+                return !entry.conflict || entry.canKeepBoth;
+            }
+            return entry.resolution === RESOLUTIONS.OVERWRITE;
+        }
+
+        /**
+         * Saves imported stations according to entry resolutions.
+         * Kept both stations are renamed to have unique names.
+         *
+         * @memberof FMRadio/models/stationFiles
+         * @public
+         * @param {object[]} entries Import entries.
+         * @param {number} maxNameLength Maximal length of the name.
+         * @returns {number} Number of imported stations.
+         */
+        function applyImport(entries, maxNameLength) {
+            var replaced = [],
+                added = [],
+                taken = stations.getStationList().map(function toName(s) {
+                    return s.name.toLowerCase();
+                });
+
+            entries.filter(isImported).forEach(function apply(entry) {
+                var station = entry.station;
+
+                if (entry.conflict &&
+                        entry.resolution === RESOLUTIONS.OVERWRITE) {
+                    replaced.push(entry.conflict.frequency);
+                } else {
+                    station.name = getUniqueName(station.name, taken,
+                        maxNameLength);
+                }
+                taken.push(station.name.toLowerCase());
+                added.push(station);
+            });
+            stations.addAll(added, replaced);
+
+            return added.length;
+        }
+
+        /**
+         * Resolves documents directory.
+         *
+         * @private
+         * @param {function} onSuccess Called with directory.
+         * @param {function} onError Called with error.
+         */
+        function resolveDirectory(onSuccess, onError) {
+            if (!isSupported()) {
+                onError(new Error('Filesystem is not available.'));
+                return;
+            }
+            tizen.filesystem.resolve(DIRECTORY, onSuccess, onError, 'rw');
+        }
+
+        /**
+         * Writes stations to file in documents directory.
+         *
+         * @memberof FMRadio/models/stationFiles
+         * @public
+         * @param {string} fileName File name with extension of the format.
+         * @param {object[]} list Stations.
+         * @param {function} onSuccess Called with path of the file.
+         * @param {function} onError Called with error.
+         */
+        function exportToFile(fileName, list, onSuccess, onError) {
+            var text = serialize(list, getFormat(fileName));
+
+            resolveDirectory(function write(dir) {
+                var file = null;
+
+                try {
+                    file = dir.resolve(fileName);
+                } catch (err) {
+                    file = dir.createFile(fileName);
+                }
+                file.openStream('w', function onOpen(stream) {
+                    stream.write(text);
+                    stream.close();
+                    onSuccess(file.fullPath);
+                }, onError, 'UTF-8');
+            }, onError);
+        }
+
+        /**
+         * Lists names of station files in documents directory.
+         *
+         * @memberof FMRadio/models/stationFiles
+         * @public
+         * @param {function} onSuccess Called with sorted file names.
+         * @param {function} onError Called with error.
+         */
+        function listFiles(onSuccess, onError) {
+            resolveDirectory(function list(dir) {
+                dir.listFiles(function onList(files) {
+                    onSuccess(files.filter(function isStationFile(file) {
+                        return file.isFile && getFormat(file.name) !== null;
+                    }).map(function toName(file) {
+                        return file.name;
+                    }).sort());
+                }, onError);
+            }, onError);
+        }
+
+        /**
+         * Reads stations from file in documents directory.
+         *
+         * @memberof FMRadio/models/stationFiles
+         * @public
+         * @param {string} fileName File name.
+         * @param {number} maxNameLength Maximal length of the name.
+         * @param {function} onSuccess Called with result of parsing.
+         * @param {function} onError Called with error.
+         */
+        function importFromFile(fileName, maxNameLength, onSuccess,
+                onError) {
+            resolveDirectory(function read(dir) {
+                dir.resolve(fileName).readAsText(function onRead(text) {
+                    var result = null;
+
+                    try {
+                        result = parse(text, getFormat(fileName),
+                            maxNameLength);
+                    } catch (err) {
+                        onError(err);
+                        return;
+                    }
+                    onSuccess(result);
+                }, onError, 'UTF-8');
+            }, onError);
+        }
+
+        return {
+            FORMATS: FORMATS,
+            RESOLUTIONS: RESOLUTIONS,
+            isSupported: isSupported,
+            getFormat: getFormat,
+            serialize: serialize,
+            parse: parse,
+            prepareImport: prepareImport,
+            applyImport: applyImport,
+            exportToFile: exportToFile,
+            listFiles: listFiles,
+            importFromFile: importFromFile
+        };
+    }
+});
@@ -0,0 +1,95 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tizen*/
+
+/**
+ * Module station logos.
+ * Lists local images which can be used as station logos.
+ *
+ * @module models/stationLogos
+ * @namespace FMRadio/models/stationLogos
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/stationLogos',
+    def: function modelsStationLogos() {
+        'use strict';
+
+        /**
+         * Virtual root with images.
+         *
+         * @private
+         * @const {string}
+         */
+        var DIRECTORY = 'images',
+
+            /**
+             * Pattern of supported image file names.
+             *
+             * @private
+             * @const {RegExp}
+             */
+            IMAGE_PATTERN = /\.(png|jpe?g|gif|bmp)$/i;
+
+        /**
+         * Returns 'true' if filesystem API is available, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/stationLogos
+         * @public
+         * @returns {boolean}
+         */
+        function isSupported() {
+            return typeof tizen !== 'undefined' &&
+                tizen.filesystem !== undefined;
+        }
+
+        /**
+         * Lists images in images directory.
+         *
+         * @memberof FMRadio/models/stationLogos
+         * @public
+         * @param {function} onSuccess Called with images sorted by name,
+         * each having name and URI.
+         * @param {function} onError Called with error.
+         */
+        function listImages(onSuccess, onError) {
+            if (!isSupported()) {
+                onError(new Error('Filesystem is not available.'));
+                return;
+            }
+            tizen.filesystem.resolve(DIRECTORY, function list(dir) {
+                dir.listFiles(function onList(files) {
+                    onSuccess(files.filter(function isImage(file) {
+                        return file.isFile && IMAGE_PATTERN.test(file.name);
+                    }).map(function toImage(file) {
+                        return {
+                            name: file.name,
+                            uri: file.toURI()
+                        };
+                    }).sort(function compare(a, b) {
+                        return a.name.localeCompare(b.name);
+                    }));
+                }, onError);
+            }, onError, 'r');
+        }
+
+        return {
+            isSupported: isSupported,
+            listImages: listImages
+        };
+    }
+});
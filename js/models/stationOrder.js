@@ -0,0 +1,319 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, console*/
+
+/**
+ * Module station order.
+ * Keeps order of the stations chosen by the user. Custom order is stored
+ * separately from the station list, so it is not lost while stations
+ * are sorted in other ways.
+ *
+ * @module models/stationOrder
+ * @requires {@link core/event}
+ * @requires {@link core/storage}
+ * @requires {@link FMRadio/models/statistics}
+ * @namespace FMRadio/models/stationOrder
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/stationOrder',
+    requires: [
+        'core/event',
+        'core/storage',
+        'models/statistics'
+    ],
+    def: function modelsStationOrder(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Storage module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            storage = req.core.storage,
+
+            /**
+             * Statistics module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            statistics = req.models.statistics,
+
+            /**
+             * Database key of the station order.
+             *
+             * @private
+             * @const {string}
+             */
+            DB_KEY = 'stationOrder',
+
+            /**
+             * Listening times of the frequencies, updated when stations
+             * are sorted by listening time.
+             *
+             * @private
+             * @type {object}
+             */
+            listened = {},
+
+            /**
+             * Available order modes.
+             *
+             * @memberof FMRadio/models/stationOrder
+             * @public
+             * @const {object}
+             */
+            MODES = Object.freeze({
+                FREQUENCY: 'frequency',
+                CUSTOM: 'custom',
+                NAME: 'name',
+                LISTENED: 'listened',
+                ADDED: 'added'
+            }),
+
+            /**
+             * Functions comparing stations in order modes other than
+             * custom one. Ties are ordered by frequency.
+             *
+             * @private
+             * @const {object}
+             */
+            COMPARATORS = Object.freeze({
+                frequency: function byFrequency() {
+                    return 0;
+                },
+                name: function byName(a, b) {
+                    return a.name.localeCompare(b.name);
+                },
+                listened: function byListeningTime(a, b) {
+                    return (listened[b.frequency] || 0) -
+                        (listened[a.frequency] || 0);
+                },
+                added: function byAddingTime(a, b) {
+                    return (b.added || 0) - (a.added || 0);
+                }
+            }),
+
+            /**
+             * Current order mode.
+             *
+             * @private
+             * @type {string}
+             */
+            mode = MODES.FREQUENCY,
+
+            /**
+             * Station frequencies in custom order.
+             *
+             * @private
+             * @type {number[]}
+             */
+            order = [];
+
+        /**
+         * Saves order to database.
+         *
+         * @private
+         * @fires models.stationOrder.changed
+         */
+        function saveToDatabase() {
+            storage.settings.set(DB_KEY, JSON.stringify({
+                mode: mode,
+                order: order
+            }));
+            e.fire('changed', {mode: mode});
+        }
+
+        /**
+         * Returns current order mode.
+         *
+         * @memberof FMRadio/models/stationOrder
+         * @public
+         * @returns {string}
+         */
+        function getMode() {
+            return mode;
+        }
+
+        /**
+         * Sets order mode.
+         * Returns 'true' if mode is valid, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/stationOrder
+         * @public
+         * @param {string} value Order mode.
+         * @returns {boolean}
+         */
+        function setMode(value) {
+            if (value !== MODES.CUSTOM && !COMPARATORS[value]) {
+                return false;
+            }
+            mode = value;
+            saveToDatabase();
+            return true;
+        }
+
+        /**
+         * Returns position of the frequency in custom order.
+         * Frequencies not ordered yet are placed at the end.
+         *
+         * @private
+         * @param {number} frequency Frequency.
+         * @returns {number}
+         */
+        function getPosition(frequency) {
+            var position = order.indexOf(frequency);
+
+            return position === -1 ? order.length : position;
+        }
+
+        /**
+         * Returns stations in given or current order.
+         * Stations missing in custom order follow the ordered ones
+         * by frequency.
+         *
+         * @memberof FMRadio/models/stationOrder
+         * @public
+         * @param {object[]} list Stations.
+         * @param {string} [orderMode] Order mode, current one if not given.
+         * @returns {object[]}
+         */
+        function sort(list, orderMode) {
+            var comparator = COMPARATORS[orderMode || mode] ||
+                function byPosition(a, b) {
+                    return getPosition(a.frequency) -
+                        getPosition(b.frequency);
+                };
+
+            if (comparator === COMPARATORS.listened) {
+                listened = statistics.getTotals();
+            }
+
+            return list.slice().sort(function compare(a, b) {
+                return comparator(a, b) || a.frequency - b.frequency;
+            });
+        }
+
+        /**
+         * Stores new custom order of the stations.
+         * Only positions taken by given stations are changed, so order
+         * of the stations of one group can be changed separately.
+         *
+         * @memberof FMRadio/models/stationOrder
+         * @public
+         * @param {object[]} list All stations.
+         * @param {number[]} frequencies Reordered station frequencies.
+         */
+        function reorder(list, frequencies) {
+            var moved = frequencies.slice();
+
+            order = sort(list, MODES.CUSTOM).map(function toFrequency(station) {
+                if (frequencies.indexOf(station.frequency) !== -1) {
+                    return moved.shift();
+                }
+                return station.frequency;
+            });
+            saveToDatabase();
+        }
+
+        /**
+         * Returns frequency of the station following the frequency
+         * in given list. If the frequency is not a station, the nearest
+         * station in the direction is found by frequency.
+         *
+         * @memberof FMRadio/models/stationOrder
+         * @public
+         * @param {object[]} list Stations in current order.
+         * @param {number} frequency Current frequency.
+         * @param {number} direction 1 for next station, -1 for previous.
+         * @returns {number}
+         */
+        function step(list, frequency, direction) {
+            var frequencies = list.map(function toFrequency(station) {
+                    return station.frequency;
+                }),
+                index = frequencies.indexOf(frequency);
+
+            if (index === -1) {
+                frequencies.sort(function compare(a, b) {
+                    return a - b;
+                });
+                index = frequencies.filter(function isLower(value) {
+                    return value < frequency;
+                }).length - (direction > 0 ? 1 : 0);
+            }
+            index = (index + direction + frequencies.length) %
+                frequencies.length;
+            return frequencies[index];
+        }
+
+        /**
+         * Applies station order read from the storage.
+         *
+         * @private
+         * @param {string} [value] Stored order.
+         * @fires models.stationOrder.changed
+         */
+        function applyOrder(value) {
+            var stored = null;
+
+            if (!value) {
+                return;
+            }
+            try {
+                stored = JSON.parse(value);
+            } catch (error) {
+                console.error('Station order cannot be read. ' +
+                    error.message);
+                return;
+            }
+            mode = stored.mode;
+            order = stored.order;
+            e.fire('changed', {mode: mode});
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/models/stationOrder
+         * @public
+         */
+        function init() {
+            storage.settings.get(DB_KEY).then(applyOrder);
+        }
+
+        return {
+            init: init,
+            MODES: MODES,
+            getMode: getMode,
+            setMode: setMode,
+            sort: sort,
+            reorder: reorder,
+            step: step
+        };
+    }
+});
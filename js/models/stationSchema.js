@@ -0,0 +1,286 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define*/
+
+/**
+ * Module station schema.
+ * Defines properties of the station record and upgrades station lists
+ * stored by older versions of the application.
+ *
+ * Version 1 stored plain array of stations, version 2 stores object
+ * with schema version and stations having genre, notes, logo and color.
+ * Stations are stored as separate records now, each one with stable id.
+ *
+ * @module models/stationSchema
+ * @namespace FMRadio/models/stationSchema
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/stationSchema',
+    def: function modelsStationSchema() {
+        'use strict';
+
+        /**
+         * Current schema version.
+         *
+         * @memberof FMRadio/models/stationSchema
+         * @public
+         * @const {number}
+         */
+        var VERSION = 2,
+
+            /**
+             * Maximal length of the genre.
+             *
+             * @memberof FMRadio/models/stationSchema
+             * @public
+             * @const {number}
+             */
+            GENRE_LENGTH_MAX = 20,
+
+            /**
+             * Maximal length of the notes.
+             *
+             * @memberof FMRadio/models/stationSchema
+             * @public
+             * @const {number}
+             */
+            NOTES_LENGTH_MAX = 200,
+
+            /**
+             * Pattern of the accent color.
+             *
+             * @private
+             * @const {RegExp}
+             */
+            COLOR_PATTERN = /^#[0-9a-f]{6}$/i,
+
+            /**
+             * Pattern of the logo URI. Logos are local image files
+             * or embedded images, other schemes are not loaded.
+             *
+             * @private
+             * @const {RegExp}
+             */
+            LOGO_PATTERN = /^(file:|data:image\/)/i,
+
+            /**
+             * Properties of the station record.
+             *
+             * @private
+             * @const {string[]}
+             */
+            FIELDS = [
+                'id',
+                'name',
+                'frequency',
+                'groups',
+                'genre',
+                'notes',
+                'logo',
+                'color',
+                'added',
+                'quality',
+                'qualitySamples'
+            ];
+
+        /**
+         * Returns text trimmed and cut to maximal length.
+         *
+         * @private
+         * @param {*} value Value.
+         * @param {number} length Maximal length.
+         * @returns {string}
+         */
+        function toText(value, length) {
+            if (value === undefined || value === null) {
+                return '';
+            }
+            return String(value).trim().substr(0, length).trim();
+        }
+
+        /**
+         * Returns group names as array of trimmed, non-empty and unique
+         * strings. Anything else is dropped.
+         *
+         * @private
+         * @param {*} value Value.
+         * @returns {string[]}
+         */
+        function toGroups(value) {
+            var groups = [];
+
+            if (!Array.isArray(value)) {
+                return groups;
+            }
+            value.forEach(function addGroup(group) {
+                var name = typeof group === 'string' ? group.trim() : '';
+
+                if (name && groups.indexOf(name) === -1) {
+                    groups.push(name);
+                }
+            });
+            return groups;
+        }
+
+        /**
+         * Returns number limited to the range or 0 if the value
+         * is not a number.
+         *
+         * @private
+         * @param {*} value Value.
+         * @param {number} max Maximal value.
+         * @returns {number}
+         */
+        function toNumber(value, max) {
+            if (typeof value !== 'number' || !isFinite(value)) {
+                return 0;
+            }
+            return Math.min(Math.max(value, 0), max);
+        }
+
+        /**
+         * Returns new unique station id.
+         *
+         * @private
+         * @returns {string}
+         */
+        function createId() {
+            return Date.now().toString(36) + '-' +
+                Math.random().toString(36).substr(2, 8);
+        }
+
+        /**
+         * Returns copy of the station with all properties of the current
+         * schema. Missing and invalid metadata is replaced by defaults,
+         * properties outside the schema are dropped.
+         * Station without adding time is marked as added now, station
+         * without id gets new one.
+         *
+         * @memberof FMRadio/models/stationSchema
+         * @public
+         * @param {object} station Station.
+         * @returns {object}
+         */
+        function normalize(station) {
+            var result = {};
+
+            FIELDS.forEach(function copy(key) {
+                if (station[key] !== undefined) {
+                    result[key] = station[key];
+                }
+            });
+            result.genre = toText(station.genre, GENRE_LENGTH_MAX);
+            result.notes = toText(station.notes, NOTES_LENGTH_MAX);
+            result.logo = LOGO_PATTERN.test(station.logo) ?
+                    String(station.logo) : null;
+            result.color = COLOR_PATTERN.test(station.color) ?
+                    station.color.toLowerCase() : null;
+            result.groups = toGroups(station.groups);
+            result.quality = toNumber(station.quality, 1);
+            result.qualitySamples = Math.floor(
+                toNumber(station.qualitySamples, Infinity)
+            );
+            result.added = Number(station.added) || Date.now();
+            result.id = station.id ? String(station.id) : createId();
+
+            return result;
+        }
+
+        /**
+         * Returns new station.
+         *
+         * @memberof FMRadio/models/stationSchema
+         * @public
+         * @param {string} name Station name.
+         * @param {number} frequency Station frequency.
+         * @returns {object}
+         */
+        function create(name, frequency) {
+            return normalize({name: name, frequency: frequency});
+        }
+
+        /**
+         * Returns normalized copy of the station with new id.
+         * Used for stations coming from files, which may have ids
+         * of stations on other devices.
+         *
+         * @memberof FMRadio/models/stationSchema
+         * @public
+         * @param {object} station Station.
+         * @returns {object}
+         */
+        function copy(station) {
+            var result = normalize(station);
+
+            result.id = createId();
+            return result;
+        }
+
+        /**
+         * Returns station list upgraded from given schema version
+         * to the next one.
+         *
+         * @private
+         * @param {object[]} list Stations.
+         * @param {number} version Schema version of the list.
+         * @returns {object[]}
+         */
+        function upgrade(list, version) {
+            if (version === 1) {
+                // Version 2 added genre, notes, logo and color.
+                return list.map(normalize);
+            }
+            return list;
+        }
+
+        /**
+         * Returns station list read from stored value upgraded
+         * to the current schema version.
+         *
+         * @memberof FMRadio/models/stationSchema
+         * @public
+         * @param {object|object[]} stored Stored value.
+         * @returns {object[]}
+         * @throws {Error} If the value was stored by newer version.
+         */
+        function unpack(stored) {
+            var version = Array.isArray(stored) ? 1 : stored.version,
+                list = Array.isArray(stored) ? stored : stored.stations;
+
+            if (version > VERSION) {
+                throw new Error('Unsupported station schema version ' +
+                    version);
+            }
+            while (version < VERSION) {
+                list = upgrade(list, version);
+                version += 1;
+            }
+            return list;
+        }
+
+        return {
+            VERSION: VERSION,
+            GENRE_LENGTH_MAX: GENRE_LENGTH_MAX,
+            NOTES_LENGTH_MAX: NOTES_LENGTH_MAX,
+            normalize: normalize,
+            create: create,
+            copy: copy,
+            unpack: unpack
+        };
+    }
+});
@@ -0,0 +1,190 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, console*/
+
+/**
+ * Module station store.
+ * Keeps every station as separate record of the stations collection,
+ * keyed by station id. Only changed records are written.
+ *
+ * In IndexedDB the collection is an object store indexed by frequency
+ * and name. Station list stored as one value of the key-value store
+ * by older versions is moved to it when the database is upgraded.
+ *
+ * @module models/stationStore
+ * @requires {@link core/storage}
+ * @requires {@link FMRadio/models/stationSchema}
+ * @namespace FMRadio/models/stationStore
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/stationStore',
+    requires: [
+        'core/storage',
+        'models/stationSchema'
+    ],
+    def: function modelsStationStore(req) {
+        'use strict';
+
+        /**
+         * Storage module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var storage = req.core.storage,
+
+            /**
+             * Station schema module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stationSchema = req.models.stationSchema,
+
+            /**
+             * Database version adding the stations object store.
+             *
+             * @private
+             * @const {number}
+             */
+            DB_VERSION = 6,
+
+            /**
+             * Name of the stations object store.
+             *
+             * @private
+             * @const {string}
+             */
+            STORE_NAME = 'stations',
+
+            /**
+             * Key of the station list in the key-value store.
+             *
+             * @private
+             * @const {string}
+             */
+            LEGACY_KEY = 'stations',
+
+            /**
+             * Stations collection API.
+             *
+             * @private
+             * @type {object}
+             */
+            store = storage.collection(STORE_NAME, 'id'),
+
+            /**
+             * Stored records as JSON by station id.
+             *
+             * @private
+             * @type {object}
+             */
+            stored = {};
+
+        /**
+         * Creates stations object store and moves station list
+         * from the key-value store to it.
+         * Only the first station on each frequency is kept.
+         *
+         * @private
+         * @param {object} context Migration context.
+         */
+        function migrate(context) {
+            var stations = context.createStore(STORE_NAME, {keyPath: 'id'});
+
+            context.createIndex(STORE_NAME, 'frequency', 'frequency', {
+                unique: true
+            });
+            context.createIndex(STORE_NAME, 'name', 'name');
+            context.transform(context.keyValueStore, function move(record) {
+                var frequencies = [];
+
+                if (record.key !== LEGACY_KEY) {
+                    return undefined;
+                }
+                stationSchema.unpack(JSON.parse(record.value))
+                    .forEach(function putStation(station) {
+                        if (frequencies.indexOf(station.frequency) === -1) {
+                            frequencies.push(station.frequency);
+                            stations.put(stationSchema.normalize(station));
+                        }
+                    });
+                return null;
+            });
+        }
+
+        /**
+         * Reads all stations.
+         * Failed read is logged and results in empty list.
+         *
+         * @memberof FMRadio/models/stationStore
+         * @public
+         * @returns {Promise} Resolved with stations.
+         */
+        function load() {
+            return store.getAll().then(function remember(records) {
+                stored = {};
+                records.forEach(function addRecord(record) {
+                    stored[record.id] = JSON.stringify(record);
+                });
+                return records.map(stationSchema.normalize);
+            }, function onError(error) {
+                console.error('Stations cannot be read. ' + error.message);
+                return [];
+            });
+        }
+
+        /**
+         * Writes changed and new stations and removes stations missing
+         * on the list in one transaction. Failed write is logged
+         * by the storage.
+         *
+         * @memberof FMRadio/models/stationStore
+         * @public
+         * @param {object[]} list Stations.
+         */
+        function save(list) {
+            var records = [],
+                current = {},
+                removed = [];
+
+            list.forEach(function addRecord(station) {
+                var json = JSON.stringify(station);
+
+                current[station.id] = json;
+                if (stored[station.id] !== json) {
+                    records.push(JSON.parse(json));
+                }
+            });
+            removed = Object.keys(stored).filter(function isRemoved(id) {
+                return current[id] === undefined;
+            });
+            stored = current;
+            if (records.length || removed.length) {
+                store.write(records, removed);
+            }
+        }
+
+        storage.addMigration(DB_VERSION, migrate);
+
+        return {
+            load: load,
+            save: save
+        };
+    }
+});
@@ -14,14 +14,18 @@
  * limitations under the License.
  */
 
-/*global define*/
+/*global define, console*/
 
 /**
  * Module stations.
  *
  * @module models/stations
  * @requires {@link core/event}
- * @requires {@link core/storage/idb}
+ * @requires {@link core/storage}
+ * @requires {@link FMRadio/models/bandPlan}
+ * @requires {@link FMRadio/models/stationOrder}
+ * @requires {@link FMRadio/models/stationSchema}
+ * @requires {@link FMRadio/models/stationStore}
  * @namespace FMRadio/models/stations
  * @memberof FMRadio/models
  */
@@ -30,7 +34,11 @@ define({
     name: 'models/stations',
     requires: [
         'core/event',
-        'core/storage/idb'
+        'core/storage',
+        'models/bandPlan',
+        'models/stationOrder',
+        'models/stationSchema',
+        'models/stationStore'
     ],
     def: function modelsStations(req) {
         'use strict';
@@ -44,12 +52,44 @@ define({
         var e = req.core.event,
 
             /**
-             * Idb module object.
+             * Storage module object.
              *
              * @private
              * @type {Module}
              */
-            idb = req.core.storage.idb,
+            storage = req.core.storage,
+
+            /**
+             * Band plan module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            bandPlan = req.models.bandPlan,
+
+            /**
+             * Station order module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stationOrder = req.models.stationOrder,
+
+            /**
+             * Station schema module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stationSchema = req.models.stationSchema,
+
+            /**
+             * Station store module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stationStore = req.models.stationStore,
 
             /**
              * List of saved stations.
@@ -67,6 +107,56 @@ define({
              */
             lastFrequency = 0,
 
+            /**
+             * Number of the latest quality readings averaged per station.
+             *
+             * @private
+             * @const {number}
+             */
+            QUALITY_SAMPLES_MAX = 100,
+
+            /**
+             * Maximal length of the group name.
+             *
+             * @memberof FMRadio/models/stations
+             * @public
+             * @const {number}
+             */
+            GROUP_NAME_LENGTH_MAX = 15,
+
+            /**
+             * Number of quality readings between database saves.
+             *
+             * @private
+             * @const {number}
+             */
+            QUALITY_SAVE_PERIOD = 10,
+
+            /**
+             * Quality readings since last database save.
+             *
+             * @private
+             * @type {number}
+             */
+            unsavedQualitySamples = 0,
+
+            /**
+             * Group cycled by next and previous station or null
+             * to cycle all stations.
+             *
+             * @private
+             * @type {string}
+             */
+            activeGroup = null,
+
+            /**
+             * Station list and settings are read from database.
+             *
+             * @private
+             * @type {boolean}
+             */
+            loaded = false,
+
             /**
              * Database keys values.
              *
@@ -74,8 +164,8 @@ define({
              * @type {object}
              */
             dbKeys = {
-                stations: 'stations',
-                lastFrequency: 'lastFrequency'
+                lastFrequency: 'lastFrequency',
+                activeGroup: 'activeGroup'
             };
 
         /**
@@ -92,14 +182,67 @@ define({
 
         /**
          * Saves station list to database.
+         * Announces the change of the list if it is described.
          *
          * @private
+         * @param {string} [label] Description of the change.
+         * @param {string} [before] Station list snapshot taken before
+         * the change.
+         * @fires models.stations.changed
          */
-        function saveToDatabase() {
-            idb.add(dbKeys.stations, JSON.stringify(stationList));
-            idb.add(dbKeys.lastFrequency, lastFrequency);
+        function saveToDatabase(label, before) {
+            stationStore.save(stationList);
+            if (label) {
+                e.fire('changed', {
+                    label: label,
+                    before: before,
+                    after: JSON.stringify(stationList)
+                });
+            }
+        }
+
+
+        /**
+         * Returns snapshot of the station list.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @returns {string}
+         */
+        function getSnapshot() {
+            return JSON.stringify(stationList);
         }
 
+        /**
+         * Restores station list from the snapshot.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @param {string} snapshot Station list snapshot.
+         */
+        function restore(snapshot) {
+            stationList = JSON.parse(snapshot).map(stationSchema.normalize);
+            saveToDatabase();
+        }
+
+        /**
+         * Returns saved station on given frequency or null.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @param {number} frequency Station frequency.
+         * @returns {object|null}
+         */
+        function getStation(frequency) {
+            var i = 0;
+
+            for (i = 0; i < stationList.length; i += 1) {
+                if (stationList[i].frequency === frequency) {
+                    return stationList[i];
+                }
+            }
+            return null;
+        }
 
         /**
          * Saves last frequency to database.
@@ -109,8 +252,10 @@ define({
          * @param {number} frequency Last frequency.
          */
         function setLastFrequency(frequency) {
-            lastFrequency = frequency;
-            saveToDatabase();
+            if (frequency !== lastFrequency) {
+                lastFrequency = frequency;
+                storage.settings.set(dbKeys.lastFrequency, lastFrequency);
+            }
         }
 
         /**
@@ -168,7 +313,8 @@ define({
          * @param {boolean} overwrite Should overwrite name if station exists.
          */
         function save(name, frequency, overwrite) {
-            var i = 0,
+            var before = getSnapshot(),
+                i = 0,
                 exists = false,
                 station = null,
                 length = stationList.length;
@@ -185,34 +331,156 @@ define({
             }
 
             if (!exists) {
-                stationList.push({name: name, frequency: frequency});
+                stationList.push(stationSchema.create(name, frequency));
                 stationList.sort(compare);
             }
 
-            saveToDatabase();
+            saveToDatabase(exists ? 'Rename station' : 'Save station', before);
         }
 
         /**
-         * Removes station from station list.
+         * Adds reception quality reading of the station on given frequency.
+         * Station keeps moving average of the latest readings.
+         * Readings of frequencies not saved as stations are ignored.
          *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @param {number} frequency Station frequency.
+         * @param {number} quality Reception quality from 0 to 1.
+         */
+        function addQualitySample(frequency, quality) {
+            var station = getStation(frequency),
+                average = 0;
+
+            if (station === null) {
+                return;
+            }
+
+            average = station.quality || 0;
+            station.qualitySamples = Math.min(
+                (station.qualitySamples || 0) + 1,
+                QUALITY_SAMPLES_MAX
+            );
+            station.quality = average +
+                (quality - average) / station.qualitySamples;
+
+            unsavedQualitySamples += 1;
+            if (unsavedQualitySamples >= QUALITY_SAVE_PERIOD) {
+                unsavedQualitySamples = 0;
+                saveToDatabase();
+            }
+        }
+
+        /**
+         * Saves list of stations at once.
+         * Existing stations keep their statistics and get new names.
+         * Stations missing on the list are removed if the list should
+         * replace existing one.
          *
          * @memberof FMRadio/models/stations
          * @public
-         * @param {number} frequency Frequency value to remove.
+         * @param {object[]} list Stations with name and frequency.
+         * @param {boolean} replace Should list replace existing stations.
          */
-        function remove(frequency) {
-            var i = 0,
-                station = null,
-                length = stationList.length;
+        function saveAll(list, replace) {
+            var before = getSnapshot();
+
+            if (replace) {
+                stationList = stationList.filter(function isOnList(station) {
+                    return list.some(function hasFrequency(item) {
+                        return item.frequency === station.frequency;
+                    });
+                });
+            }
 
-            for (i = 0; i < length; i += 1) {
-                station = stationList[i];
-                if (station.frequency === frequency) {
-                    stationList.splice(i, 1);
-                    break;
+            list.forEach(function saveItem(item) {
+                var station = getStation(item.frequency);
+
+                if (station === null) {
+                    stationList.push(
+                        stationSchema.create(item.name, item.frequency)
+                    );
+                } else {
+                    station.name = item.name;
                 }
+            });
+            stationList.sort(compare);
+
+            saveToDatabase('Save scan results', before);
+        }
+
+        /**
+         * Removes stations on given frequencies from station list.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @param {number|number[]} frequencies Frequency value or values
+         * to remove.
+         */
+        function remove(frequencies) {
+            var before = getSnapshot();
+
+            frequencies = [].concat(frequencies);
+            stationList = stationList.filter(function isKept(station) {
+                return frequencies.indexOf(station.frequency) === -1;
+            });
+            saveToDatabase(frequencies.length === 1 ?
+                    'Remove station' : 'Remove stations', before);
+        }
+
+        /**
+         * Changes properties of the station on given frequency.
+         * Frequency of the station cannot be changed.
+         * Returns 'true' if station exists, 'false' otherwise.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @param {number} frequency Station frequency.
+         * @param {object} properties Changed properties.
+         * @returns {boolean}
+         */
+        function update(frequency, properties) {
+            var before = getSnapshot(),
+                station = getStation(frequency);
+
+            if (station === null) {
+                return false;
             }
-            saveToDatabase();
+            Object.keys(properties).forEach(function copy(key) {
+                station[key] = properties[key];
+            });
+            station.frequency = frequency;
+            stationList[stationList.indexOf(station)] =
+                stationSchema.normalize(station);
+
+            saveToDatabase('Edit station', before);
+            return true;
+        }
+
+        /**
+         * Adds stations with all their properties at once.
+         * Stations on given frequencies are removed first, added stations
+         * replace saved ones on the same frequency. Missing properties
+         * of added stations get default values and every added station
+         * gets new id.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @param {object[]} list Stations.
+         * @param {number[]} [replaced] Frequency values to remove.
+         */
+        function addAll(list, replaced) {
+            var before = getSnapshot(),
+                removed = list.map(function toFrequency(station) {
+                    return station.frequency;
+                }).concat(replaced || []);
+
+            stationList = stationList.filter(function isKept(station) {
+                return removed.indexOf(station.frequency) === -1;
+            }).concat(list.map(stationSchema.copy));
+            stationList.sort(compare);
+
+            saveToDatabase('Import stations', before);
         }
 
         /**
@@ -223,82 +491,221 @@ define({
          * @public
          */
         function removeAll() {
+            var before = getSnapshot();
+
             stationList = [];
-            saveToDatabase();
+            saveToDatabase('Remove all stations', before);
         }
 
         /**
-         * Tunes to next saved station and returns its frequency.
+         * Returns names of all groups of saved stations.
          *
          * @memberof FMRadio/models/stations
          * @public
-         * @returns {number}
+         * @returns {string[]} Sorted group names.
          */
-        function nextStation(freq) {
-            var i = 0,
-                station = null,
-                stationsLen = stationList.length;
+        function getGroupNames() {
+            var names = [];
 
-            for (i = 0; i < stationsLen; i += 1) {
-                station = stationList[i];
-                if (station.frequency > freq) {
-                    return station.frequency;
-                }
+            stationList.forEach(function addGroups(station) {
+                (station.groups || []).forEach(function addGroup(group) {
+                    if (names.indexOf(group) === -1) {
+                        names.push(group);
+                    }
+                });
+            });
+            return names.sort();
+        }
+
+        /**
+         * Returns stations matching the query in requested order.
+         * Text matches station name containing it or frequency
+         * starting with it.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @param {object} [options] Query options.
+         * @param {string} [options.text] Searched text.
+         * @param {string} [options.group] Group name, all stations
+         * are returned if it is not given or null.
+         * @param {string} [options.order] Order mode, current order
+         * is used if it is not given.
+         * @returns {object[]}
+         */
+        function query(options) {
+            var text = '',
+                group = null;
+
+            options = options || {};
+            text = (options.text || '').trim().toLowerCase();
+            group = options.group || null;
+
+            /**
+             * Returns 'true' if station matches searched text.
+             * Frequency is matched as it is displayed.
+             *
+             * @param {object} station Station.
+             * @returns {boolean}
+             */
+            function matchesText(station) {
+                return station.name.toLowerCase().indexOf(text) !== -1 ||
+                    bandPlan.format(station.frequency).indexOf(text) === 0;
             }
-            return stationList[0].frequency;
+
+            return stationOrder.sort(
+                stationList.filter(function matches(station) {
+                    return (group === null ||
+                        (station.groups || []).indexOf(group) !== -1) &&
+                        (!text || matchesText(station));
+                }),
+                options.order
+            );
+        }
+
+        /**
+         * Sets groups of the stations on given frequencies replacing
+         * their previous groups.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @param {number|number[]} frequencies Station frequency or
+         * frequencies.
+         * @param {string[]} groups Group names.
+         */
+        function setGroups(frequencies, groups) {
+            var before = getSnapshot();
+
+            frequencies = [].concat(frequencies);
+            stationList.forEach(function setStationGroups(station) {
+                if (frequencies.indexOf(station.frequency) !== -1) {
+                    station.groups = groups.slice();
+                }
+            });
+            saveToDatabase('Change groups', before);
+        }
+
+        /**
+         * Returns group cycled by next and previous station.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @returns {string|null} Group name or null for all stations.
+         */
+        function getActiveGroup() {
+            return activeGroup;
+        }
+
+        /**
+         * Sets group cycled by next and previous station.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @param {string} group Group name or null for all stations.
+         * @fires models.stations.activeGroupChanged
+         */
+        function setActiveGroup(group) {
+            activeGroup = group;
+            storage.settings.set(dbKeys.activeGroup,
+                JSON.stringify(activeGroup));
+            e.fire('activeGroupChanged', {group: activeGroup});
+        }
+
+        /**
+         * Returns stations cycled by next and previous station
+         * in current station order.
+         * All stations are cycled if active group has no stations.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @returns {object[]}
+         */
+        function getCycledStations() {
+            var list = query({group: activeGroup});
+
+            return list.length ? list : query();
         }
 
         /**
-         * Tunes to previous saved station and returns its frequency.
+         * Tunes to next station of the active group and returns
+         * its frequency.
+         *
+         * @memberof FMRadio/models/stations
+         * @public
+         * @returns {number}
+         */
+        function nextStation(freq) {
+            return stationOrder.step(getCycledStations(), freq, 1);
+        }
+
+        /**
+         * Tunes to previous station of the active group and returns
+         * its frequency.
          *
          * @memberof FMRadio/models/stations
          * @public
          * @returns {number}
          */
         function prevStation(freq) {
-            var i = 0,
-                station = null,
-                stationsLen = stationList.length;
+            return stationOrder.step(getCycledStations(), freq, -1);
+        }
 
-            for (i = stationsLen - 1; i >= 0; i -= 1) {
-                station = stationList[i];
-                if (station.frequency < freq) {
-                    return station.frequency;
+        /**
+         * Applies last played frequency and active group read
+         * from the storage.
+         *
+         * @private
+         * @param {Array} values Last frequency and active group values.
+         * @fires models.stations.switchToFrequency
+         * @fires models.stations.activeGroupChanged
+         */
+        function applySettings(values) {
+            if (values[0]) {
+                lastFrequency = values[0];
+                e.fire('switchToFrequency', {frequency: lastFrequency});
+            }
+            if (values[1]) {
+                try {
+                    activeGroup = JSON.parse(values[1]);
+                } catch (error) {
+                    console.error('Active group cannot be read. ' +
+                        error.message);
+                    return;
                 }
+                e.fire('activeGroupChanged', {group: activeGroup});
             }
-            return stationList[stationsLen - 1].frequency;
         }
 
         /**
-         * Reads station list and last played frequency from database.
+         * Reads station list, last played frequency and active group
+         * from the storage. Other modules are notified when everything
+         * is applied.
          *
          * @private
+         * @fires models.stations.loaded
          */
         function queryDatabase() {
-            if (idb.isReady()) {
-                idb.get(dbKeys.stations);
-                idb.get(dbKeys.lastFrequency);
-            }
+            stationStore.load().then(function onLoad(list) {
+                stationList = list.sort(compare);
+                return storage.settings.getMany([
+                    dbKeys.lastFrequency,
+                    dbKeys.activeGroup
+                ]);
+            }).then(applySettings).then(function onLoaded() {
+                loaded = true;
+                e.fire('loaded');
+            });
         }
 
         /**
-         * Performs action when database values are read.
+         * Returns 'true' if station list and settings are read
+         * from database, 'false' otherwise.
          *
-         * @private
-         * @param {Event} event Event on read database values.
-         * @fires models.station.switchToFrequency
+         * @memberof FMRadio/models/stations
+         * @public
+         * @returns {boolean}
          */
-        function queryCallback(event) {
-            var data = event.detail;
-
-            if (data.value) {
-                if (data.key === dbKeys.stations) {
-                    stationList = JSON.parse(data.value);
-                } else if (data.key === dbKeys.lastFrequency) {
-                    lastFrequency = data.value;
-                    e.fire('switchToFrequency', {frequency: lastFrequency});
-                }
-            }
+        function isLoaded() {
+            return loaded;
         }
 
         /**
@@ -308,24 +715,33 @@ define({
          * @public
          */
         function init() {
-            if (idb.isReady()) {
-                queryDatabase();
-            } else {
-                e.listen('core.storage.idb.open', queryDatabase);
-            }
+            queryDatabase();
         }
 
-        e.listen('core.storage.idb.read', queryCallback);
-
         return {
             init: init,
+            GROUP_NAME_LENGTH_MAX: GROUP_NAME_LENGTH_MAX,
             setLastFrequency: setLastFrequency,
             getLastFrequency: getLastFrequency,
+            isLoaded: isLoaded,
             getStationList: getStationList,
             getStationName: getStationName,
+            getStation: getStation,
             save: save,
+            saveAll: saveAll,
+            addAll: addAll,
+            addQualitySample: addQualitySample,
             remove: remove,
+            update: update,
             removeAll: removeAll,
+            getSnapshot: getSnapshot,
+            restore: restore,
+            getGroupNames: getGroupNames,
+            query: query,
+            setGroups: setGroups,
+            getActiveGroup: getActiveGroup,
+            setActiveGroup: setActiveGroup,
+            getCycledStations: getCycledStations,
             nextStation: nextStation,
             prevStation: prevStation
         };
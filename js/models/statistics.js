@@ -0,0 +1,232 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define*/
+
+/**
+ * Module statistics.
+ * Computes listening time statistics from recorded sessions.
+ * All times are in milliseconds.
+ *
+ * @module models/statistics
+ * @requires {@link FMRadio/models/sessions}
+ * @namespace FMRadio/models/statistics
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/statistics',
+    requires: [
+        'models/sessions'
+    ],
+    def: function modelsStatistics(sessions) {
+        'use strict';
+
+        /**
+         * Number of milliseconds in one day.
+         *
+         * @private
+         * @const {number}
+         */
+        var DAY = 86400000;
+
+        /**
+         * Returns sessions started or lasting after given time.
+         * Sessions lasting at that time are cut to start at it.
+         *
+         * @private
+         * @param {number} [since] Time, all sessions if not given.
+         * @returns {object[]} Sessions, the latest first.
+         */
+        function getSessions(since) {
+            since = since || 0;
+            return sessions.getSessions().filter(function isLater(session) {
+                return session.start + session.duration > since;
+            }).map(function cut(session) {
+                var start = Math.max(session.start, since);
+
+                return {
+                    frequency: session.frequency,
+                    name: session.name,
+                    start: start,
+                    duration: session.start + session.duration - start
+                };
+            });
+        }
+
+        /**
+         * Splits sessions at full hours and calls the callback with
+         * start date and duration of each part.
+         *
+         * @private
+         * @param {function} callback Called with date and duration.
+         */
+        function spread(callback) {
+            getSessions().forEach(function split(session) {
+                var time = session.start,
+                    end = session.start + session.duration,
+                    next = null;
+
+                while (time < end) {
+                    next = new Date(time);
+                    next.setMinutes(60, 0, 0);
+                    callback(new Date(time), Math.min(next.getTime(), end) -
+                        time);
+                    time = next.getTime();
+                }
+            });
+        }
+
+        /**
+         * Returns listening time of each frequency.
+         *
+         * @memberof FMRadio/models/statistics
+         * @public
+         * @param {number} [since] Start of the counted period,
+         * all sessions are counted if not given.
+         * @returns {object} Listening times by frequency.
+         */
+        function getTotals(since) {
+            var totals = {};
+
+            getSessions(since).forEach(function add(session) {
+                totals[session.frequency] = (totals[session.frequency] || 0) +
+                    session.duration;
+            });
+            return totals;
+        }
+
+        /**
+         * Returns listened frequencies with listening time,
+         * the most listened first. Name is the latest name
+         * the station had while listened.
+         *
+         * @memberof FMRadio/models/statistics
+         * @public
+         * @param {number} [since] Start of the counted period,
+         * all sessions are counted if not given.
+         * @returns {object[]} Frequencies with name and duration.
+         */
+        function getStationTimes(since) {
+            var totals = getTotals(since),
+                names = {};
+
+            getSessions(since).forEach(function addName(session) {
+                if (names[session.frequency] === undefined) {
+                    names[session.frequency] = session.name;
+                }
+            });
+            return Object.keys(totals).map(function toTime(frequency) {
+                return {
+                    frequency: Number(frequency),
+                    name: names[frequency],
+                    duration: totals[frequency]
+                };
+            }).sort(function compare(a, b) {
+                return b.duration - a.duration || a.frequency - b.frequency;
+            });
+        }
+
+        /**
+         * Returns the most listened frequencies of the last days.
+         *
+         * @memberof FMRadio/models/statistics
+         * @public
+         * @param {number} days Number of days.
+         * @param {number} count Maximal number of frequencies.
+         * @returns {object[]} Frequencies with name and duration.
+         */
+        function getTopStations(days, count) {
+            return getStationTimes(Date.now() - days * DAY).slice(0, count);
+        }
+
+        /**
+         * Returns listening time of each day of week.
+         *
+         * @memberof FMRadio/models/statistics
+         * @public
+         * @returns {number[]} Listening times, Sunday first.
+         */
+        function getWeekdayTimes() {
+            var times = [0, 0, 0, 0, 0, 0, 0];
+
+            spread(function add(date, duration) {
+                times[date.getDay()] += duration;
+            });
+            return times;
+        }
+
+        /**
+         * Returns listening time of each hour of day.
+         *
+         * @memberof FMRadio/models/statistics
+         * @public
+         * @returns {number[]} Listening times, midnight hour first.
+         */
+        function getHourTimes() {
+            var times = [],
+                i = 0;
+
+            for (i = 0; i < 24; i += 1) {
+                times.push(0);
+            }
+            spread(function add(date, duration) {
+                times[date.getHours()] += duration;
+            });
+            return times;
+        }
+
+        /**
+         * Returns saved stations divided into listened ones
+         * with listening time, the most listened first, and never
+         * listened ones.
+         *
+         * @memberof FMRadio/models/statistics
+         * @public
+         * @param {object[]} list Saved stations.
+         * @returns {object} Used and unused stations.
+         */
+        function getUsage(list) {
+            var totals = getTotals();
+
+            return {
+                used: list.filter(function isUsed(station) {
+                    return totals[station.frequency] !== undefined;
+                }).map(function toTime(station) {
+                    return {
+                        frequency: station.frequency,
+                        name: station.name,
+                        duration: totals[station.frequency]
+                    };
+                }).sort(function compare(a, b) {
+                    return b.duration - a.duration ||
+                        a.frequency - b.frequency;
+                }),
+                unused: list.filter(function isUnused(station) {
+                    return totals[station.frequency] === undefined;
+                })
+            };
+        }
+
+        return {
+            getTotals: getTotals,
+            getStationTimes: getStationTimes,
+            getTopStations: getTopStations,
+            getWeekdayTimes: getWeekdayTimes,
+            getHourTimes: getHourTimes,
+            getUsage: getUsage
+        };
+    }
+});
@@ -0,0 +1,158 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tizen*/
+
+/**
+ * Module volume.
+ * Controls system media volume.
+ * Volume is only kept in memory when Tizen sound API is missing.
+ *
+ * @module models/volume
+ * @requires {@link core/window}
+ * @namespace FMRadio/models/volume
+ * @memberof FMRadio/models
+ */
+define({
+    name: 'models/volume',
+    requires: [
+        'core/window'
+    ],
+    def: function modelsVolume(window) {
+        'use strict';
+
+        /**
+         * Sound type controlled by the module.
+         *
+         * @private
+         * @const {string}
+         */
+        var SOUND_TYPE = 'MEDIA',
+
+            /**
+             * Interval between volume changes during fade in milliseconds.
+             *
+             * @private
+             * @const {number}
+             */
+            FADE_INTERVAL = 500,
+
+            /**
+             * Volume level used when Tizen sound API is missing.
+             *
+             * @private
+             * @type {number}
+             */
+            level = 1,
+
+            /**
+             * Interval id of the pending fade.
+             *
+             * @private
+             * @type {number}
+             */
+            fadeInterval = 0;
+
+        /**
+         * Returns 'true' if Tizen sound API is available, 'false' otherwise.
+         *
+         * @private
+         * @returns {boolean}
+         */
+        function isSoundApiAvailable() {
+            return typeof tizen !== 'undefined' && tizen.sound !== undefined;
+        }
+
+        /**
+         * Returns media volume level.
+         *
+         * @memberof FMRadio/models/volume
+         * @public
+         * @returns {number} Volume level from 0 to 1.
+         */
+        function get() {
+            if (isSoundApiAvailable()) {
+                return tizen.sound.getVolume(SOUND_TYPE);
+            }
+            return level;
+        }
+
+        /**
+         * Sets media volume level.
+         *
+         * @memberof FMRadio/models/volume
+         * @public
+         * @param {number} value Volume level from 0 to 1.
+         */
+        function set(value) {
+            value = Math.min(Math.max(value, 0), 1);
+            if (isSoundApiAvailable()) {
+                tizen.sound.setVolume(SOUND_TYPE, value);
+            } else {
+                level = value;
+            }
+        }
+
+        /**
+         * Stops pending fade.
+         * Volume stays at the level reached so far.
+         *
+         * @memberof FMRadio/models/volume
+         * @public
+         */
+        function cancelFade() {
+            window.clearInterval(fadeInterval);
+            fadeInterval = 0;
+        }
+
+        /**
+         * Changes volume gradually.
+         * Cancels previous fade.
+         *
+         * @memberof FMRadio/models/volume
+         * @public
+         * @param {number} from Initial volume level from 0 to 1.
+         * @param {number} to Final volume level from 0 to 1.
+         * @param {number} duration Fade duration in milliseconds.
+         * @param {function} [callback] Function called when fade completes.
+         */
+        function fade(from, to, duration, callback) {
+            var startTime = Date.now();
+
+            cancelFade();
+            set(from);
+            fadeInterval = window.setInterval(function fadeStep() {
+                var progress = duration > 0 ?
+                        Math.min((Date.now() - startTime) / duration, 1) : 1;
+
+                set(from + (to - from) * progress);
+                if (progress === 1) {
+                    cancelFade();
+                    if (typeof callback === 'function') {
+                        callback();
+                    }
+                }
+            }, FADE_INTERVAL);
+        }
+
+        return {
+            get: get,
+            set: set,
+            fade: fade,
+            cancelFade: cancelFade
+        };
+    }
+});
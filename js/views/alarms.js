@@ -0,0 +1,482 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tau, document*/
+
+/**
+ * Alarms module.
+ * Handles alarm list page, alarm edit page and fired alarm popup.
+ *
+ * @module views/alarms
+ * @requires {@link core/event}
+ * @requires {@link core/template}
+ * @requires {@link FMRadio/models/alarms}
+ * @requires {@link FMRadio/models/radio}
+ * @requires {@link FMRadio/models/stations}
+ * @requires {@link FMRadio/views/popup}
+ * @namespace FMRadio/views/alarms
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/alarms',
+    requires: [
+        'core/event',
+        'core/template',
+        'models/alarms',
+        'models/radio',
+        'models/stations',
+        'views/popup'
+    ],
+    def: function viewsAlarms(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Template module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            tpl = req.core.template,
+
+            /**
+             * Alarms module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            alarms = req.models.alarms,
+
+            /**
+             * Radio module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            radio = req.models.radio,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Popup module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            popup = req.views.popup,
+
+            /**
+             * Short names of the days of the week.
+             *
+             * @private
+             * @const {object}
+             */
+            DAY_NAMES = {
+                MO: 'Mon',
+                TU: 'Tue',
+                WE: 'Wed',
+                TH: 'Thu',
+                FR: 'Fri',
+                SA: 'Sat',
+                SU: 'Sun'
+            },
+
+            /**
+             * Values of the new alarm.
+             *
+             * @private
+             * @const {object}
+             */
+            DEFAULT_ALARM = {
+                time: '07:00',
+                days: [],
+                startVolume: 0.5,
+                fadeIn: 30
+            },
+
+            /**
+             * Alarm list element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            alarmList = document.getElementById('alarm-list'),
+
+            /**
+             * Alarm edit inputs.
+             *
+             * @private
+             * @type {object}
+             */
+            inputs = {
+                time: document.getElementById('alarm-time'),
+                station: document.getElementById('alarm-station'),
+                volume: document.getElementById('alarm-volume'),
+                fadeIn: document.getElementById('alarm-fade-in')
+            },
+
+            /**
+             * Id of the edited alarm, null for a new alarm.
+             *
+             * @private
+             * @type {number}
+             */
+            editedId = null;
+
+        /**
+         * Returns label of the station on given frequency.
+         *
+         * @private
+         * @param {number} frequency Frequency.
+         * @returns {string}
+         */
+        function getStationLabel(frequency) {
+            var name = stations.getStationName(frequency);
+
+            if (name === 'UNNAMED') {
+                return frequency + ' MHz';
+            }
+            return name + ' (' + frequency + ' MHz)';
+        }
+
+        /**
+         * Returns alarm description displayed on the list.
+         *
+         * @private
+         * @param {object} alarm Alarm.
+         * @returns {string}
+         */
+        function describe(alarm) {
+            var days = 'Once';
+
+            if (alarm.days.length === Object.keys(DAY_NAMES).length) {
+                days = 'Every day';
+            } else if (alarm.days.length) {
+                days = alarm.days.map(function getDayName(day) {
+                    return DAY_NAMES[day];
+                }).join(' ');
+            }
+            return days + ', ' + getStationLabel(alarm.frequency);
+        }
+
+        /**
+         * Displays alarm list.
+         *
+         * @private
+         */
+        function displayAlarms() {
+            var list = alarms.getAlarms().map(function toListItem(alarm) {
+                return {
+                    id: alarm.id,
+                    time: alarm.time,
+                    enabled: alarm.enabled,
+                    description: describe(alarm)
+                };
+            });
+
+            alarmList.innerHTML = tpl.get('alarmListItem', {arr: list});
+            tau.engine.createWidgets(alarmList);
+            tau.widget.Listview(alarmList).refresh();
+        }
+
+        /**
+         * Returns checkboxes of the days of the week.
+         *
+         * @private
+         * @returns {NodeList}
+         */
+        function getDayInputs() {
+            return document.querySelectorAll('input[name="alarm-day"]');
+        }
+
+        /**
+         * Fills alarm edit page with values of the edited alarm.
+         *
+         * @private
+         */
+        function fillEditor() {
+            var alarm = alarms.getAlarm(editedId) || DEFAULT_ALARM,
+                frequency = alarm.frequency || radio.getFrequency(),
+                dayInputs = getDayInputs(),
+                deleteBtn = document.getElementById('alarm-delete-button'),
+                options = stations.getStationList().map(function toOption(s) {
+                    return s.frequency;
+                }),
+                i = 0;
+
+            if (options.indexOf(frequency) === -1) {
+                options.unshift(frequency);
+            }
+            inputs.station.innerHTML = tpl.get('stationOption', {
+                arr: options.map(function toOption(freq) {
+                    return {
+                        frequency: freq,
+                        label: getStationLabel(freq),
+                        selected: freq === frequency
+                    };
+                })
+            });
+
+            inputs.time.value = alarm.time;
+            inputs.volume.value = Math.round(alarm.startVolume * 100);
+            inputs.fadeIn.value = alarm.fadeIn;
+            for (i = 0; i < dayInputs.length; i += 1) {
+                dayInputs[i].checked =
+                    alarm.days.indexOf(dayInputs[i].value) !== -1;
+            }
+            if (editedId === null) {
+                tau.widget.Button(deleteBtn).disable();
+            } else {
+                tau.widget.Button(deleteBtn).enable();
+            }
+        }
+
+        /**
+         * Opens alarm edit page.
+         *
+         * @private
+         * @param {number} id Id of the alarm to edit, null for a new alarm.
+         */
+        function openEditor(id) {
+            editedId = id;
+            tau.changePage('#alarm-edit-page');
+        }
+
+        /**
+         * Shows popup with given message on the alarm edit page.
+         *
+         * @private
+         * @param {string} message Message.
+         */
+        function showError(message) {
+            popup.showPopup('alarm-edit-page', popup.POPUP_TYPES.TEXT, {
+                title: 'Alarm',
+                btnYesText: 'OK',
+                text: message
+            });
+        }
+
+        /**
+         * Saves alarm with values of the edit page inputs.
+         *
+         * @private
+         */
+        function onSaveBtnClick() {
+            var dayInputs = getDayInputs(),
+                days = [],
+                fadeIn = Number(inputs.fadeIn.value),
+                i = 0;
+
+            if (!/^\d{2}:\d{2}$/.test(inputs.time.value)) {
+                showError('Alarm time is not set.');
+                return;
+            }
+            if (!(fadeIn >= 0 && fadeIn <= 600)) {
+                showError('Fade-in must be between 0 and 600 seconds.');
+                return;
+            }
+            for (i = 0; i < dayInputs.length; i += 1) {
+                if (dayInputs[i].checked) {
+                    days.push(dayInputs[i].value);
+                }
+            }
+
+            alarms.save({
+                id: editedId,
+                time: inputs.time.value,
+                days: days,
+                frequency: Number(inputs.station.value),
+                startVolume: Number(inputs.volume.value) / 100,
+                fadeIn: fadeIn
+            });
+            tau.changePage('#alarms-page');
+        }
+
+        /**
+         * Asks for confirmation and removes edited alarm.
+         *
+         * @private
+         */
+        function onDeleteBtnClick() {
+            popup.showPopup('alarm-edit-page', popup.POPUP_TYPES.TEXT, {
+                title: 'Delete alarm',
+                btnYesText: 'Yes',
+                btnNoText: 'No',
+                text: 'Do you want to delete this alarm?',
+                btnYesCallback: function removeAlarm() {
+                    alarms.remove(editedId);
+                    tau.changePage('#alarms-page');
+                }
+            });
+        }
+
+        /**
+         * Returns id of the alarm on the list containing given element.
+         *
+         * @private
+         * @param {HTMLElement} element Element on the list.
+         * @returns {number|null}
+         */
+        function getAlarmId(element) {
+            while (element && !(element.dataset && element.dataset.id)) {
+                element = element.parentNode;
+            }
+            return element ? Number(element.dataset.id) : null;
+        }
+
+        /**
+         * Returns 'true' if given element is a part of the alarm switch,
+         * 'false' otherwise.
+         *
+         * @private
+         * @param {HTMLElement} element Element on the list.
+         * @returns {boolean}
+         */
+        function isSwitch(element) {
+            while (element && element !== alarmList) {
+                if (element.tagName === 'INPUT' ||
+                        element.classList.contains('ui-toggle-container')) {
+                    return true;
+                }
+                element = element.parentNode;
+            }
+            return false;
+        }
+
+        /**
+         * Opens clicked alarm unless its switch is clicked.
+         *
+         * @private
+         * @param {Event} event Click event.
+         */
+        function onAlarmListClick(event) {
+            var id = getAlarmId(event.target);
+
+            if (id !== null && !isSwitch(event.target)) {
+                openEditor(id);
+            }
+        }
+
+        /**
+         * Enables or disables alarm when its switch changes.
+         *
+         * @private
+         * @param {Event} event Change event.
+         */
+        function onAlarmListChange(event) {
+            var id = getAlarmId(event.target);
+
+            if (id !== null) {
+                alarms.setEnabled(id, event.target.checked);
+            }
+        }
+
+        /**
+         * Shows popup of the playing alarm.
+         *
+         * @private
+         * @param {object} alarm Playing alarm.
+         */
+        function showAlarmPopup(alarm) {
+            popup.showPopup('main-page', popup.POPUP_TYPES.TEXT, {
+                title: 'Alarm ' + alarm.time,
+                btnYesText: 'Dismiss',
+                btnNoText: 'Snooze',
+                text: getStationLabel(alarm.frequency),
+                btnYesCallback: alarms.dismiss,
+                btnNoCallback: function snooze() {
+                    alarms.snooze(alarm.id);
+                }
+            });
+        }
+
+        /**
+         * Tunes to alarm station and shows alarm popup on main page.
+         *
+         * @private
+         * @param {Event} event Fired alarm event.
+         * @fires views.alarms.switchToFrequency
+         */
+        function onAlarmFired(event) {
+            var alarm = event.detail.alarm,
+                mainPage = document.getElementById('main-page');
+
+            e.fire('switchToFrequency', {frequency: alarm.frequency});
+            if (mainPage.classList.contains('ui-page-active')) {
+                showAlarmPopup(alarm);
+            } else {
+                mainPage.addEventListener('pageshow', function onShow() {
+                    mainPage.removeEventListener('pageshow', onShow);
+                    showAlarmPopup(alarm);
+                });
+            }
+        }
+
+        /**
+         * Binds events.
+         *
+         * @private
+         */
+        function bindEvents() {
+            var page = document.getElementById('alarms-page'),
+                editPage = document.getElementById('alarm-edit-page'),
+                addBtn = document.getElementById('alarm-add-button'),
+                saveBtn = document.getElementById('alarm-save-button'),
+                deleteBtn = document.getElementById('alarm-delete-button');
+
+            page.addEventListener('pagebeforeshow', displayAlarms);
+            editPage.addEventListener('pagebeforeshow', fillEditor);
+            alarmList.addEventListener('click', onAlarmListClick);
+            alarmList.addEventListener('change', onAlarmListChange);
+            addBtn.addEventListener('click', function onAddBtnClick() {
+                openEditor(null);
+            });
+            saveBtn.addEventListener('click', onSaveBtnClick);
+            deleteBtn.addEventListener('click', onDeleteBtnClick);
+
+            e.listeners({
+                'models.alarms.fired': onAlarmFired
+            });
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/alarms
+         * @public
+         */
+        function init() {
+            bindEvents();
+        }
+
+        return {
+            init: init
+        };
+    }
+});
@@ -0,0 +1,211 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, document*/
+
+/**
+ * Charts module.
+ * Draws simple SVG bar charts.
+ *
+ * @module views/charts
+ * @namespace FMRadio/views/charts
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/charts',
+    def: function viewsCharts() {
+        'use strict';
+
+        /**
+         * SVG namespace.
+         *
+         * @private
+         * @const {string}
+         */
+        var SVG_NS = 'http://www.w3.org/2000/svg',
+
+            /**
+             * Width of the chart.
+             *
+             * @private
+             * @const {number}
+             */
+            WIDTH = 320,
+
+            /**
+             * Height of the bar of the horizontal chart.
+             *
+             * @private
+             * @const {number}
+             */
+            ROW_HEIGHT = 28,
+
+            /**
+             * Width of the label column of the horizontal chart.
+             *
+             * @private
+             * @const {number}
+             */
+            LABEL_WIDTH = 110,
+
+            /**
+             * Width of the value column of the horizontal chart.
+             *
+             * @private
+             * @const {number}
+             */
+            VALUE_WIDTH = 70,
+
+            /**
+             * Height of the bars of the vertical chart.
+             *
+             * @private
+             * @const {number}
+             */
+            COLUMN_HEIGHT = 100,
+
+            /**
+             * Height of the label row of the vertical chart.
+             *
+             * @private
+             * @const {number}
+             */
+            LABEL_HEIGHT = 20;
+
+        /**
+         * Creates SVG element with given attributes.
+         *
+         * @private
+         * @param {string} name Element name.
+         * @param {object} attributes Attributes.
+         * @param {string} [text] Text content.
+         * @returns {SVGElement}
+         */
+        function create(name, attributes, text) {
+            var element = document.createElementNS(SVG_NS, name);
+
+            Object.keys(attributes).forEach(function set(key) {
+                element.setAttribute(key, attributes[key]);
+            });
+            if (text !== undefined) {
+                element.textContent = text;
+            }
+            return element;
+        }
+
+        /**
+         * Returns the greatest value of the items, at least 1.
+         *
+         * @private
+         * @param {object[]} items Chart items.
+         * @returns {number}
+         */
+        function getMax(items) {
+            return items.reduce(function max(result, item) {
+                return Math.max(result, item.value);
+            }, 1);
+        }
+
+        /**
+         * Removes content of the chart and sets its size.
+         *
+         * @private
+         * @param {SVGElement} svg Chart element.
+         * @param {number} height Chart height.
+         */
+        function reset(svg, height) {
+            while (svg.firstChild) {
+                svg.removeChild(svg.firstChild);
+            }
+            svg.setAttribute('viewBox', '0 0 ' + WIDTH + ' ' + height);
+        }
+
+        /**
+         * Draws horizontal bar chart with one row per item.
+         *
+         * @memberof FMRadio/views/charts
+         * @public
+         * @param {SVGElement} svg Chart element.
+         * @param {object[]} items Items with label, value and text
+         * describing the value.
+         */
+        function drawBars(svg, items) {
+            var max = getMax(items),
+                space = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+
+            reset(svg, items.length * ROW_HEIGHT);
+            items.forEach(function drawBar(item, index) {
+                var y = index * ROW_HEIGHT,
+                    width = Math.max(item.value / max * space, 1);
+
+                svg.appendChild(create('text', {
+                    'class': 'chart-label',
+                    x: 0,
+                    y: y + ROW_HEIGHT * 0.65
+                }, item.label));
+                svg.appendChild(create('rect', {
+                    'class': 'chart-bar',
+                    x: LABEL_WIDTH,
+                    y: y + ROW_HEIGHT * 0.2,
+                    width: width,
+                    height: ROW_HEIGHT * 0.6
+                }));
+                svg.appendChild(create('text', {
+                    'class': 'chart-label',
+                    x: LABEL_WIDTH + width + 4,
+                    y: y + ROW_HEIGHT * 0.65
+                }, item.text));
+            });
+        }
+
+        /**
+         * Draws vertical bar chart with one column per item.
+         * Items with empty label are drawn without label.
+         *
+         * @memberof FMRadio/views/charts
+         * @public
+         * @param {SVGElement} svg Chart element.
+         * @param {object[]} items Items with label and value.
+         */
+        function drawColumns(svg, items) {
+            var max = getMax(items),
+                width = WIDTH / items.length;
+
+            reset(svg, COLUMN_HEIGHT + LABEL_HEIGHT);
+            items.forEach(function drawColumn(item, index) {
+                var height = item.value / max * COLUMN_HEIGHT;
+
+                svg.appendChild(create('rect', {
+                    'class': 'chart-bar',
+                    x: index * width + width * 0.15,
+                    y: COLUMN_HEIGHT - height,
+                    width: width * 0.7,
+                    height: height
+                }));
+                svg.appendChild(create('text', {
+                    'class': 'chart-label chart-column-label',
+                    x: index * width + width / 2,
+                    y: COLUMN_HEIGHT + LABEL_HEIGHT * 0.75
+                }, item.label));
+            });
+        }
+
+        return {
+            drawBars: drawBars,
+            drawColumns: drawColumns
+        };
+    }
+});
@@ -0,0 +1,336 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tau, document*/
+
+/**
+ * Duplicates module.
+ * Lets user merge saved stations lying on adjacent frequencies.
+ *
+ * @module views/duplicates
+ * @requires {@link core/event}
+ * @requires {@link core/template}
+ * @requires {@link FMRadio/models/duplicates}
+ * @requires {@link FMRadio/models/history}
+ * @requires {@link FMRadio/views/popup}
+ * @namespace FMRadio/views/duplicates
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/duplicates',
+    requires: [
+        'core/event',
+        'core/template',
+        'models/duplicates',
+        'models/history',
+        'views/popup'
+    ],
+    def: function viewsDuplicates(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Template module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            tpl = req.core.template,
+
+            /**
+             * Duplicates module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            duplicates = req.models.duplicates,
+
+            /**
+             * History module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            history = req.models.history,
+
+            /**
+             * Popup module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            popup = req.views.popup,
+
+            /**
+             * Duplicate list element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            duplicateList = document.getElementById('duplicates-list'),
+
+            /**
+             * Distance input element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            distanceInput = document.getElementById('duplicates-distance'),
+
+            /**
+             * Displayed groups of duplicates.
+             *
+             * @private
+             * @type {object[]}
+             */
+            groups = [],
+
+            /**
+             * Is the latest station list change a merge made on this page.
+             *
+             * @private
+             * @type {boolean}
+             */
+            isMerged = false;
+
+        /**
+         * Returns HTML of the groups.
+         * Each group starts with a header followed by its members.
+         *
+         * @private
+         * @returns {string}
+         */
+        function renderGroups() {
+            return groups.map(function renderGroup(group, index) {
+                var members = group.members,
+                    first = members[0].frequency,
+                    last = members[members.length - 1].frequency;
+
+                return tpl.get('listHeader', {
+                    title: first + ' - ' + last + ' MHz'
+                }) + tpl.get('duplicateItem', {
+                    arr: members.map(function toListItem(station) {
+                        return {
+                            group: index,
+                            name: station.name,
+                            frequency: station.frequency,
+                            kept: station === group.kept,
+                            hasSignal: !!station.qualitySamples,
+                            signal: Math.round((station.quality || 0) * 100)
+                        };
+                    })
+                });
+            }).join('');
+        }
+
+        /**
+         * Enables or disables footer buttons.
+         *
+         * @private
+         */
+        function setupButtons() {
+            var mergeBtn = document.getElementById('duplicates-merge-button'),
+                undoBtn = document.getElementById('duplicates-undo-button');
+
+            if (groups.length) {
+                tau.widget.Button(mergeBtn).enable();
+            } else {
+                tau.widget.Button(mergeBtn).disable();
+            }
+            if (isMerged && history.canUndo()) {
+                tau.widget.Button(undoBtn).enable();
+            } else {
+                tau.widget.Button(undoBtn).disable();
+            }
+        }
+
+        /**
+         * Finds and displays groups of duplicates.
+         *
+         * @private
+         */
+        function displayGroups() {
+            groups = duplicates.findStationGroups();
+
+            document.getElementById('duplicates-empty').classList
+                .toggle('hidden', groups.length > 0);
+            duplicateList.innerHTML = renderGroups();
+            tau.engine.createWidgets(duplicateList);
+            tau.widget.Listview(duplicateList).refresh();
+            setupButtons();
+        }
+
+        /**
+         * Shows popup with given message.
+         *
+         * @private
+         * @param {string} message Message.
+         */
+        function showError(message) {
+            popup.showPopup('duplicates-page', popup.POPUP_TYPES.TEXT, {
+                title: 'Duplicates',
+                btnYesText: 'OK',
+                text: message
+            });
+        }
+
+        /**
+         * Saves distance and finds groups again.
+         *
+         * @private
+         */
+        function onDistanceChange() {
+            if (duplicates.setDistance(distanceInput.value)) {
+                displayGroups();
+            } else {
+                distanceInput.value = duplicates.getDistance();
+                showError('Distance must be between ' +
+                    duplicates.DISTANCE_RANGE.min + ' and ' +
+                    duplicates.DISTANCE_RANGE.max + ' MHz.');
+            }
+        }
+
+        /**
+         * Changes kept station of the group when its radio is checked.
+         *
+         * @private
+         * @param {Event} event Change event.
+         */
+        function onDuplicateListChange(event) {
+            var input = event.target,
+                group = groups[Number(input.name.split('-').pop())],
+                frequency = Number(input.value);
+
+            if (!group || !input.checked) {
+                return;
+            }
+            group.members.forEach(function setKept(station) {
+                if (station.frequency === frequency) {
+                    group.kept = station;
+                }
+            });
+        }
+
+        /**
+         * Merges groups keeping chosen stations.
+         *
+         * @private
+         * @fires views.duplicates.refreshStation
+         */
+        function merge() {
+            duplicates.mergeStationGroups(groups);
+            isMerged = true;
+            displayGroups();
+            e.fire('refreshStation');
+        }
+
+        /**
+         * Shows popup with confirmation about merging.
+         *
+         * @private
+         */
+        function onMergeBtnClick() {
+            var count = 0;
+
+            groups.forEach(function countRemoved(group) {
+                count += group.members.length - 1;
+            });
+            popup.showPopup('duplicates-page', popup.POPUP_TYPES.TEXT, {
+                title: 'Merge duplicates',
+                btnYesText: 'Yes',
+                btnYesCallback: merge,
+                btnNoText: 'No',
+                text: count + ' stations will be removed. Are you sure?'
+            });
+        }
+
+        /**
+         * Restores stations removed by the last merge.
+         * Main view is refreshed by history view.
+         *
+         * @private
+         */
+        function onUndoBtnClick() {
+            if (isMerged) {
+                history.undo();
+            }
+        }
+
+        /**
+         * Finds groups again after station list is restored.
+         *
+         * @private
+         */
+        function onHistoryChange() {
+            isMerged = false;
+            displayGroups();
+        }
+
+        /**
+         * Prepares page to be shown.
+         *
+         * @private
+         */
+        function onPageBeforeShow() {
+            isMerged = false;
+            distanceInput.value = duplicates.getDistance();
+            displayGroups();
+        }
+
+        /**
+         * Binds events.
+         *
+         * @private
+         */
+        function bindEvents() {
+            var page = document.getElementById('duplicates-page'),
+                mergeBtn = document.getElementById('duplicates-merge-button'),
+                undoBtn = document.getElementById('duplicates-undo-button');
+
+            page.addEventListener('pagebeforeshow', onPageBeforeShow);
+            distanceInput.addEventListener('change', onDistanceChange);
+            duplicateList.addEventListener('change', onDuplicateListChange);
+            mergeBtn.addEventListener('click', onMergeBtnClick);
+            undoBtn.addEventListener('click', onUndoBtnClick);
+
+            e.listeners({
+                'models.history.undone': onHistoryChange,
+                'models.history.redone': onHistoryChange
+            });
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/duplicates
+         * @public
+         */
+        function init() {
+            bindEvents();
+        }
+
+        return {
+            init: init
+        };
+    }
+});
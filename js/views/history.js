@@ -0,0 +1,123 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define*/
+
+/**
+ * History module.
+ * Offers undo in a snackbar after destructive station list changes
+ * and redo after undo.
+ *
+ * @module views/history
+ * @requires {@link core/event}
+ * @requires {@link FMRadio/models/history}
+ * @requires {@link FMRadio/views/snackbar}
+ * @namespace FMRadio/views/history
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/history',
+    requires: [
+        'core/event',
+        'models/history',
+        'views/snackbar'
+    ],
+    def: function viewsHistory(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * History module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            history = req.models.history,
+
+            /**
+             * Snackbar module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            snackbar = req.views.snackbar;
+
+        /**
+         * Offers undo of the destructive change.
+         *
+         * @private
+         * @param {Event} event History recorded event.
+         */
+        function onRecorded(event) {
+            if (event.detail.destructive) {
+                snackbar.show(event.detail.label, 'Undo', history.undo);
+            } else {
+                snackbar.hide();
+            }
+        }
+
+        /**
+         * Offers redo of the undone change.
+         *
+         * @private
+         * @param {Event} event History undone event.
+         * @fires views.history.refreshStation
+         */
+        function onUndone(event) {
+            snackbar.show('Undone: ' + event.detail.label, 'Redo',
+                history.redo);
+            e.fire('refreshStation');
+        }
+
+        /**
+         * Offers undo of the redone change.
+         *
+         * @private
+         * @param {Event} event History redone event.
+         * @fires views.history.refreshStation
+         */
+        function onRedone(event) {
+            snackbar.show('Redone: ' + event.detail.label, 'Undo',
+                history.undo);
+            e.fire('refreshStation');
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/history
+         * @public
+         */
+        function init() {
+            e.listeners({
+                'models.history.recorded': onRecorded,
+                'models.history.undone': onUndone,
+                'models.history.redone': onRedone
+            });
+        }
+
+        return {
+            init: init
+        };
+    }
+});
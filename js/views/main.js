@@ -21,9 +21,25 @@
  *
  * @module views/main
  * @requires {@link core/event}
+ * @requires {@link FMRadio/models/bandPlan}
  * @requires {@link FMRadio/models/radio}
+ * @requires {@link FMRadio/models/scanSettings}
+ * @requires {@link FMRadio/models/sessions}
+ * @requires {@link FMRadio/models/sleepTimer}
  * @requires {@link FMRadio/models/stations}
+ * @requires {@link FMRadio/views/alarms}
+ * @requires {@link FMRadio/views/duplicates}
+ * @requires {@link FMRadio/views/history}
+ * @requires {@link FMRadio/views/marquee}
  * @requires {@link FMRadio/views/popup}
+ * @requires {@link FMRadio/views/presets}
+ * @requires {@link FMRadio/views/recent}
+ * @requires {@link FMRadio/views/scanReview}
+ * @requires {@link FMRadio/views/settings}
+ * @requires {@link FMRadio/views/sleepTimer}
+ * @requires {@link FMRadio/views/statistics}
+ * @requires {@link FMRadio/views/stationEdit}
+ * @requires {@link FMRadio/views/stationFiles}
  * @requires {@link FMRadio/views/stationList}
  * @namespace FMRadio/views/main
  * @memberof FMRadio/views
@@ -32,9 +48,25 @@ define({
     name: 'views/main',
     requires: [
         'core/event',
+        'models/bandPlan',
         'models/radio',
+        'models/scanSettings',
+        'models/sessions',
+        'models/sleepTimer',
         'models/stations',
+        'views/alarms',
+        'views/duplicates',
+        'views/history',
+        'views/marquee',
         'views/popup',
+        'views/presets',
+        'views/recent',
+        'views/scanReview',
+        'views/settings',
+        'views/sleepTimer',
+        'views/statistics',
+        'views/stationEdit',
+        'views/stationFiles',
         'views/stationList'
     ],
     def: function viewsMain(req) {
@@ -56,6 +88,38 @@ define({
              */
             radio = req.models.radio,
 
+            /**
+             * Scan settings module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            scanSettings = req.models.scanSettings,
+
+            /**
+             * Sessions module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            sessions = req.models.sessions,
+
+            /**
+             * Band plan module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            bandPlan = req.models.bandPlan,
+
+            /**
+             * Sleep timer module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            sleepTimer = req.models.sleepTimer,
+
             /**
              * Stations module object.
              *
@@ -72,6 +136,22 @@ define({
              */
             popup = req.views.popup,
 
+            /**
+             * Marquee module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            marquee = req.views.marquee,
+
+            /**
+             * Presets view module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            presetsView = req.views.presets,
+
             /**
              * Unnamed class value.
              *
@@ -80,6 +160,14 @@ define({
              */
             UNNAMED_CLASS = 'unnamed',
 
+            /**
+             * XLink namespace used by SVG image source.
+             *
+             * @private
+             * @const {string}
+             */
+            XLINK_NS = 'http://www.w3.org/1999/xlink',
+
             /**
              * Label displaying the station name.
              *
@@ -88,6 +176,14 @@ define({
              */
             nameLabel = document.getElementById('station-name'),
 
+            /**
+             * Image displaying the station logo.
+             *
+             * @private
+             * @type {SVGImageElement}
+             */
+            logoImage = document.getElementById('station-logo'),
+
             /**
              * Label displaying the frequency.
              *
@@ -96,6 +192,22 @@ define({
              */
             frequencyLabel = document.getElementById('station-frequency'),
 
+            /**
+             * Label displaying the sleep timer countdown.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            sleepTimerLabel = document.getElementById('sleep-timer-countdown'),
+
+            /**
+             * Signal strength indicator.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            signalIndicator = document.getElementById('signal-indicator'),
+
             /**
              * Boolean preventing too fast successive click on buttons.
              *
@@ -106,6 +218,7 @@ define({
 
         /**
          * Refreshes saved stations buttons state.
+         * Next and previous station buttons cycle the active group.
          *
          * @private
          */
@@ -114,11 +227,12 @@ define({
                 nextStationBtn = document.getElementById('station-next-button'),
                 prevStationBtn = document.getElementById('station-prev-button'),
                 stationsCount = stations.getStationList().length,
+                cycledCount = stations.getCycledStations().length,
                 tauButton = tau.widget.Button;
 
             if (stationsCount) {
                 tauButton(stationsBtn).enable();
-                if (stationsCount > 1) {
+                if (cycledCount > 1) {
                     tauButton(nextStationBtn).enable();
                     tauButton(prevStationBtn).enable();
                 } else {
@@ -133,32 +247,58 @@ define({
         }
 
         /**
-         * Refreshes frequency and station name at main page.
-         * Unblocks buttons.
-         * Rounds current frequency value to number with one digit after comma.
+         * Refreshes frequency and station name labels at main page.
+         * Formats current frequency with precision of the band plan.
          *
          * If station name is not set adds 'unnamed' CSS class.
-         * Sets last played radio station frequency.
-         *
-         * Refreshes footer buttons.
+         * Shows station logo if it is set.
+         * Highlights preset slot of current frequency.
          *
          * @private
          */
-        function refreshStation() {
+        function refreshLabels() {
             var freq = radio.getFrequency(),
-                name = stations.getStationName(freq);
+                name = stations.getStationName(freq),
+                station = stations.getStation(freq),
+                logo = station && station.logo;
 
-            buttonBlock = false;
-            frequencyLabel.textContent = freq.toFixed(1);
+            frequencyLabel.textContent = bandPlan.format(freq);
             nameLabel.textContent = name;
+            logoImage.setAttributeNS(XLINK_NS, 'href', logo || '');
+            logoImage.dataset.visible = !!logo;
 
             if (name === 'UNNAMED') {
                 nameLabel.classList.add(UNNAMED_CLASS);
             } else {
                 nameLabel.classList.remove(UNNAMED_CLASS);
             }
+            marquee.refresh();
+            presetsView.refresh();
+        }
+
+        /**
+         * Refreshes frequency and station name at main page.
+         * Unblocks buttons.
+         *
+         * Sets last played radio station frequency.
+         *
+         * Refreshes footer buttons.
+         *
+         * Records listening session on played frequency.
+         *
+         * @private
+         */
+        function refreshStation() {
+            var freq = radio.getFrequency(),
+                station = stations.getStation(freq);
+
+            buttonBlock = false;
+            refreshLabels();
             stations.setLastFrequency(freq);
             refreshStationButtons();
+            if (radio.getState() === radio.RADIO_STATE.PLAY) {
+                sessions.track(freq, station && station.name);
+            }
         }
 
         /**
@@ -195,18 +335,35 @@ define({
         }
 
         /**
-         * Starts radio channel scan.
+         * Starts radio channel scan with selected scan engine.
+         * Scan range saved for another band plan is reported
+         * instead of scanning.
          *
          * @private
          */
         function onScanBtnClick() {
+            var settings = scanSettings.get(),
+                error = scanSettings.validate(settings);
+
+            if (error) {
+                popup.showPopup('main-page', popup.POPUP_TYPES.TEXT, {
+                    title: 'Scan',
+                    btnYesText: 'OK',
+                    text: error + ' Change scan range in the settings.'
+                });
+                return;
+            }
             popup.showPopup('main-page', popup.POPUP_TYPES.PROGRESS, {
                 title: 'Scanning...',
-                text: 'Found stations: 0',
+                text: '0 stations kept',
                 btnYesText: 'Cancel',
                 btnYesCallback: scanStop
             });
-            radio.scanStart();
+            if (settings.engine === scanSettings.ENGINES.SOFTWARE) {
+                radio.softwareScanStart(settings);
+            } else {
+                radio.scanStart();
+            }
         }
 
         /**
@@ -231,36 +388,57 @@ define({
 
         /**
          * Tunes radio to frequency.
+         * Frequency exceeding the band plan wraps around to its other edge.
          *
          * @private
          * @param {number} frequency Frequency to tune.
          */
         function tune(frequency) {
-            if (frequency < radio.minFrequency) {
-                frequency = radio.maxFrequency;
-            } else if (frequency > radio.maxFrequency) {
-                frequency = radio.minFrequency;
-            }
-            radio.start(frequency);
+            radio.start(bandPlan.wrap(frequency));
             refreshStation();
         }
 
         /**
-         * Tunes frequency down.
+         * Tunes frequency down by one band plan channel.
          *
          * @private
          */
         function tuneDown() {
-            tune(radio.getFrequency() - 0.1);
+            tune(bandPlan.prev(radio.getFrequency()));
         }
 
         /**
-         * Tunes frequency up.
+         * Tunes frequency up by one band plan channel.
          *
          * @private
          */
         function tuneUp() {
-            tune(radio.getFrequency() + 0.1);
+            tune(bandPlan.next(radio.getFrequency()));
+        }
+
+        /**
+         * Tunes radio to the band plan channel nearest to typed frequency.
+         *
+         * @private
+         * @param {string} value Typed frequency.
+         */
+        function tuneToTypedFrequency(value) {
+            tune(bandPlan.snap(Number(value)));
+        }
+
+        /**
+         * Moves current frequency into the band plan after it has changed.
+         * Last played frequency is kept until the user tunes the radio.
+         *
+         * @private
+         */
+        function onBandPlanChanged() {
+            var freq = radio.getFrequency();
+
+            if (!bandPlan.contains(freq)) {
+                radio.start(bandPlan.snap(freq));
+            }
+            refreshLabels();
         }
 
         /**
@@ -347,9 +525,9 @@ define({
             popup.showPopup('main-page', popup.POPUP_TYPES.INPUT, {
                 title: 'Switch to frequency',
                 btnYesText: 'Ok',
-                btnYesCallback: tune,
+                btnYesCallback: tuneToTypedFrequency,
                 btnNoText: 'Cancel',
-                input: radio.getFrequency(),
+                input: bandPlan.format(radio.getFrequency()),
                 validator: popup.frequencyValidator,
                 inputErrorText: 'Frequency must be a number.'
             });
@@ -364,6 +542,78 @@ define({
             tau.changePage('#stations-page');
         }
 
+        /**
+         * Refreshes sleep timer countdown.
+         * Countdown is hidden when the timer is not set.
+         *
+         * @private
+         */
+        function refreshSleepTimer() {
+            if (sleepTimer.isActive()) {
+                sleepTimerLabel.textContent =
+                    sleepTimer.formatTime(sleepTimer.getRemaining());
+                sleepTimerLabel.dataset.visible = true;
+            } else {
+                sleepTimerLabel.dataset.visible = false;
+            }
+        }
+
+        /**
+         * Refreshes signal strength indicator.
+         * Indicator is hidden when the radio is not playing.
+         *
+         * @private
+         * @param {Event} event Signal strength event.
+         */
+        function refreshSignalIndicator(event) {
+            var quality = event.detail.quality,
+                bars = signalIndicator.getElementsByClassName('signal-bar'),
+                activeBars = Math.ceil(quality * bars.length),
+                i = 0;
+
+            signalIndicator.dataset.visible = quality !== null;
+            for (i = 0; i < bars.length; i += 1) {
+                bars[i].dataset.active = i < activeBars;
+            }
+        }
+
+        /**
+         * Changes page to sleep timer settings.
+         *
+         * @private
+         */
+        function onSleepTimerLabelClick() {
+            tau.changePage('#sleep-timer-page');
+        }
+
+        /**
+         * Opens main page menu.
+         *
+         * @private
+         */
+        function onMenuBtnClick() {
+            tau.openPopup('#main-page-menu');
+        }
+
+        /**
+         * Handles click on main page menu item.
+         * Changes page to the one linked with the item.
+         *
+         * @private
+         * @param {Event} event Click event.
+         */
+        function onMenuClick(event) {
+            var item = event.target;
+
+            while (item && !(item.dataset && item.dataset.page)) {
+                item = item.parentNode;
+            }
+            if (item) {
+                tau.closePopup();
+                tau.changePage('#' + item.dataset.page);
+            }
+        }
+
         /**
          * Binds events.
          *
@@ -377,6 +627,8 @@ define({
                 muteBtn = document.getElementById('mute-button'),
                 scanBtn = document.getElementById('scan-button'),
                 stationsBtn = document.getElementById('stations-button'),
+                menuBtn = document.getElementById('menu-button'),
+                menu = document.getElementById('main-page-menu'),
                 nextStationBtn = document.getElementById('station-next-button'),
                 prevStationBtn = document.getElementById('station-prev-button');
 
@@ -388,7 +640,10 @@ define({
             scanBtn.addEventListener('click', onScanBtnClick);
             nameLabel.addEventListener('click', onStationNameClick);
             frequencyLabel.addEventListener('click', onFrequencyLabelClick);
+            sleepTimerLabel.addEventListener('click', onSleepTimerLabelClick);
             stationsBtn.addEventListener('click', onStationsBtnClick);
+            menuBtn.addEventListener('click', onMenuBtnClick);
+            menu.addEventListener('click', onMenuClick);
             nextStationBtn.addEventListener('click', nextStation);
             prevStationBtn.addEventListener('click', prevStation);
 
@@ -397,8 +652,26 @@ define({
                 'views.stationList.refreshStation': refreshStation,
                 'views.stationList.refreshStationButtons':
                     refreshStationButtons,
+                'views.alarms.switchToFrequency': switchToFrequency,
+                'views.duplicates.refreshStation': refreshStation,
+                'views.history.refreshStation': refreshStation,
+                'views.presets.switchToFrequency': switchToFrequency,
+                'views.recent.switchToFrequency': switchToFrequency,
+                'views.recent.refreshStation': refreshStation,
+                'views.scanReview.switchToFrequency': switchToFrequency,
+                'views.stationEdit.refreshStation': refreshStation,
+                'views.stationDetail.refreshStation': refreshStation,
+                'views.stationFiles.refreshStation': refreshStation,
                 'models.radio.switchToFrequency': switchToFrequency,
-                'models.stations.switchToFrequency': switchToFrequency
+                'models.stations.switchToFrequency': switchToFrequency,
+                'models.stations.activeGroupChanged': refreshStationButtons,
+                'models.radio.signalStrength': refreshSignalIndicator,
+                'models.radio.stopped': sessions.stop,
+                'models.bandPlan.changed': onBandPlanChanged,
+                'models.sleepTimer.started': refreshSleepTimer,
+                'models.sleepTimer.tick': refreshSleepTimer,
+                'models.sleepTimer.cancelled': refreshSleepTimer,
+                'models.sleepTimer.finished': refreshSleepTimer
             });
 
         }
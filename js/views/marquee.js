@@ -0,0 +1,195 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, document*/
+
+/**
+ * Marquee module.
+ * Scrolls station name on the main page when it does not fit
+ * the name area. Edges of the area are faded by the station name mask.
+ *
+ * @module views/marquee
+ * @requires {@link core/window}
+ * @namespace FMRadio/views/marquee
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/marquee',
+    requires: [
+        'core/window'
+    ],
+    def: function viewsMarquee(window) {
+        'use strict';
+
+        /**
+         * Scrolling speed in pixels per second.
+         *
+         * @private
+         * @const {number}
+         */
+        var SPEED = 30,
+
+            /**
+             * Time of stopping at both ends of the name in milliseconds.
+             *
+             * @private
+             * @const {number}
+             */
+            PAUSE = 1500,
+
+            /**
+             * Width of the faded edge of the name area.
+             *
+             * @private
+             * @const {number}
+             */
+            FADE = 20,
+
+            /**
+             * Id of the mask fading the name area edges.
+             *
+             * @private
+             * @const {string}
+             */
+            MASK_ID = 'station-name-mask',
+
+            /**
+             * Class of the scrolled name.
+             *
+             * @private
+             * @const {string}
+             */
+            SCROLLING_CLASS = 'scrolling',
+
+            /**
+             * Station name element.
+             *
+             * @private
+             * @type {SVGTextElement}
+             */
+            label = document.getElementById('station-name'),
+
+            /**
+             * Name area element.
+             *
+             * @private
+             * @type {SVGRectElement}
+             */
+            area = document.querySelector('#' + MASK_ID + ' rect'),
+
+            /**
+             * Horizontal position of the name which is not scrolled.
+             *
+             * @private
+             * @type {string}
+             */
+            centerX = label.getAttribute('x'),
+
+            /**
+             * Id of the requested animation frame, 0 if not scrolling.
+             *
+             * @private
+             * @type {number}
+             */
+            frame = 0;
+
+        /**
+         * Stops scrolling and centers the name.
+         *
+         * @private
+         */
+        function stop() {
+            if (frame) {
+                window.cancelAnimationFrame(frame);
+                frame = 0;
+            }
+            label.removeAttribute('mask');
+            label.classList.remove(SCROLLING_CLASS);
+            label.setAttribute('x', centerX);
+        }
+
+        /**
+         * Starts scrolling name of given length.
+         * Name stops at the beginning, scrolls until its end is shown,
+         * stops again and the cycle is repeated.
+         *
+         * @private
+         * @param {number} length Name length in pixels.
+         */
+        function start(length) {
+            var left = area.x.baseVal.value + FADE,
+                distance = length - area.width.baseVal.value + 2 * FADE,
+                duration = distance / SPEED * 1000,
+                cycle = duration + 2 * PAUSE,
+                startTime = 0;
+
+            /**
+             * Moves the name to the position for the animation time.
+             *
+             * @param {number} time Animation time.
+             */
+            function step(time) {
+                var elapsed = 0;
+
+                startTime = startTime || time;
+                elapsed = (time - startTime) % cycle - PAUSE;
+                elapsed = Math.min(Math.max(elapsed, 0), duration);
+                label.setAttribute('x', left - elapsed * SPEED / 1000);
+                frame = window.requestAnimationFrame(step);
+            }
+
+            label.setAttribute('mask', 'url(#' + MASK_ID + ')');
+            label.classList.add(SCROLLING_CLASS);
+            label.setAttribute('x', left);
+            frame = window.requestAnimationFrame(step);
+        }
+
+        /**
+         * Starts scrolling if the station name does not fit the name area,
+         * centers the name otherwise.
+         * Should be called when the name changes.
+         *
+         * @memberof FMRadio/views/marquee
+         * @public
+         */
+        function refresh() {
+            var length = 0;
+
+            stop();
+            length = label.getComputedTextLength();
+            if (length > area.width.baseVal.value) {
+                start(length);
+            }
+        }
+
+        /**
+         * Initializes module.
+         * Name can be measured only when the main page is shown.
+         *
+         * @memberof FMRadio/views/marquee
+         * @public
+         */
+        function init() {
+            document.getElementById('main-page')
+                .addEventListener('pageshow', refresh);
+        }
+
+        return {
+            init: init,
+            refresh: refresh
+        };
+    }
+});
@@ -18,25 +18,48 @@
 
 /**
  * Module popup.
+ * Every page gets its popup rendered from the popup template.
  *
  * @module view/popup
+ * @requires {@link core/text}
+ * @requires {@link core/template}
  * @namespace FMRadio/views/popup
  * @memberof FMRadio/views
  */
 
 define({
     name: 'views/popup',
-    def: function viewsPopup() {
+    requires: [
+        'core/text',
+        'core/template'
+    ],
+    def: function viewsPopup(req) {
         'use strict';
 
         /**
-         * Type of popup.
+         * Text module object.
          *
-         * @memberof FMRadio/views/popup
-         * @public
-         * @const {object}
+         * @private
+         * @type {Module}
          */
-        var POPUP_TYPES = Object.freeze({
+        var text = req.core.text,
+
+            /**
+             * Template module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            tpl = req.core.template,
+
+            /**
+             * Type of popup.
+             *
+             * @memberof FMRadio/views/popup
+             * @public
+             * @const {object}
+             */
+            POPUP_TYPES = Object.freeze({
                 SIMPLE: 0,
                 TEXT: 1,
                 PROGRESS: 2,
@@ -54,12 +77,14 @@ define({
 
             /**
              * Maximum length of station name.
+             * Length is counted in user-perceived characters, so accented
+             * letters and emoji count as one character each.
              *
              * @memberof FMRadio/views/popup
              * @public
              * @const {number}
              */
-            STATION_NAME_LENGTH_MAX = 10,
+            STATION_NAME_LENGTH_MAX = 30,
 
             /**
              * Hidden class value.
@@ -109,6 +134,14 @@ define({
              */
             successCallback = null,
 
+            /**
+             * Function called after No button is clicked.
+             *
+             * @private
+             * @type {function}
+             */
+            cancelCallback = null,
+
             /**
              * Function called after popup close.
              *
@@ -170,6 +203,8 @@ define({
 
         /**
          * Sets up popup content.
+         * Title and text are shown as plain text, as they may contain
+         * station names or contents of read files.
          *
          * @private
          * @param {number} popupType Type of the popup to display.
@@ -183,7 +218,7 @@ define({
                 inputContainer = document.getElementById(
                     page + '-popup-input-container');
 
-            title.innerHTML = popupData.title;
+            title.textContent = popupData.title;
 
             text.classList.add(HIDDEN_CLASS);
             progress.classList.add(HIDDEN_CLASS);
@@ -191,7 +226,7 @@ define({
 
             switch (popupType) {
                 case POPUP_TYPES.PROGRESS:
-                    text.innerHTML = popupData.text;
+                    text.textContent = popupData.text;
                     tau.widget.Progress(progress).value(0);
                     text.classList.remove(HIDDEN_CLASS);
                     progress.classList.remove(HIDDEN_CLASS);
@@ -201,7 +236,7 @@ define({
                     inputContainer.classList.remove(HIDDEN_CLASS);
                     break;
                 default:
-                    text.innerHTML = popupData.text;
+                    text.textContent = popupData.text;
                     text.classList.remove(HIDDEN_CLASS);
             }
         }
@@ -224,6 +259,7 @@ define({
 
             page = pageId;
             successCallback = popupData.btnYesCallback;
+            cancelCallback = popupData.btnNoCallback;
             closeCallback = popupData.exitCallback;
             validator = popupData.validator;
             inputErrorText = popupData.inputErrorText;
@@ -255,7 +291,7 @@ define({
 
             text.classList.remove(HIDDEN_CLASS);
             text.classList.add(INPUT_ERROR_CLASS);
-            text.innerHTML = inputErrorText;
+            text.textContent = inputErrorText;
         }
 
         /**
@@ -294,20 +330,33 @@ define({
             }
         }
 
+        /**
+         * Handles popup no button click.
+         * Popup is closed by the button itself.
+         *
+         * @private
+         */
+        function popupNoClicked() {
+            if (cancelCallback) {
+                cancelCallback();
+            }
+        }
+
         /**
          * Updates progress popup value.
          *
          * @memberof FMRadio/views/popup
          * @public
          * @param {number} progressValue Progress value in percent.
-         * @param {number} stationsFound Number of found stations.
+         * @param {number} stationsFound Number of found stations, which
+         * are kept even if the scan is cancelled.
          */
         function updateProgress(progressValue, stationsFound) {
             var text = document.getElementById(page + '-popup-text'),
                 progress = document.getElementById(page + '-popup-progress'),
                 progressBar = tau.widget.Progress(progress);
 
-            text.innerHTML = 'Stations found: ' + stationsFound;
+            text.textContent = stationsFound + ' stations kept';
             progressBar.value(Math.floor(progressValue));
             if (progressValue === 100) {
                 tau.closePopup();
@@ -324,8 +373,10 @@ define({
          * @returns {boolean}
          */
         function nameValidator(input) {
-            if (input.length >= STATION_NAME_LENGTH_MIN &&
-                    input.length <= STATION_NAME_LENGTH_MAX) {
+            var length = text.length(input);
+
+            if (length >= STATION_NAME_LENGTH_MIN &&
+                    length <= STATION_NAME_LENGTH_MAX) {
                 return true;
             }
             return false;
@@ -345,19 +396,42 @@ define({
 
         /**
          * Binds events.
+         * Every page popup has '<pageId>-popup' id.
          *
          * @private
          */
         function bindEvents() {
-            var mainPopup = document.getElementById('main-page-popup'),
-                stationsPopup = document.getElementById('stations-page-popup'),
-                mainY = document.getElementById('main-page-popup-yes-btn'),
-                statY = document.getElementById('stations-page-popup-yes-btn');
-
-            mainPopup.addEventListener('popupafterclose', onPopupClose);
-            stationsPopup.addEventListener('popupafterclose', onPopupClose);
-            mainY.addEventListener('click', popupYesClicked);
-            statY.addEventListener('click', popupYesClicked);
+            var popups = document.querySelectorAll(
+                    '.ui-popup[id$="-page-popup"]'
+                ),
+                i = 0;
+
+            for (i = 0; i < popups.length; i += 1) {
+                popups[i].addEventListener('popupafterclose', onPopupClose);
+                document.getElementById(popups[i].id + '-yes-btn')
+                    .addEventListener('click', popupYesClicked);
+                document.getElementById(popups[i].id + '-no-btn')
+                    .addEventListener('click', popupNoClicked);
+            }
+        }
+
+        /**
+         * Renders popup of every page as its first child.
+         *
+         * @private
+         */
+        function renderPopups() {
+            var pages = document.querySelectorAll(
+                    '.ui-page, [data-role="page"]'
+                ),
+                i = 0;
+
+            for (i = 0; i < pages.length; i += 1) {
+                pages[i].insertAdjacentHTML(
+                    'afterbegin',
+                    tpl.get('popup', {page: pages[i].id})
+                );
+            }
         }
 
         /**
@@ -367,6 +441,7 @@ define({
          * @public
          */
         function init() {
+            renderPopups();
             bindEvents();
         }
 
@@ -0,0 +1,330 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, document*/
+
+/**
+ * Presets module.
+ * Shows preset slots as a strip on the main page.
+ * Click tunes to the slot or assigns current frequency to empty slot,
+ * long press overwrites the slot with current frequency.
+ *
+ * @module views/presets
+ * @requires {@link core/event}
+ * @requires {@link core/template}
+ * @requires {@link core/window}
+ * @requires {@link FMRadio/models/presets}
+ * @requires {@link FMRadio/models/radio}
+ * @requires {@link FMRadio/views/popup}
+ * @namespace FMRadio/views/presets
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/presets',
+    requires: [
+        'core/event',
+        'core/template',
+        'core/window',
+        'models/presets',
+        'models/radio',
+        'views/popup'
+    ],
+    def: function viewsPresets(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Template module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            tpl = req.core.template,
+
+            /**
+             * Window object.
+             *
+             * @private
+             * @type {Window}
+             */
+            window = req.core.window,
+
+            /**
+             * Presets module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            presets = req.models.presets,
+
+            /**
+             * Radio module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            radio = req.models.radio,
+
+            /**
+             * Popup module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            popup = req.views.popup,
+
+            /**
+             * Time of touch recognized as long press in milliseconds.
+             *
+             * @private
+             * @const {number}
+             */
+            LONG_PRESS_TIME = 700,
+
+            /**
+             * Preset strip element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            strip = document.getElementById('preset-strip'),
+
+            /**
+             * Long press timeout id.
+             *
+             * @private
+             * @type {number}
+             */
+            longPressTimeout = 0,
+
+            /**
+             * Has long press just been handled.
+             * Click ending the long press is ignored then.
+             *
+             * @private
+             * @type {boolean}
+             */
+            isLongPressed = false;
+
+        /**
+         * Refreshes preset strip.
+         * Slot of the current frequency is highlighted.
+         *
+         * @memberof FMRadio/views/presets
+         * @public
+         */
+        function refresh() {
+            var freq = radio.getFrequency();
+
+            strip.innerHTML = tpl.get('presetSlot', {
+                arr: presets.getSlots().map(function toItem(slot) {
+                    return {
+                        number: slot.number,
+                        label: slot.name || slot.frequency || 'Empty',
+                        empty: slot.frequency === null,
+                        active: slot.frequency === freq
+                    };
+                })
+            });
+        }
+
+        /**
+         * Shows popup asking for slot to assign frequency to.
+         * First empty slot is proposed.
+         *
+         * @memberof FMRadio/views/presets
+         * @public
+         * @param {string} pageId Id of the page showing popup.
+         * @param {number} frequency Frequency.
+         */
+        function showAssignPopup(pageId, frequency) {
+            var count = presets.getSlotCount();
+
+            popup.showPopup(pageId, popup.POPUP_TYPES.INPUT, {
+                title: 'Preset slot',
+                btnYesText: 'Save',
+                btnYesCallback: function assign(value) {
+                    presets.assign(Number(value), frequency);
+                },
+                btnNoText: 'Cancel',
+                input: String(presets.findFreeSlot() || 1),
+                validator: function isSlot(value) {
+                    var number = Number(value);
+
+                    return number % 1 === 0 && number >= 1 &&
+                        number <= count;
+                },
+                inputErrorText: 'Slot number should be between 1 and ' +
+                    count
+            });
+        }
+
+        /**
+         * Returns number of the slot containing given element.
+         *
+         * @private
+         * @param {HTMLElement} element Element on the strip.
+         * @returns {number|null}
+         */
+        function getSlotNumber(element) {
+            while (element && !(element.dataset && element.dataset.slot)) {
+                element = element.parentNode;
+            }
+            return element ? Number(element.dataset.slot) : null;
+        }
+
+        /**
+         * Tunes to clicked slot or assigns current frequency to it
+         * if it is empty.
+         *
+         * @private
+         * @param {Event} event Click event.
+         * @fires views.presets.switchToFrequency
+         */
+        function onStripClick(event) {
+            var number = getSlotNumber(event.target),
+                freq = presets.getFrequency(number);
+
+            if (number === null) {
+                return;
+            }
+            if (freq === null) {
+                presets.assign(number, radio.getFrequency());
+            } else {
+                e.fire('switchToFrequency', {frequency: freq});
+            }
+        }
+
+        /**
+         * Overwrites long pressed slot with current frequency.
+         * Assigned slot is overwritten after confirmation.
+         *
+         * @private
+         * @param {HTMLElement} target Pressed element.
+         */
+        function onStripLongPress(target) {
+            var number = getSlotNumber(target),
+                slotFreq = presets.getFrequency(number),
+                freq = radio.getFrequency();
+
+            if (number === null || slotFreq === freq) {
+                return;
+            }
+            if (slotFreq === null) {
+                presets.assign(number, freq);
+                return;
+            }
+            popup.showPopup('main-page', popup.POPUP_TYPES.TEXT, {
+                title: 'Preset slot ' + number,
+                btnYesText: 'Yes',
+                btnYesCallback: function overwrite() {
+                    presets.assign(number, freq);
+                },
+                btnNoText: 'No',
+                text: 'Replace ' + slotFreq + ' MHz with ' + freq + ' MHz?'
+            });
+        }
+
+        /**
+         * Calls handler when element is touched long enough without
+         * moving.
+         *
+         * @private
+         * @param {HTMLElement} element Element.
+         * @param {function} handler Called with touched element.
+         */
+        function bindLongPress(element, handler) {
+            /**
+             * Cancels long press.
+             */
+            function cancel() {
+                window.clearTimeout(longPressTimeout);
+            }
+
+            element.addEventListener('touchstart', function start(event) {
+                var target = event.target;
+
+                cancel();
+                isLongPressed = false;
+                longPressTimeout = window.setTimeout(function press() {
+                    isLongPressed = true;
+                    handler(target);
+                }, LONG_PRESS_TIME);
+            });
+            element.addEventListener('touchmove', cancel);
+            element.addEventListener('touchend', cancel);
+            element.addEventListener('touchcancel', cancel);
+        }
+
+        /**
+         * Stops click ending the long press before it reaches
+         * other handlers.
+         *
+         * @private
+         * @param {Event} event Click event.
+         */
+        function onClickCapture(event) {
+            if (isLongPressed) {
+                isLongPressed = false;
+                event.stopPropagation();
+                event.preventDefault();
+            }
+        }
+
+        /**
+         * Binds events.
+         *
+         * @private
+         */
+        function bindEvents() {
+            var nameLabel = document.getElementById('station-name');
+
+            document.addEventListener('click', onClickCapture, true);
+            strip.addEventListener('click', onStripClick);
+            bindLongPress(strip, onStripLongPress);
+            bindLongPress(nameLabel, function onNameLongPress() {
+                showAssignPopup('main-page', radio.getFrequency());
+            });
+
+            e.listeners({
+                'models.presets.changed': refresh
+            });
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/presets
+         * @public
+         */
+        function init() {
+            bindEvents();
+        }
+
+        return {
+            init: init,
+            refresh: refresh,
+            showAssignPopup: showAssignPopup
+        };
+    }
+});
@@ -0,0 +1,274 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tau, document*/
+
+/**
+ * Recent module.
+ * Lists recent listening sessions grouped by day. Frequencies can be
+ * tuned again and saved as stations.
+ *
+ * @module views/recent
+ * @requires {@link core/event}
+ * @requires {@link core/template}
+ * @requires {@link FMRadio/models/sessions}
+ * @requires {@link FMRadio/models/stations}
+ * @requires {@link FMRadio/views/popup}
+ * @namespace FMRadio/views/recent
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/recent',
+    requires: [
+        'core/event',
+        'core/template',
+        'models/sessions',
+        'models/stations',
+        'views/popup'
+    ],
+    def: function viewsRecent(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Template module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            tpl = req.core.template,
+
+            /**
+             * Sessions module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            sessions = req.models.sessions,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Popup module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            popup = req.views.popup,
+
+            /**
+             * Id of the page.
+             *
+             * @private
+             * @const {string}
+             */
+            PAGE_ID = 'recent-page',
+
+            /**
+             * Number of milliseconds in one day.
+             *
+             * @private
+             * @const {number}
+             */
+            DAY = 86400000,
+
+            /**
+             * Session list element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            recentList = document.getElementById('recent-list');
+
+        /**
+         * Returns number with leading zero if it has one digit.
+         *
+         * @private
+         * @param {number} value Number.
+         * @returns {string}
+         */
+        function pad(value) {
+            return (value < 10 ? '0' : '') + value;
+        }
+
+        /**
+         * Returns title of the day.
+         *
+         * @private
+         * @param {Date} date Midnight of the day.
+         * @returns {string}
+         */
+        function formatDay(date) {
+            var today = new Date(),
+                days = 0;
+
+            today.setHours(0, 0, 0, 0);
+            days = Math.round((today.getTime() - date.getTime()) / DAY);
+            if (days === 0) {
+                return 'Today';
+            }
+            if (days === 1) {
+                return 'Yesterday';
+            }
+            return date.toDateString();
+        }
+
+        /**
+         * Returns session data used by the list item template.
+         *
+         * @private
+         * @param {object} session Session.
+         * @returns {object}
+         */
+        function toListItem(session) {
+            var start = new Date(session.start);
+
+            return {
+                frequency: session.frequency,
+                name: session.name || 'UNNAMED',
+                time: pad(start.getHours()) + ':' + pad(start.getMinutes()),
+                duration: sessions.formatDuration(session.duration),
+                unsaved: stations.getStation(session.frequency) === null
+            };
+        }
+
+        /**
+         * Displays sessions grouped by day.
+         *
+         * @private
+         */
+        function displaySessions() {
+            var days = sessions.getDays();
+
+            document.getElementById('recent-empty').classList
+                .toggle('hidden', days.length > 0);
+            recentList.innerHTML = days.map(function renderDay(day) {
+                return tpl.get('listHeader', {
+                    title: formatDay(day.date)
+                }) + tpl.get('recentItem', {
+                    arr: day.sessions.map(toListItem)
+                });
+            }).join('');
+            tau.engine.createWidgets(recentList);
+            tau.widget.Listview(recentList).refresh();
+        }
+
+        /**
+         * Asks for name and saves the frequency as station.
+         *
+         * @private
+         * @param {number} frequency Frequency.
+         * @fires views.recent.refreshStation
+         */
+        function saveStation(frequency) {
+            popup.showPopup(PAGE_ID, popup.POPUP_TYPES.INPUT, {
+                title: 'Save ' + frequency + ' MHz',
+                btnYesText: 'Save',
+                btnYesCallback: function save(name) {
+                    stations.save(name.trim(), frequency, false);
+                    e.fire('refreshStation');
+                    displaySessions();
+                },
+                btnNoText: 'Cancel',
+                input: '',
+                validator: function isValid(name) {
+                    return popup.nameValidator(name.trim());
+                },
+                inputErrorText: 'Station name length should be between ' +
+                    popup.STATION_NAME_LENGTH_MIN + ' and ' +
+                    popup.STATION_NAME_LENGTH_MAX
+            });
+        }
+
+        /**
+         * Tunes to the clicked session frequency or saves it as station
+         * if the save button is clicked.
+         *
+         * @private
+         * @param {Event} event Click event.
+         * @fires views.recent.switchToFrequency
+         */
+        function onRecentListClick(event) {
+            var target = event.target,
+                item = target;
+
+            while (item && item !== recentList && !item.dataset.frequency) {
+                item = item.parentNode;
+            }
+            if (!item || item === recentList) {
+                return;
+            }
+            if (target.classList.contains('recent-save-button')) {
+                saveStation(Number(item.dataset.frequency));
+            } else {
+                e.fire('switchToFrequency', {
+                    frequency: Number(item.dataset.frequency)
+                });
+            }
+        }
+
+        /**
+         * Refreshes the list if the page is shown.
+         *
+         * @private
+         */
+        function onSessionsChanged() {
+            if (document.getElementById(PAGE_ID).classList
+                    .contains('ui-page-active')) {
+                displaySessions();
+            }
+        }
+
+        /**
+         * Binds events.
+         *
+         * @private
+         */
+        function bindEvents() {
+            document.getElementById(PAGE_ID)
+                .addEventListener('pagebeforeshow', displaySessions);
+            recentList.addEventListener('click', onRecentListClick);
+            e.listen('models.sessions.changed', onSessionsChanged);
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/recent
+         * @public
+         */
+        function init() {
+            bindEvents();
+        }
+
+        return {
+            init: init
+        };
+    }
+});
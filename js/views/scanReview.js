@@ -0,0 +1,386 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tau, document*/
+
+/**
+ * Scan review module.
+ * Lets user choose found frequencies to be saved as stations.
+ *
+ * @module views/scanReview
+ * @requires {@link core/event}
+ * @requires {@link core/template}
+ * @requires {@link FMRadio/models/duplicates}
+ * @requires {@link FMRadio/models/radio}
+ * @requires {@link FMRadio/models/stations}
+ * @requires {@link FMRadio/views/popup}
+ * @namespace FMRadio/views/scanReview
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/scanReview',
+    requires: [
+        'core/event',
+        'core/template',
+        'models/duplicates',
+        'models/radio',
+        'models/stations',
+        'views/popup'
+    ],
+    def: function viewsScanReview(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Template module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            tpl = req.core.template,
+
+            /**
+             * Duplicates module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            duplicates = req.models.duplicates,
+
+            /**
+             * Radio module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            radio = req.models.radio,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Popup module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            popup = req.views.popup,
+
+            /**
+             * Scan result list element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            resultList = document.getElementById('scan-review-list'),
+
+            /**
+             * Reviewed scan results.
+             *
+             * @private
+             * @type {object[]}
+             */
+            results = [],
+
+            /**
+             * Frequency played before scan.
+             *
+             * @private
+             * @type {number}
+             */
+            frequencyBeforeScan = 0,
+
+            /**
+             * Frequency being previewed.
+             *
+             * @private
+             * @type {number}
+             */
+            previewFrequency = 0,
+
+            /**
+             * Is review finished by saving the results.
+             *
+             * @private
+             * @type {boolean}
+             */
+            isSaved = false;
+
+        /**
+         * Returns scan result on given frequency.
+         *
+         * @private
+         * @param {number} frequency Frequency.
+         * @returns {object}
+         */
+        function getResult(frequency) {
+            var i = 0;
+
+            for (i = 0; i < results.length; i += 1) {
+                if (results[i].frequency === frequency) {
+                    return results[i];
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Displays scan results.
+         *
+         * @private
+         */
+        function displayResults() {
+            results.forEach(function markPreview(result) {
+                result.playing = result.frequency === previewFrequency;
+            });
+
+            resultList.innerHTML = tpl.get('scanResultItem', {arr: results});
+            tau.engine.createWidgets(resultList);
+            tau.widget.Listview(resultList).refresh();
+        }
+
+        /**
+         * Unchecks results lying on adjacent frequencies except the one
+         * proposed to be kept in each group.
+         *
+         * @private
+         */
+        function markDuplicates() {
+            duplicates.findGroups(results, function getSignal(result) {
+                return result.quality;
+            }).forEach(function markGroup(group) {
+                group.members.forEach(function markMember(result) {
+                    if (result !== group.kept) {
+                        result.checked = false;
+                        result.duplicateOf = group.kept.frequency;
+                    }
+                });
+            });
+        }
+
+        /**
+         * Shows results of completed or cancelled scan to be reviewed
+         * once scan progress popup is closed.
+         * Found frequencies are checked and named after saved stations
+         * or numbered, adjacent duplicates are unchecked.
+         *
+         * @private
+         * @param {Event} event Scan finished event.
+         */
+        function onScanFinished(event) {
+            var mainPopup = document.getElementById('main-page-popup');
+
+            frequencyBeforeScan = event.detail.frequencyBeforeScan;
+            previewFrequency = frequencyBeforeScan;
+            isSaved = false;
+            results = event.detail.results.map(function toItem(result, i) {
+                var station = stations.getStation(result.frequency);
+
+                return {
+                    frequency: result.frequency,
+                    quality: Math.round(
+                        radio.toQuality(result.signalStrength) * 100
+                    ),
+                    exists: station !== null,
+                    name: station ? station.name : 'Station ' + (i + 1),
+                    checked: true,
+                    duplicateOf: null
+                };
+            });
+            markDuplicates();
+
+            radio.start(frequencyBeforeScan);
+            if (mainPopup.classList.contains('ui-popup-active')) {
+                mainPopup.addEventListener('popupafterclose',
+                    function onClose() {
+                        mainPopup.removeEventListener('popupafterclose',
+                            onClose);
+                        tau.changePage('#scan-review-page');
+                    });
+            } else {
+                tau.changePage('#scan-review-page');
+            }
+        }
+
+        /**
+         * Returns frequency of the list item containing given element.
+         *
+         * @private
+         * @param {HTMLElement} element Element on the list.
+         * @returns {number|null}
+         */
+        function getItemFrequency(element) {
+            while (element && !(element.dataset && element.dataset.frequency)) {
+                element = element.parentNode;
+            }
+            return element ? Number(element.dataset.frequency) : null;
+        }
+
+        /**
+         * Tunes to clicked frequency unless its inputs are clicked.
+         *
+         * @private
+         * @param {Event} event Click event.
+         */
+        function onResultListClick(event) {
+            var frequency = getItemFrequency(event.target);
+
+            if (frequency !== null && event.target.tagName !== 'INPUT') {
+                previewFrequency = frequency;
+                radio.start(previewFrequency);
+                displayResults();
+            }
+        }
+
+        /**
+         * Updates scan result when its checkbox or name changes.
+         *
+         * @private
+         * @param {Event} event Change or input event.
+         */
+        function onResultListChange(event) {
+            var input = event.target,
+                result = getResult(getItemFrequency(input));
+
+            if (result === null) {
+                return;
+            }
+            if (input.classList.contains('scan-result-check')) {
+                result.checked = input.checked;
+            } else if (input.classList.contains('scan-result-name')) {
+                result.name = input.value;
+            }
+        }
+
+        /**
+         * Shows popup with given message.
+         *
+         * @private
+         * @param {string} message Message.
+         */
+        function showError(message) {
+            popup.showPopup('scan-review-page', popup.POPUP_TYPES.TEXT, {
+                title: 'Scan results',
+                btnYesText: 'OK',
+                text: message
+            });
+        }
+
+        /**
+         * Saves checked results and switches to the first of them.
+         * Merges them with saved stations or replaces saved stations.
+         *
+         * @private
+         * @fires views.scanReview.switchToFrequency
+         */
+        function onSaveBtnClick() {
+            var replace = document.getElementById('scan-review-replace')
+                    .checked,
+                selected = results.filter(function isChecked(result) {
+                    return result.checked;
+                });
+
+            if (!selected.length) {
+                showError('No station is selected.');
+                return;
+            }
+            if (!selected.every(function isNameValid(result) {
+                    return popup.nameValidator(result.name);
+                })) {
+                showError('Station names must have from ' +
+                    popup.STATION_NAME_LENGTH_MIN + ' to ' +
+                    popup.STATION_NAME_LENGTH_MAX + ' characters.');
+                return;
+            }
+
+            stations.saveAll(selected, replace);
+            isSaved = true;
+            e.fire('switchToFrequency', {frequency: selected[0].frequency});
+        }
+
+        /**
+         * Discards scan results.
+         *
+         * @private
+         */
+        function onDiscardBtnClick() {
+            tau.changePage('#main-page');
+        }
+
+        /**
+         * Plays frequency played before scan if results are not saved.
+         *
+         * @private
+         */
+        function onPageHide() {
+            if (!isSaved) {
+                radio.start(frequencyBeforeScan);
+            }
+            results = [];
+        }
+
+        /**
+         * Binds events.
+         *
+         * @private
+         */
+        function bindEvents() {
+            var page = document.getElementById('scan-review-page'),
+                saveBtn = document.getElementById('scan-review-save-button'),
+                discardBtn = document.getElementById(
+                    'scan-review-discard-button'
+                );
+
+            page.addEventListener('pagebeforeshow', displayResults);
+            page.addEventListener('pagehide', onPageHide);
+            resultList.addEventListener('click', onResultListClick);
+            resultList.addEventListener('change', onResultListChange);
+            resultList.addEventListener('input', onResultListChange);
+            saveBtn.addEventListener('click', onSaveBtnClick);
+            discardBtn.addEventListener('click', onDiscardBtnClick);
+
+            e.listeners({
+                'models.radio.scanFinished': onScanFinished
+            });
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/scanReview
+         * @public
+         */
+        function init() {
+            bindEvents();
+        }
+
+        return {
+            init: init
+        };
+    }
+});
@@ -0,0 +1,376 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tau, document*/
+
+/**
+ * Settings module.
+ *
+ * @module views/settings
+ * @requires {@link core/template}
+ * @requires {@link FMRadio/models/bandPlan}
+ * @requires {@link FMRadio/models/presets}
+ * @requires {@link FMRadio/models/scanSettings}
+ * @requires {@link FMRadio/models/stations}
+ * @requires {@link FMRadio/views/popup}
+ * @namespace FMRadio/views/settings
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/settings',
+    requires: [
+        'core/template',
+        'models/bandPlan',
+        'models/presets',
+        'models/scanSettings',
+        'models/stations',
+        'views/popup'
+    ],
+    def: function viewsSettings(req) {
+        'use strict';
+
+        /**
+         * Template module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var tpl = req.core.template,
+
+            /**
+             * Band plan module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            bandPlan = req.models.bandPlan,
+
+            /**
+             * Presets module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            presets = req.models.presets,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Scan settings module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            scanSettings = req.models.scanSettings,
+
+            /**
+             * Popup module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            popup = req.views.popup,
+
+            /**
+             * Band plan list element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            bandPlanList = document.getElementById('band-plan-list'),
+
+            /**
+             * Active group select element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            activeGroupSelect = document.getElementById('active-group'),
+
+            /**
+             * Custom band plan inputs.
+             *
+             * @private
+             * @type {object}
+             */
+            customInputs = {
+                min: document.getElementById('custom-band-min'),
+                max: document.getElementById('custom-band-max'),
+                step: document.getElementById('custom-band-step')
+            },
+
+            /**
+             * Scan settings inputs.
+             *
+             * @private
+             * @type {object}
+             */
+            scanInputs = {
+                threshold: document.getElementById('scan-threshold'),
+                dwell: document.getElementById('scan-dwell'),
+                start: document.getElementById('scan-start'),
+                end: document.getElementById('scan-end')
+            };
+
+        /**
+         * Returns band plan description displayed on the list.
+         *
+         * @private
+         * @param {object} plan Band plan.
+         * @returns {string}
+         */
+        function describe(plan) {
+            if (!plan.supported) {
+                return 'Not supported by this device';
+            }
+            return plan.min + ' - ' + plan.max + ' MHz, ' +
+                Math.round(plan.step * 1000) + ' kHz';
+        }
+
+        /**
+         * Displays band plans and custom band plan values.
+         *
+         * @private
+         */
+        function displayBandPlans() {
+            var plans = bandPlan.getPlans();
+
+            plans.forEach(function setDescription(plan) {
+                plan.description = describe(plan);
+                if (plan.id === bandPlan.CUSTOM) {
+                    customInputs.min.value = plan.min;
+                    customInputs.max.value = plan.max;
+                    customInputs.step.value = plan.step;
+                }
+            });
+
+            bandPlanList.innerHTML = tpl.get('bandPlanItem', {arr: plans});
+            tau.engine.createWidgets(bandPlanList);
+            tau.widget.Listview(bandPlanList).refresh();
+        }
+
+        /**
+         * Returns scan engine radio inputs.
+         *
+         * @private
+         * @returns {NodeList}
+         */
+        function getEngineInputs() {
+            return document.querySelectorAll('input[name="scan-engine"]');
+        }
+
+        /**
+         * Displays scan settings.
+         * Empty frequency stands for the band edge.
+         *
+         * @private
+         */
+        function displayScanSettings() {
+            var settings = scanSettings.get(),
+                engineInputs = getEngineInputs(),
+                i = 0;
+
+            for (i = 0; i < engineInputs.length; i += 1) {
+                engineInputs[i].checked =
+                    engineInputs[i].value === settings.engine;
+            }
+            scanInputs.threshold.value = settings.threshold;
+            scanInputs.dwell.value = settings.dwell;
+            scanInputs.start.value = settings.start === null ?
+                    '' : settings.start;
+            scanInputs.end.value = settings.end === null ? '' : settings.end;
+        }
+
+        /**
+         * Shows popup with error message.
+         *
+         * @private
+         * @param {string} title Popup title.
+         * @param {string} message Error message.
+         */
+        function showError(title, message) {
+            popup.showPopup('settings-page', popup.POPUP_TYPES.TEXT, {
+                title: title,
+                btnYesText: 'OK',
+                text: message
+            });
+        }
+
+        /**
+         * Activates custom band plan with values from inputs.
+         *
+         * @private
+         */
+        function applyCustomBandPlan() {
+            var values = {
+                    min: customInputs.min.value,
+                    max: customInputs.max.value,
+                    step: customInputs.step.value
+                },
+                error = bandPlan.validateCustom(values);
+
+            if (error) {
+                showError('Band plan', error);
+            } else {
+                bandPlan.select(bandPlan.CUSTOM, values);
+            }
+            displayBandPlans();
+        }
+
+        /**
+         * Handles band plan selection.
+         *
+         * @private
+         * @param {Event} event Change event.
+         */
+        function onBandPlanChange(event) {
+            var id = event.target.value;
+
+            if (id === bandPlan.CUSTOM) {
+                applyCustomBandPlan();
+            } else if (!bandPlan.select(id)) {
+                showError('Band plan',
+                    'Band plan is not supported by this device.');
+                displayBandPlans();
+            }
+        }
+
+        /**
+         * Saves scan settings with values from inputs.
+         *
+         * @private
+         */
+        function applyScanSettings() {
+            var engineInputs = getEngineInputs(),
+                values = {
+                    threshold: scanInputs.threshold.value,
+                    dwell: scanInputs.dwell.value,
+                    start: scanInputs.start.value,
+                    end: scanInputs.end.value
+                },
+                error = '',
+                i = 0;
+
+            for (i = 0; i < engineInputs.length; i += 1) {
+                if (engineInputs[i].checked) {
+                    values.engine = engineInputs[i].value;
+                }
+            }
+
+            error = scanSettings.validate(values);
+            if (error) {
+                showError('Scan', error);
+            } else {
+                scanSettings.set(values);
+            }
+            displayScanSettings();
+        }
+
+        /**
+         * Displays groups which next and previous station may cycle.
+         *
+         * @private
+         */
+        function displayActiveGroup() {
+            var activeGroup = stations.getActiveGroup();
+
+            activeGroupSelect.innerHTML = tpl.get('groupOption', {
+                arr: [{value: '', label: 'All stations'}].concat(
+                    stations.getGroupNames().map(function toOption(group) {
+                        return {
+                            value: group,
+                            label: group,
+                            selected: group === activeGroup
+                        };
+                    })
+                )
+            });
+        }
+
+        /**
+         * Saves group cycled by next and previous station.
+         *
+         * @private
+         */
+        function onActiveGroupChange() {
+            stations.setActiveGroup(activeGroupSelect.value || null);
+        }
+
+        /**
+         * Saves number of preset slots.
+         *
+         * @private
+         * @param {Event} event Change event.
+         */
+        function onPresetCountChange(event) {
+            presets.setSlotCount(event.target.value);
+        }
+
+        /**
+         * Displays settings.
+         *
+         * @private
+         */
+        function displaySettings() {
+            displayBandPlans();
+            displayScanSettings();
+            displayActiveGroup();
+            document.getElementById('preset-count').value =
+                presets.getSlotCount();
+        }
+
+        /**
+         * Binds events.
+         *
+         * @private
+         */
+        function bindEvents() {
+            var page = document.getElementById('settings-page'),
+                applyBtn = document.getElementById('custom-band-apply-button'),
+                scanApplyBtn = document.getElementById(
+                    'scan-settings-apply-button'
+                ),
+                presetCount = document.getElementById('preset-count');
+
+            page.addEventListener('pagebeforeshow', displaySettings);
+            bandPlanList.addEventListener('change', onBandPlanChange);
+            applyBtn.addEventListener('click', applyCustomBandPlan);
+            scanApplyBtn.addEventListener('click', applyScanSettings);
+            presetCount.addEventListener('change', onPresetCountChange);
+            activeGroupSelect.addEventListener('change', onActiveGroupChange);
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/settings
+         * @public
+         */
+        function init() {
+            bindEvents();
+        }
+
+        return {
+            init: init
+        };
+    }
+});
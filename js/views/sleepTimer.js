@@ -0,0 +1,206 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tau, document*/
+
+/**
+ * Sleep timer module.
+ *
+ * @module views/sleepTimer
+ * @requires {@link core/event}
+ * @requires {@link FMRadio/models/sleepTimer}
+ * @requires {@link FMRadio/views/popup}
+ * @namespace FMRadio/views/sleepTimer
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/sleepTimer',
+    requires: [
+        'core/event',
+        'models/sleepTimer',
+        'views/popup'
+    ],
+    def: function viewsSleepTimer(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Sleep timer module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            sleepTimer = req.models.sleepTimer,
+
+            /**
+             * Popup module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            popup = req.views.popup,
+
+            /**
+             * Maximal custom timer duration in minutes.
+             *
+             * @private
+             * @const {number}
+             */
+            CUSTOM_MINUTES_MAX = 720,
+
+            /**
+             * Label displaying the timer state.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            statusLabel = document.getElementById('sleep-timer-status'),
+
+            /**
+             * Input of custom timer duration.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            customInput = document.getElementById('sleep-timer-custom');
+
+        /**
+         * Refreshes timer state and cancel button.
+         *
+         * @private
+         */
+        function refreshStatus() {
+            var cancelBtn = document.getElementById(
+                    'sleep-timer-cancel-button'
+                );
+
+            if (sleepTimer.isActive()) {
+                statusLabel.textContent = 'Radio stops in ' +
+                    sleepTimer.formatTime(sleepTimer.getRemaining());
+                tau.widget.Button(cancelBtn).enable();
+            } else {
+                statusLabel.textContent = 'Timer is off';
+                tau.widget.Button(cancelBtn).disable();
+            }
+        }
+
+        /**
+         * Sets the timer and goes back to main page.
+         *
+         * @private
+         * @param {number} minutes Timer duration in minutes.
+         */
+        function startTimer(minutes) {
+            sleepTimer.start(minutes);
+            tau.changePage('#main-page');
+        }
+
+        /**
+         * Handles click on predefined duration.
+         *
+         * @private
+         * @param {Event} event Click event.
+         */
+        function onDurationListClick(event) {
+            var item = event.target;
+
+            while (item && !(item.dataset && item.dataset.minutes)) {
+                item = item.parentNode;
+            }
+            if (item) {
+                startTimer(Number(item.dataset.minutes));
+            }
+        }
+
+        /**
+         * Sets the timer with custom duration.
+         *
+         * @private
+         */
+        function onCustomBtnClick() {
+            var minutes = Number(customInput.value);
+
+            if (minutes >= 1 && minutes <= CUSTOM_MINUTES_MAX &&
+                    Math.floor(minutes) === minutes) {
+                startTimer(minutes);
+            } else {
+                popup.showPopup('sleep-timer-page', popup.POPUP_TYPES.TEXT, {
+                    title: 'Sleep timer',
+                    btnYesText: 'OK',
+                    text: 'Duration must be a whole number of minutes ' +
+                        'between 1 and ' + CUSTOM_MINUTES_MAX + '.'
+                });
+            }
+        }
+
+        /**
+         * Cancels the timer.
+         *
+         * @private
+         */
+        function onCancelBtnClick() {
+            sleepTimer.cancel();
+        }
+
+        /**
+         * Binds events.
+         *
+         * @private
+         */
+        function bindEvents() {
+            var page = document.getElementById('sleep-timer-page'),
+                list = document.getElementById('sleep-timer-list'),
+                customBtn = document.getElementById(
+                    'sleep-timer-custom-button'
+                ),
+                cancelBtn = document.getElementById(
+                    'sleep-timer-cancel-button'
+                );
+
+            page.addEventListener('pagebeforeshow', refreshStatus);
+            list.addEventListener('click', onDurationListClick);
+            customBtn.addEventListener('click', onCustomBtnClick);
+            cancelBtn.addEventListener('click', onCancelBtnClick);
+
+            e.listeners({
+                'models.sleepTimer.tick': refreshStatus,
+                'models.sleepTimer.cancelled': refreshStatus,
+                'models.sleepTimer.finished': refreshStatus
+            });
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/sleepTimer
+         * @public
+         */
+        function init() {
+            bindEvents();
+        }
+
+        return {
+            init: init
+        };
+    }
+});
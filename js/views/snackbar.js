@@ -0,0 +1,137 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, document*/
+
+/**
+ * Snackbar module.
+ * Shows short message with optional action at the bottom of any page.
+ *
+ * @module views/snackbar
+ * @requires {@link core/window}
+ * @namespace FMRadio/views/snackbar
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/snackbar',
+    requires: [
+        'core/window'
+    ],
+    def: function viewsSnackbar(window) {
+        'use strict';
+
+        /**
+         * Time of showing the snackbar in milliseconds.
+         *
+         * @private
+         * @const {number}
+         */
+        var SHOW_TIME = 5000,
+
+            /**
+             * Snackbar element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            snackbar = document.getElementById('snackbar'),
+
+            /**
+             * Action button element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            actionBtn = document.getElementById('snackbar-action'),
+
+            /**
+             * Function called when action is clicked.
+             *
+             * @private
+             * @type {function}
+             */
+            actionCallback = null,
+
+            /**
+             * Hide timeout id.
+             *
+             * @private
+             * @type {number}
+             */
+            hideTimeout = 0;
+
+        /**
+         * Hides snackbar.
+         *
+         * @memberof FMRadio/views/snackbar
+         * @public
+         */
+        function hide() {
+            window.clearTimeout(hideTimeout);
+            actionCallback = null;
+            snackbar.dataset.visible = false;
+        }
+
+        /**
+         * Shows snackbar replacing the one being shown.
+         *
+         * @memberof FMRadio/views/snackbar
+         * @public
+         * @param {string} text Message.
+         * @param {string} [actionText] Action button text.
+         * @param {function} [callback] Called when action is clicked.
+         */
+        function show(text, actionText, callback) {
+            hide();
+            document.getElementById('snackbar-text').textContent = text;
+            actionBtn.textContent = actionText || '';
+            actionBtn.dataset.visible = !!actionText;
+            actionCallback = callback || null;
+            snackbar.dataset.visible = true;
+            hideTimeout = window.setTimeout(hide, SHOW_TIME);
+        }
+
+        /**
+         * Calls action callback and hides snackbar.
+         *
+         * @private
+         */
+        function onActionClick() {
+            var callback = actionCallback;
+
+            hide();
+            if (callback) {
+                callback();
+            }
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/snackbar
+         * @public
+         */
+        function init() {
+            actionBtn.addEventListener('click', onActionClick);
+        }
+
+        return {
+            init: init,
+            show: show,
+            hide: hide
+        };
+    }
+});
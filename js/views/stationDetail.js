@@ -0,0 +1,292 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tau, document*/
+
+/**
+ * Station detail module.
+ * Shows and edits name, genre, notes, logo and color of the station.
+ *
+ * @module views/stationDetail
+ * @requires {@link core/event}
+ * @requires {@link core/template}
+ * @requires {@link FMRadio/models/stationLogos}
+ * @requires {@link FMRadio/models/stationSchema}
+ * @requires {@link FMRadio/models/stations}
+ * @requires {@link FMRadio/views/popup}
+ * @namespace FMRadio/views/stationDetail
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/stationDetail',
+    requires: [
+        'core/event',
+        'core/template',
+        'models/stationLogos',
+        'models/stationSchema',
+        'models/stations',
+        'views/popup'
+    ],
+    def: function viewsStationDetail(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Template module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            tpl = req.core.template,
+
+            /**
+             * Station logos module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stationLogos = req.models.stationLogos,
+
+            /**
+             * Station schema module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stationSchema = req.models.stationSchema,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Popup module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            popup = req.views.popup,
+
+            /**
+             * Id of the page.
+             *
+             * @private
+             * @const {string}
+             */
+            PAGE_ID = 'station-detail-page',
+
+            /**
+             * Logo list element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            logoList = document.getElementById('station-detail-logos'),
+
+            /**
+             * Frequency of the edited station.
+             *
+             * @private
+             * @type {number}
+             */
+            frequency = 0,
+
+            /**
+             * URI of the chosen logo or null.
+             *
+             * @private
+             * @type {string}
+             */
+            logo = null;
+
+        /**
+         * Returns form field element.
+         *
+         * @private
+         * @param {string} name Field name.
+         * @returns {HTMLElement}
+         */
+        function getField(name) {
+            return document.getElementById('station-detail-' + name);
+        }
+
+        /**
+         * Shows chosen logo.
+         *
+         * @private
+         */
+        function displayLogo() {
+            var preview = getField('logo-preview');
+
+            preview.classList.toggle('hidden', logo === null);
+            getField('no-logo').classList.toggle('hidden', logo !== null);
+            if (logo !== null) {
+                preview.src = logo;
+            }
+        }
+
+        /**
+         * Displays images which can be chosen as logo.
+         * Only the option without logo is shown if images are
+         * not available.
+         *
+         * @private
+         */
+        function displayLogos() {
+            /**
+             * Displays given images.
+             *
+             * @param {object[]} images Images with name and URI.
+             */
+            function display(images) {
+                logoList.innerHTML = tpl.get('stationLogoItem', {
+                    arr: [{name: 'No logo', uri: ''}].concat(images)
+                });
+                tau.widget.Listview(logoList).refresh();
+            }
+
+            stationLogos.listImages(display, function onError() {
+                display([]);
+            });
+        }
+
+        /**
+         * Fills the form with properties of the edited station.
+         *
+         * @private
+         */
+        function onPageBeforeShow() {
+            var station = stations.getStation(frequency);
+
+            if (station === null) {
+                return;
+            }
+            getField('frequency').textContent = frequency + ' MHz';
+            getField('name').value = station.name;
+            getField('genre').value = station.genre;
+            getField('notes').value = station.notes;
+            getField('color').value = station.color || '';
+            logo = station.logo;
+            displayLogo();
+            displayLogos();
+        }
+
+        /**
+         * Chooses clicked logo.
+         *
+         * @private
+         * @param {Event} event Click event.
+         */
+        function onLogoListClick(event) {
+            var element = event.target;
+
+            while (element && element !== logoList) {
+                if (element.dataset.logo !== undefined) {
+                    logo = element.dataset.logo || null;
+                    displayLogo();
+                    return;
+                }
+                element = element.parentNode;
+            }
+        }
+
+        /**
+         * Saves the form if station name is valid.
+         *
+         * @private
+         * @fires views.stationDetail.refreshStation
+         */
+        function onSaveBtnClick() {
+            var name = getField('name').value.trim();
+
+            if (!popup.nameValidator(name)) {
+                popup.showPopup(PAGE_ID, popup.POPUP_TYPES.TEXT, {
+                    title: 'Station',
+                    btnYesText: 'OK',
+                    text: 'Station name length should be between ' +
+                        popup.STATION_NAME_LENGTH_MIN + ' and ' +
+                        popup.STATION_NAME_LENGTH_MAX
+                });
+                return;
+            }
+            stations.update(frequency, {
+                name: name,
+                genre: getField('genre').value,
+                notes: getField('notes').value,
+                color: getField('color').value || null,
+                logo: logo
+            });
+            e.fire('refreshStation');
+            tau.changePage('#stations-page');
+        }
+
+        /**
+         * Shows details of the station.
+         *
+         * @memberof FMRadio/views/stationDetail
+         * @public
+         * @param {number} stationFrequency Station frequency.
+         */
+        function show(stationFrequency) {
+            frequency = stationFrequency;
+            tau.changePage('#' + PAGE_ID);
+        }
+
+        /**
+         * Binds events.
+         *
+         * @private
+         */
+        function bindEvents() {
+            document.getElementById(PAGE_ID)
+                .addEventListener('pagebeforeshow', onPageBeforeShow);
+            logoList.addEventListener('click', onLogoListClick);
+            getField('save-button').addEventListener('click', onSaveBtnClick);
+            getField('cancel-button').addEventListener('click',
+                function cancel() {
+                    tau.changePage('#stations-page');
+                });
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/stationDetail
+         * @public
+         */
+        function init() {
+            getField('genre').maxLength = stationSchema.GENRE_LENGTH_MAX;
+            getField('notes').maxLength = stationSchema.NOTES_LENGTH_MAX;
+            bindEvents();
+        }
+
+        return {
+            init: init,
+            show: show
+        };
+    }
+});
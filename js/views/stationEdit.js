@@ -0,0 +1,482 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tau, document*/
+
+/**
+ * Station edit module.
+ * Edit mode of the station list with selectable stations and actions
+ * performed on all selected stations at once.
+ *
+ * @module views/stationEdit
+ * @requires {@link core/event}
+ * @requires {@link FMRadio/models/presets}
+ * @requires {@link FMRadio/models/stationFiles}
+ * @requires {@link FMRadio/models/stations}
+ * @requires {@link FMRadio/views/popup}
+ * @requires {@link FMRadio/views/snackbar}
+ * @namespace FMRadio/views/stationEdit
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/stationEdit',
+    requires: [
+        'core/event',
+        'models/presets',
+        'models/stationFiles',
+        'models/stations',
+        'views/popup',
+        'views/snackbar'
+    ],
+    def: function viewsStationEdit(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Presets module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            presets = req.models.presets,
+
+            /**
+             * Station files module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stationFiles = req.models.stationFiles,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Popup module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            popup = req.views.popup,
+
+            /**
+             * Snackbar module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            snackbar = req.views.snackbar,
+
+            /**
+             * Id of the page with station list.
+             *
+             * @private
+             * @const {string}
+             */
+            PAGE_ID = 'stations-page',
+
+            /**
+             * Class of the station checkbox.
+             *
+             * @private
+             * @const {string}
+             */
+            CHECK_CLASS = 'station-select-check',
+
+            /**
+             * Station list element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            stationList = document.getElementById('station-list'),
+
+            /**
+             * Select all checkbox element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            selectAllCheck = document.getElementById('station-select-all'),
+
+            /**
+             * Bulk action button elements.
+             *
+             * @private
+             * @type {HTMLElement[]}
+             */
+            actionBtns = [
+                'station-bulk-delete',
+                'station-bulk-group',
+                'station-bulk-favorite',
+                'station-bulk-export'
+            ].map(function getButton(id) {
+                return document.getElementById(id);
+            }),
+
+            /**
+             * Edit mode flag.
+             *
+             * @private
+             * @type {boolean}
+             */
+            active = false,
+
+            /**
+             * Frequencies of selected stations.
+             *
+             * @private
+             * @type {number[]}
+             */
+            selected = [];
+
+        /**
+         * Returns 'true' if edit mode is on, 'false' otherwise.
+         *
+         * @memberof FMRadio/views/stationEdit
+         * @public
+         * @returns {boolean}
+         */
+        function isActive() {
+            return active;
+        }
+
+        /**
+         * Returns 'true' if station is selected, 'false' otherwise.
+         *
+         * @memberof FMRadio/views/stationEdit
+         * @public
+         * @param {number} frequency Station frequency.
+         * @returns {boolean}
+         */
+        function isSelected(frequency) {
+            return selected.indexOf(frequency) !== -1;
+        }
+
+        /**
+         * Returns frequencies of stations displayed on the list.
+         *
+         * @private
+         * @returns {number[]}
+         */
+        function getDisplayed() {
+            var displayed = [];
+
+            [].forEach.call(
+                stationList.getElementsByClassName(CHECK_CLASS),
+                function addFrequency(check) {
+                    var frequency = Number(check.value);
+
+                    if (displayed.indexOf(frequency) === -1) {
+                        displayed.push(frequency);
+                    }
+                }
+            );
+            return displayed;
+        }
+
+        /**
+         * Returns frequencies of selected stations which are displayed.
+         * Stations hidden by the group filter are not affected by actions.
+         *
+         * @private
+         * @returns {number[]}
+         */
+        function getSelected() {
+            var displayed = getDisplayed();
+
+            return selected.filter(function isDisplayed(frequency) {
+                return displayed.indexOf(frequency) !== -1;
+            });
+        }
+
+        /**
+         * Updates select all checkbox and action buttons state.
+         *
+         * @memberof FMRadio/views/stationEdit
+         * @public
+         */
+        function refresh() {
+            var count = getSelected().length;
+
+            selectAllCheck.checked = count > 0 &&
+                count === getDisplayed().length;
+            actionBtns.forEach(function setupButton(button) {
+                if (count) {
+                    tau.widget.Button(button).enable();
+                } else {
+                    tau.widget.Button(button).disable();
+                }
+            });
+        }
+
+        /**
+         * Turns edit mode on or off.
+         * Selection is cleared in both cases.
+         *
+         * @private
+         * @param {boolean} value Edit mode flag.
+         * @fires views.stationEdit.changed
+         */
+        function setActive(value) {
+            active = value;
+            selected = [];
+            document.getElementById('station-edit-button').textContent =
+                active ? 'Done' : 'Edit';
+            document.getElementById('station-edit-bar').classList
+                .toggle('hidden', !active);
+            document.getElementById('stations-footer').classList
+                .toggle('hidden', active);
+            e.fire('changed');
+        }
+
+        /**
+         * Leaves edit mode after bulk action.
+         *
+         * @private
+         * @fires views.stationEdit.refreshStation
+         */
+        function finishAction() {
+            setActive(false);
+            e.fire('refreshStation');
+        }
+
+        /**
+         * Returns text describing number of stations.
+         *
+         * @private
+         * @param {number} count Number of stations.
+         * @returns {string}
+         */
+        function describeCount(count) {
+            return count + (count === 1 ? ' station' : ' stations');
+        }
+
+        /**
+         * Asks for confirmation and removes selected stations.
+         * Removal can be undone from the snackbar.
+         *
+         * @private
+         */
+        function onDeleteBtnClick() {
+            var list = getSelected();
+
+            popup.showPopup(PAGE_ID, popup.POPUP_TYPES.TEXT, {
+                title: 'Remove stations',
+                text: 'Remove ' + describeCount(list.length) + '?',
+                btnYesText: 'Yes',
+                btnYesCallback: function removeSelected() {
+                    stations.remove(list);
+                    finishAction();
+                },
+                btnNoText: 'No'
+            });
+        }
+
+        /**
+         * Asks for group name and moves selected stations to the group.
+         * Empty name removes stations from all groups.
+         *
+         * @private
+         */
+        function onGroupBtnClick() {
+            var list = getSelected();
+
+            popup.showPopup(PAGE_ID, popup.POPUP_TYPES.INPUT, {
+                title: 'Move ' + describeCount(list.length) + ' to group',
+                btnYesText: 'Move',
+                btnYesCallback: function moveSelected(name) {
+                    name = name.trim();
+                    stations.setGroups(list, name ? [name] : []);
+                    finishAction();
+                },
+                btnNoText: 'Cancel',
+                input: '',
+                validator: function isValid(name) {
+                    name = name.trim();
+                    return name.indexOf(',') === -1 &&
+                        name.length <= stations.GROUP_NAME_LENGTH_MAX;
+                },
+                inputErrorText: 'Group name length should be at most ' +
+                    stations.GROUP_NAME_LENGTH_MAX + ', without commas'
+            });
+        }
+
+        /**
+         * Asks for confirmation and assigns selected stations
+         * to free preset slots.
+         *
+         * @private
+         */
+        function onFavoriteBtnClick() {
+            var list = getSelected();
+
+            popup.showPopup(PAGE_ID, popup.POPUP_TYPES.TEXT, {
+                title: 'Add to favorites',
+                text: 'Add ' + describeCount(list.length) +
+                    ' to free preset slots?',
+                btnYesText: 'Yes',
+                btnYesCallback: function addSelected() {
+                    var added = presets.assignMany(list);
+
+                    finishAction();
+                    snackbar.show(describeCount(added) +
+                        ' added to favorites');
+                },
+                btnNoText: 'No'
+            });
+        }
+
+        /**
+         * Asks for file name and exports selected stations as JSON.
+         *
+         * @private
+         */
+        function onExportBtnClick() {
+            var list = getSelected();
+
+            popup.showPopup(PAGE_ID, popup.POPUP_TYPES.INPUT, {
+                title: 'Export ' + describeCount(list.length),
+                btnYesText: 'Export',
+                btnYesCallback: function exportSelected(name) {
+                    stationFiles.exportToFile(
+                        name.trim() + '.' + stationFiles.FORMATS.JSON,
+                        stations.getStationList().filter(
+                            function isListed(station) {
+                                return list.indexOf(station.frequency) !== -1;
+                            }
+                        ),
+                        function onExported(path) {
+                            snackbar.show('Stations exported to ' + path);
+                        },
+                        function onError(error) {
+                            snackbar.show('Export failed. ' + error.message);
+                        }
+                    );
+                    finishAction();
+                },
+                btnNoText: 'Cancel',
+                input: 'selected-stations',
+                validator: function isValid(name) {
+                    return /^[\w\- ]+$/.test(name.trim());
+                },
+                inputErrorText: 'File name may contain letters, digits, ' +
+                    'spaces, dashes and underscores'
+            });
+        }
+
+        /**
+         * Updates selection when station checkbox is toggled.
+         * Copies of the station in other groups follow the checkbox.
+         *
+         * @private
+         * @param {Event} event Change event.
+         */
+        function onStationListChange(event) {
+            var check = event.target,
+                frequency = Number(check.value);
+
+            if (!check.classList.contains(CHECK_CLASS)) {
+                return;
+            }
+            selected = selected.filter(function isOther(value) {
+                return value !== frequency;
+            });
+            if (check.checked) {
+                selected.push(frequency);
+            }
+            [].forEach.call(
+                stationList.getElementsByClassName(CHECK_CLASS),
+                function syncCheck(other) {
+                    if (Number(other.value) === frequency) {
+                        other.checked = check.checked;
+                    }
+                }
+            );
+            refresh();
+        }
+
+        /**
+         * Selects all displayed stations or clears selection.
+         *
+         * @private
+         * @fires views.stationEdit.changed
+         */
+        function onSelectAllChange() {
+            selected = selectAllCheck.checked ? getDisplayed() : [];
+            e.fire('changed');
+        }
+
+        /**
+         * Binds events.
+         *
+         * @private
+         */
+        function bindEvents() {
+            var actions = [
+                onDeleteBtnClick,
+                onGroupBtnClick,
+                onFavoriteBtnClick,
+                onExportBtnClick
+            ];
+
+            actionBtns.forEach(function bindButton(button, i) {
+                button.addEventListener('click', actions[i]);
+            });
+            document.getElementById('station-edit-button')
+                .addEventListener('click', function toggle() {
+                    setActive(!active);
+                });
+            document.getElementById(PAGE_ID)
+                .addEventListener('pagehide', function leave() {
+                    if (active) {
+                        setActive(false);
+                    }
+                });
+            stationList.addEventListener('change', onStationListChange);
+            selectAllCheck.addEventListener('change', onSelectAllChange);
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/stationEdit
+         * @public
+         */
+        function init() {
+            bindEvents();
+        }
+
+        return {
+            init: init,
+            isActive: isActive,
+            isSelected: isSelected,
+            refresh: refresh
+        };
+    }
+});
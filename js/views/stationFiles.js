@@ -0,0 +1,354 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, tau, document*/
+
+/**
+ * Station files module.
+ * Exports station list to file and imports stations from file
+ * letting user resolve conflicts with saved stations.
+ *
+ * @module views/stationFiles
+ * @requires {@link core/event}
+ * @requires {@link core/template}
+ * @requires {@link FMRadio/models/stationFiles}
+ * @requires {@link FMRadio/models/stations}
+ * @requires {@link FMRadio/views/popup}
+ * @namespace FMRadio/views/stationFiles
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/stationFiles',
+    requires: [
+        'core/event',
+        'core/template',
+        'models/stationFiles',
+        'models/stations',
+        'views/popup'
+    ],
+    def: function viewsStationFiles(req) {
+        'use strict';
+
+        /**
+         * Event module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var e = req.core.event,
+
+            /**
+             * Template module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            tpl = req.core.template,
+
+            /**
+             * Station files module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stationFiles = req.models.stationFiles,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Popup module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            popup = req.views.popup,
+
+            /**
+             * Station file list element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            fileList = document.getElementById('station-files-list'),
+
+            /**
+             * Import entry list element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            importList = document.getElementById('station-import-list'),
+
+            /**
+             * Entries of the reviewed import.
+             *
+             * @private
+             * @type {object[]}
+             */
+            entries = [];
+
+        /**
+         * Shows popup with given message on given page.
+         *
+         * @private
+         * @param {string} pageId Page id.
+         * @param {string} message Message.
+         * @param {function} [callback] Called when popup is closed.
+         */
+        function showMessage(pageId, message, callback) {
+            popup.showPopup(pageId, popup.POPUP_TYPES.TEXT, {
+                title: 'Station files',
+                btnYesText: 'OK',
+                exitCallback: callback,
+                text: message
+            });
+        }
+
+        /**
+         * Displays station files found in documents directory.
+         *
+         * @private
+         */
+        function displayFiles() {
+            var empty = document.getElementById('station-files-empty');
+
+            fileList.innerHTML = '';
+            empty.classList.add('hidden');
+            stationFiles.listFiles(function onList(names) {
+                empty.classList.toggle('hidden', names.length > 0);
+                fileList.innerHTML = tpl.get('stationFileItem', {
+                    arr: names.map(function toItem(name) {
+                        return {name: name};
+                    })
+                });
+                tau.engine.createWidgets(fileList);
+                tau.widget.Listview(fileList).refresh();
+            }, function onError() {
+                empty.classList.remove('hidden');
+            });
+        }
+
+        /**
+         * Returns selected export format.
+         *
+         * @private
+         * @returns {string}
+         */
+        function getSelectedFormat() {
+            var csv = document.getElementById('station-files-csv');
+
+            return csv.checked ?
+                    stationFiles.FORMATS.CSV : stationFiles.FORMATS.JSON;
+        }
+
+        /**
+         * Exports saved stations to file of selected format.
+         *
+         * @private
+         */
+        function onExportBtnClick() {
+            var name = document.getElementById('station-files-name')
+                    .value.trim();
+
+            if (!/^[\w\- ]+$/.test(name)) {
+                showMessage('station-files-page',
+                    'File name may contain letters, digits, spaces, ' +
+                    'dashes and underscores.');
+                return;
+            }
+            stationFiles.exportToFile(
+                name + '.' + getSelectedFormat(),
+                stations.getStationList(),
+                function onExported(path) {
+                    showMessage('station-files-page',
+                        'Stations exported to ' + path + '.');
+                    displayFiles();
+                },
+                function onError(error) {
+                    showMessage('station-files-page',
+                        'Export failed. ' + error.message);
+                }
+            );
+        }
+
+        /**
+         * Returns import entry values displayed on the list.
+         *
+         * @private
+         * @param {object} entry Import entry.
+         * @param {number} index Entry index.
+         * @returns {object}
+         */
+        function toListItem(entry, index) {
+            var conflict = entry.conflict;
+
+            return {
+                index: index,
+                name: entry.station.name,
+                frequency: entry.station.frequency,
+                hasConflict: conflict !== null,
+                conflictName: conflict ? conflict.name : '',
+                conflictFrequency: conflict ? conflict.frequency : 0,
+                canKeepBoth: entry.canKeepBoth,
+                onlyOverwrite: conflict !== null && !entry.canKeepBoth
+            };
+        }
+
+        /**
+         * Shows stations read from file to be reviewed.
+         *
+         * @private
+         * @param {object} result Stations and number of skipped entries.
+         */
+        function onFileRead(result) {
+            if (!result.stations.length) {
+                showMessage('station-files-page',
+                    'No station in the band was found in the file.');
+                return;
+            }
+
+            entries = stationFiles.prepareImport(result.stations);
+            document.getElementById('station-import-summary').innerHTML =
+                entries.length + ' stations read, ' + result.skipped +
+                ' out of the band or off its channels skipped.';
+            importList.innerHTML = tpl.get('importEntryItem', {
+                arr: entries.map(toListItem)
+            });
+            tau.changePage('#station-import-page');
+        }
+
+        /**
+         * Reads clicked station file.
+         *
+         * @private
+         * @param {Event} event Click event.
+         */
+        function onFileListClick(event) {
+            var element = event.target;
+
+            while (element && !(element.dataset && element.dataset.file)) {
+                element = element.parentNode;
+            }
+            if (!element) {
+                return;
+            }
+            stationFiles.importFromFile(
+                element.dataset.file,
+                popup.STATION_NAME_LENGTH_MAX,
+                onFileRead,
+                function onError(error) {
+                    showMessage('station-files-page',
+                        'File cannot be read. ' + error.message);
+                }
+            );
+        }
+
+        /**
+         * Updates resolution of the entry when its select changes.
+         *
+         * @private
+         * @param {Event} event Change event.
+         */
+        function onImportListChange(event) {
+            var select = event.target,
+                entry = entries[Number(select.dataset.index)];
+
+            if (entry) {
+                entry.resolution = select.value;
+            }
+        }
+
+        /**
+         * Saves imported stations and shows station list.
+         *
+         * @private
+         * @fires views.stationFiles.refreshStation
+         */
+        function onImportBtnClick() {
+            var count = stationFiles.applyImport(entries,
+                    popup.STATION_NAME_LENGTH_MAX);
+
+            entries = [];
+            e.fire('refreshStation');
+            showMessage('station-import-page',
+                count + ' stations imported.',
+                function showStations() {
+                    tau.changePage('#stations-page');
+                });
+        }
+
+        /**
+         * Prepares import page to be shown.
+         *
+         * @private
+         */
+        function onImportPageBeforeShow() {
+            tau.engine.createWidgets(importList);
+            tau.widget.Listview(importList).refresh();
+        }
+
+        /**
+         * Binds events.
+         *
+         * @private
+         */
+        function bindEvents() {
+            var page = document.getElementById('station-files-page'),
+                importPage = document.getElementById('station-import-page'),
+                exportBtn = document.getElementById(
+                    'station-files-export-button'
+                ),
+                importBtn = document.getElementById(
+                    'station-import-save-button'
+                ),
+                cancelBtn = document.getElementById(
+                    'station-import-cancel-button'
+                );
+
+            page.addEventListener('pagebeforeshow', displayFiles);
+            importPage.addEventListener('pagebeforeshow',
+                onImportPageBeforeShow);
+            exportBtn.addEventListener('click', onExportBtnClick);
+            fileList.addEventListener('click', onFileListClick);
+            importList.addEventListener('change', onImportListChange);
+            importBtn.addEventListener('click', onImportBtnClick);
+            cancelBtn.addEventListener('click', function cancel() {
+                entries = [];
+                tau.changePage('#station-files-page');
+            });
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/stationFiles
+         * @public
+         */
+        function init() {
+            bindEvents();
+        }
+
+        return {
+            init: init
+        };
+    }
+});
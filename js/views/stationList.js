@@ -22,8 +22,13 @@
  * @module views/stationList
  * @requires {@link core/event}
  * @requires {@link core/template}
+ * @requires {@link FMRadio/models/bandPlan}
+ * @requires {@link FMRadio/models/stationOrder}
  * @requires {@link FMRadio/models/stations}
  * @requires {@link FMRadio/views/popup}
+ * @requires {@link FMRadio/views/presets}
+ * @requires {@link FMRadio/views/stationDetail}
+ * @requires {@link FMRadio/views/stationEdit}
  * @namespace FMRadio/views/stationList
  * @memberof FMRadio/views
  */
@@ -32,8 +37,13 @@ define({
     requires: [
         'core/event',
         'core/template',
+        'models/bandPlan',
+        'models/stationOrder',
         'models/stations',
-        'views/popup'
+        'views/popup',
+        'views/presets',
+        'views/stationDetail',
+        'views/stationEdit'
     ],
     def: function viewsStationList(req) {
         'use strict';
@@ -54,6 +64,14 @@ define({
              */
             tpl = req.core.template,
 
+            /**
+             * Band plan module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            bandPlan = req.models.bandPlan,
+
             /**
              * Popup module object.
              *
@@ -70,6 +88,38 @@ define({
              */
             stations = req.models.stations,
 
+            /**
+             * Station order module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stationOrder = req.models.stationOrder,
+
+            /**
+             * Presets view module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            presetsView = req.views.presets,
+
+            /**
+             * Station detail module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stationDetail = req.views.stationDetail,
+
+            /**
+             * Station edit module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stationEdit = req.views.stationEdit,
+
             /**
              * Rename icon class value.
              *
@@ -86,6 +136,22 @@ define({
              */
             REMOVE_ICON_CLASS = 'ui-icon-delete',
 
+            /**
+             * Preset icon class.
+             *
+             * @private
+             * @const {string}
+             */
+            PRESET_ICON_CLASS = 'ui-icon-preset',
+
+            /**
+             * Groups icon class.
+             *
+             * @private
+             * @const {string}
+             */
+            GROUPS_ICON_CLASS = 'ui-icon-groups',
+
             /**
              * Station list element.
              *
@@ -94,6 +160,54 @@ define({
              */
             stationList = document.getElementById('station-list'),
 
+            /**
+             * Group filter element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            groupFilter = document.getElementById('station-group-filter'),
+
+            /**
+             * Order select element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            orderSelect = document.getElementById('station-order'),
+
+            /**
+             * Reorder button element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            reorderBtn = document.getElementById('station-reorder-button'),
+
+            /**
+             * Search input element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            searchInput = document.getElementById('station-search'),
+
+            /**
+             * Reorder mode flag.
+             *
+             * @private
+             * @type {boolean}
+             */
+            reordering = false,
+
+            /**
+             * Displayed group or null to display all stations.
+             *
+             * @private
+             * @type {string}
+             */
+            displayedGroup = null,
+
             /**
              * Currently edited station frequency.
              *
@@ -103,15 +217,21 @@ define({
             stationEditFreq = 0;
 
         /**
-         * Toggles remove button state.
+         * Toggles remove and clean up buttons state.
          *
          * @private
          * @fires views.stationList.refreshStationButtons
          */
         function setupRemoveButton() {
             var removeAllButton = document.getElementById('remove-all-button'),
+                duplicatesButton = document.getElementById('duplicates-button'),
                 stationsCount = stations.getStationList().length;
 
+            if (stationsCount > 1) {
+                tau.widget.Button(duplicatesButton).enable();
+            } else {
+                tau.widget.Button(duplicatesButton).disable();
+            }
             if (stationsCount) {
                 tau.widget.Button(removeAllButton).enable();
             } else {
@@ -121,43 +241,199 @@ define({
         }
 
         /**
-         * Displays station list.
+         * Returns station values displayed on the list.
+         * Frequency is shown with precision of the band plan, average
+         * reception quality in percent.
+         *
+         * @private
+         * @param {object} station Station.
+         * @returns {object}
+         */
+        function toListItem(station) {
+            return {
+                name: station.name,
+                frequency: station.frequency,
+                frequencyText: bandPlan.format(station.frequency),
+                genre: station.genre,
+                logo: station.logo,
+                color: station.color,
+                hasQuality: !!station.qualitySamples,
+                quality: Math.round((station.quality || 0) * 100),
+                selected: stationEdit.isSelected(station.frequency)
+            };
+        }
+
+        /**
+         * Returns HTML of the stations.
+         * Stations are selectable in edit mode.
+         *
+         * @private
+         * @param {object[]} list Stations.
+         * @returns {string}
+         */
+        function renderItems(list) {
+            var template = stationEdit.isActive() ?
+                    'stationSelectItem' : 'stationListItem';
+
+            return tpl.get(template, {arr: list.map(toListItem)});
+        }
+
+        /**
+         * Returns HTML of the stations with group header.
+         *
+         * @private
+         * @param {string} title Group title.
+         * @param {object[]} list Stations.
+         * @returns {string}
+         */
+        function renderGroup(title, list) {
+            if (!list.length) {
+                return '';
+            }
+            return tpl.get('listHeader', {title: title}) + renderItems(list);
+        }
+
+        /**
+         * Returns HTML of all stations divided by groups.
+         * Stations belonging to several groups are shown in each of them.
+         *
+         * @private
+         * @param {string[]} groups Group names.
+         * @returns {string}
+         */
+        function renderAllGroups(groups) {
+            var ungrouped = stations.query()
+                    .filter(function hasNoGroup(station) {
+                        return !(station.groups && station.groups.length);
+                    });
+
+            return groups.map(function renderNamedGroup(group) {
+                return renderGroup(group, stations.query({group: group}));
+            }).join('') + renderGroup('No group', ungrouped);
+        }
+
+        /**
+         * Displays group filter options.
+         * Filter is reset if displayed group no longer exists.
+         *
+         * @private
+         * @param {string[]} groups Group names.
+         */
+        function displayGroupFilter(groups) {
+            if (groups.indexOf(displayedGroup) === -1) {
+                displayedGroup = null;
+            }
+            groupFilter.innerHTML = tpl.get('groupOption', {
+                arr: [{value: '', label: 'All stations'}].concat(
+                    groups.map(function toOption(group) {
+                        return {
+                            value: group,
+                            label: group,
+                            selected: group === displayedGroup
+                        };
+                    })
+                )
+            });
+        }
+
+        /**
+         * Displays stations matching the search text and group filter.
+         * All stations are shown under group headers if groups exist,
+         * nothing is searched and stations are not in custom order.
          *
          * @private
          */
         function displayStations() {
-            var list = stations.getStationList();
+            var groups = stations.getGroupNames(),
+                text = searchInput.value,
+                isCustom = stationOrder.getMode() === stationOrder.MODES.CUSTOM;
 
             setupRemoveButton();
-
-            stationList.innerHTML = tpl.get('stationListItem', {'arr': list});
+            displayGroupFilter(groups);
+            orderSelect.value = stationOrder.getMode();
+            reorderBtn.classList.toggle('hidden',
+                !isCustom || stationEdit.isActive());
+
+            if (groups.length && displayedGroup === null && !isCustom &&
+                    !text) {
+                stationList.innerHTML = renderAllGroups(groups);
+            } else {
+                stationList.innerHTML = renderItems(stations.query({
+                    text: text,
+                    group: displayedGroup
+                }));
+            }
             tau.engine.createWidgets(stationList);
             tau.widget.Listview(stationList).refresh();
+            stationEdit.refresh();
         }
 
         /**
-         * Edits station name on the list.
+         * Displays stations of the group chosen in the filter.
          *
          * @private
-         * @param {string} name New station name.
-         * @fires views.stationList.refreshStation
          */
-        function updateName(name) {
-            var i = 0,
-                children = stationList.children,
-                childrenLen = children.length,
-                child = null;
-
-            for (i = 0; i < childrenLen; i += 1) {
-                child = children[i];
-                if (Number(child.dataset.frequency) === stationEditFreq) {
-                    child.getElementsByClassName('station-name')[0]
-                        .innerHTML = name;
-                    break;
-                }
+        function onGroupFilterChange() {
+            displayedGroup = groupFilter.value || null;
+            displayStations();
+        }
+
+        /**
+         * Changes order of the stations.
+         *
+         * @private
+         */
+        function onOrderChange() {
+            stationOrder.setMode(orderSelect.value);
+            displayStations();
+        }
+
+        /**
+         * Shows or hides search field.
+         * Search is cleared when the field is hidden.
+         *
+         * @private
+         */
+        function onSearchBtnClick() {
+            var searchBar = document.getElementById('station-search-bar');
+
+            if (searchBar.classList.toggle('hidden')) {
+                searchInput.value = '';
+                displayStations();
+            } else {
+                searchInput.focus();
+            }
+        }
+
+        /**
+         * Turns reorder mode on or off.
+         * Order of the displayed stations is stored when reorder mode
+         * is turned off. List is not displayed again, because it is
+         * already in the new order.
+         *
+         * @private
+         */
+        function toggleReorder() {
+            var frequencies = [];
+
+            reordering = !reordering;
+            tau.widget.Listview(stationList).toggleDragMode();
+            reorderBtn.textContent = reordering ? 'Done' : 'Reorder';
+            document.getElementById('station-list-controls').classList
+                .toggle('hidden', reordering);
+            document.getElementById('station-edit-button').classList
+                .toggle('hidden', reordering);
+
+            if (!reordering) {
+                frequencies = [].map.call(
+                    stationList.querySelectorAll('[data-frequency]'),
+                    function toFrequency(item) {
+                        return Number(item.dataset.frequency);
+                    }
+                );
+                stationOrder.reorder(stations.getStationList(), frequencies);
+                e.fire('refreshStationButtons');
             }
-            stations.save(name, stationEditFreq, true);
-            e.fire('refreshStation');
         }
 
         /**
@@ -167,24 +443,68 @@ define({
          * @fires views.stationList.refreshStation
          */
         function remove() {
-            var i = 0,
-                children = stationList.children,
-                childrenLen = children.length,
-                child = null;
-
-            for (i = 0; i < childrenLen; i += 1) {
-                child = children[i];
-                if (Number(child.dataset.frequency) === stationEditFreq) {
-                    child.parentNode.removeChild(child);
-                    break;
-                }
-            }
-
             stations.remove(stationEditFreq);
-            setupRemoveButton();
+            displayStations();
             e.fire('refreshStation');
         }
 
+        /**
+         * Returns group names typed as comma separated list
+         * or null if any name is too long.
+         *
+         * @private
+         * @param {string} text Comma separated group names.
+         * @returns {string[]|null}
+         */
+        function parseGroupNames(text) {
+            var names = [];
+
+            text.split(',').forEach(function addName(name) {
+                name = name.trim();
+                if (name && names.indexOf(name) === -1) {
+                    names.push(name);
+                }
+            });
+            return names.every(function isValid(name) {
+                return name.length <= stations.GROUP_NAME_LENGTH_MAX;
+            }) ? names : null;
+        }
+
+        /**
+         * Saves groups of the edited station.
+         *
+         * @private
+         * @param {string} text Comma separated group names.
+         * @fires views.stationList.refreshStationButtons
+         */
+        function updateGroups(text) {
+            stations.setGroups(stationEditFreq, parseGroupNames(text));
+            displayStations();
+            e.fire('refreshStationButtons');
+        }
+
+        /**
+         * Shows popup with groups of the station.
+         *
+         * @private
+         * @param {number} frequency Station frequency.
+         */
+        function showGroupsPopup(frequency) {
+            stationEditFreq = frequency;
+            popup.showPopup('stations-page', popup.POPUP_TYPES.INPUT, {
+                title: 'Groups, comma separated',
+                btnYesText: 'Save',
+                btnYesCallback: updateGroups,
+                btnNoText: 'Cancel',
+                input: (stations.getStation(frequency).groups || []).join(', '),
+                validator: function isValid(text) {
+                    return parseGroupNames(text) !== null;
+                },
+                inputErrorText: 'Group name length should be at most ' +
+                    stations.GROUP_NAME_LENGTH_MAX
+            });
+        }
+
         /**
          * Removes all items from the list.
          *
@@ -211,6 +531,24 @@ define({
             });
         }
 
+        /**
+         * Shows page with duplicate stations.
+         *
+         * @private
+         */
+        function onDuplicatesBtnClick() {
+            tau.changePage('#duplicates-page');
+        }
+
+        /**
+         * Shows page with station files.
+         *
+         * @private
+         */
+        function onStationFilesBtnClick() {
+            tau.changePage('#station-files-page');
+        }
+
         /**
          * Returns clicked HTML list element.
          *
@@ -232,6 +570,17 @@ define({
             return clickedLi;
         }
 
+        /**
+         * Returns 'true' if list items can be clicked, 'false' in edit
+         * and reorder mode.
+         *
+         * @private
+         * @returns {boolean}
+         */
+        function isBrowsing() {
+            return !reordering && !stationEdit.isActive();
+        }
+
         /**
          * Handles click on list element.
          *
@@ -242,23 +591,19 @@ define({
         function onStationListClick(event) {
             var target = event.target,
                 clickedLi = findClickedListElement(target),
-                frequency = Number(clickedLi.dataset.frequency),
-                name = clickedLi.getElementsByClassName('station-name')[0]
-                    .innerHTML.trim();
+                frequency = 0;
+
+            if (clickedLi === null || !isBrowsing()) {
+                return;
+            }
+            frequency = Number(clickedLi.dataset.frequency);
 
             if (target.classList.contains(RENAME_ICON_CLASS)) {
-                stationEditFreq = frequency;
-                popup.showPopup('stations-page', popup.POPUP_TYPES.INPUT, {
-                    title: 'Station name',
-                    btnYesText: 'Save',
-                    btnYesCallback: updateName,
-                    btnNoText: 'Cancel',
-                    input: name,
-                    validator: popup.nameValidator,
-                    inputErrorText: 'Station name length should be between ' +
-                                        popup.STATION_NAME_LENGTH_MIN +
-                                        ' and ' + popup.STATION_NAME_LENGTH_MAX
-                });
+                stationDetail.show(frequency);
+            } else if (target.classList.contains(PRESET_ICON_CLASS)) {
+                presetsView.showAssignPopup('stations-page', frequency);
+            } else if (target.classList.contains(GROUPS_ICON_CLASS)) {
+                showGroupsPopup(frequency);
             } else if (target.classList.contains(REMOVE_ICON_CLASS)) {
                 stationEditFreq = frequency;
                 popup.showPopup('stations-page', popup.POPUP_TYPES.TEXT, {
@@ -281,11 +626,34 @@ define({
          */
         function bindEvents() {
             var page = document.getElementById('stations-page'),
-                removeAllBtn = document.getElementById('remove-all-button');
+                removeAllBtn = document.getElementById('remove-all-button'),
+                duplicatesBtn = document.getElementById('duplicates-button'),
+                stationFilesBtn = document.getElementById(
+                    'station-files-button'
+                );
 
             page.addEventListener('pagebeforeshow', displayStations);
+            page.addEventListener('pagebeforehide', function leave() {
+                if (reordering) {
+                    toggleReorder();
+                }
+            });
             removeAllBtn.addEventListener('click', onRemoveAllBtnClick);
+            duplicatesBtn.addEventListener('click', onDuplicatesBtnClick);
+            stationFilesBtn.addEventListener('click', onStationFilesBtnClick);
             stationList.addEventListener('click', onStationListClick);
+            groupFilter.addEventListener('change', onGroupFilterChange);
+            orderSelect.addEventListener('change', onOrderChange);
+            searchInput.addEventListener('input', displayStations);
+            document.getElementById('station-search-button')
+                .addEventListener('click', onSearchBtnClick);
+            reorderBtn.addEventListener('click', toggleReorder);
+
+            e.listeners({
+                'views.stationEdit.changed': displayStations,
+                'models.history.undone': displayStations,
+                'models.history.redone': displayStations
+            });
         }
 
         /**
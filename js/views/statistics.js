@@ -0,0 +1,265 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global define, document*/
+
+/**
+ * Statistics module.
+ * Shows charts of the listening time.
+ *
+ * @module views/statistics
+ * @requires {@link core/text}
+ * @requires {@link FMRadio/models/sessions}
+ * @requires {@link FMRadio/models/stations}
+ * @requires {@link FMRadio/models/statistics}
+ * @requires {@link FMRadio/views/charts}
+ * @namespace FMRadio/views/statistics
+ * @memberof FMRadio/views
+ */
+define({
+    name: 'views/statistics',
+    requires: [
+        'core/text',
+        'models/sessions',
+        'models/stations',
+        'models/statistics',
+        'views/charts'
+    ],
+    def: function viewsStatistics(req) {
+        'use strict';
+
+        /**
+         * Text module object.
+         *
+         * @private
+         * @type {Module}
+         */
+        var text = req.core.text,
+
+            /**
+             * Sessions module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            sessions = req.models.sessions,
+
+            /**
+             * Stations module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            stations = req.models.stations,
+
+            /**
+             * Statistics module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            statistics = req.models.statistics,
+
+            /**
+             * Charts module object.
+             *
+             * @private
+             * @type {Module}
+             */
+            charts = req.views.charts,
+
+            /**
+             * Id of the page.
+             *
+             * @private
+             * @const {string}
+             */
+            PAGE_ID = 'statistics-page',
+
+            /**
+             * Number of stations shown on top station charts.
+             *
+             * @private
+             * @const {number}
+             */
+            TOP_COUNT = 5,
+
+            /**
+             * Maximal length of the chart label.
+             *
+             * @private
+             * @const {number}
+             */
+            LABEL_LENGTH_MAX = 12,
+
+            /**
+             * Labels of the days of week, Monday first.
+             *
+             * @private
+             * @const {string[]}
+             */
+            WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+
+            /**
+             * Period select element.
+             *
+             * @private
+             * @type {HTMLElement}
+             */
+            periodSelect = document.getElementById('statistics-period');
+
+        /**
+         * Returns chart element.
+         *
+         * @private
+         * @param {string} name Chart name.
+         * @returns {SVGElement}
+         */
+        function getChart(name) {
+            return document.getElementById('statistics-' + name);
+        }
+
+        /**
+         * Returns label shortened to fit the chart.
+         *
+         * @private
+         * @param {string} label Label.
+         * @returns {string}
+         */
+        function shorten(label) {
+            if (text.length(label) <= LABEL_LENGTH_MAX) {
+                return label;
+            }
+            return text.truncate(label, LABEL_LENGTH_MAX - 1) + '\u2026';
+        }
+
+        /**
+         * Returns bar chart item of the listened station.
+         *
+         * @private
+         * @param {object} time Frequency with name and duration.
+         * @returns {object}
+         */
+        function toBar(time) {
+            return {
+                label: shorten(time.name || time.frequency + ' MHz'),
+                value: time.duration,
+                text: sessions.formatDuration(time.duration)
+            };
+        }
+
+        /**
+         * Draws top stations of the chosen period.
+         *
+         * @private
+         */
+        function drawTopStations() {
+            charts.drawBars(getChart('top'), statistics.getTopStations(
+                Number(periodSelect.value),
+                TOP_COUNT
+            ).map(toBar));
+        }
+
+        /**
+         * Draws listening time of each day of week and each hour.
+         *
+         * @private
+         */
+        function drawDistribution() {
+            var weekdays = statistics.getWeekdayTimes();
+
+            // Days are counted from Sunday, charts start with Monday.
+            weekdays.push(weekdays.shift());
+            charts.drawColumns(getChart('weekdays'),
+                weekdays.map(function toColumn(value, index) {
+                    return {
+                        label: WEEKDAYS[index],
+                        value: value
+                    };
+                }));
+            charts.drawColumns(getChart('hours'),
+                statistics.getHourTimes().map(function toColumn(value, hour) {
+                    return {
+                        label: hour % 3 ? '' : String(hour),
+                        value: value
+                    };
+                }));
+        }
+
+        /**
+         * Draws the most used saved stations and lists never played ones.
+         *
+         * @private
+         */
+        function drawUsage() {
+            var usage = statistics.getUsage(stations.getStationList()),
+                unused = getChart('unused');
+
+            charts.drawBars(getChart('used'),
+                usage.used.slice(0, TOP_COUNT).map(toBar));
+            unused.textContent = usage.unused.map(function toName(station) {
+                return station.name;
+            }).join(', ') || 'All saved stations were played.';
+        }
+
+        /**
+         * Draws all charts.
+         *
+         * @private
+         */
+        function display() {
+            var empty = !sessions.getSessions().length;
+
+            document.getElementById('statistics-empty').classList
+                .toggle('hidden', !empty);
+            document.getElementById('statistics-charts').classList
+                .toggle('hidden', empty);
+            if (empty) {
+                return;
+            }
+            charts.drawBars(getChart('stations'),
+                statistics.getStationTimes().map(toBar));
+            drawTopStations();
+            drawDistribution();
+            drawUsage();
+        }
+
+        /**
+         * Binds events.
+         *
+         * @private
+         */
+        function bindEvents() {
+            document.getElementById(PAGE_ID)
+                .addEventListener('pagebeforeshow', display);
+            periodSelect.addEventListener('change', drawTopStations);
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof FMRadio/views/statistics
+         * @public
+         */
+        function init() {
+            bindEvents();
+        }
+
+        return {
+            init: init
+        };
+    }
+});
@@ -0,0 +1,7 @@
+{{#arr}}
+    <li class="ui-li-static li-has-multiline li-has-right-btn" data-id="{{this.id}}">
+        {{this.time}}
+        <span class="li-text-sub">{{this.description}}</span>
+        <input type="checkbox" data-role="toggleswitch" class="alarm-toggle"{{?this.enabled}} checked{{/this.enabled}}>
+    </li>
+{{/arr}}
\ No newline at end of file
@@ -0,0 +1,9 @@
+{{#arr}}
+    <li class="ui-li-static li-has-radio li-has-multiline">
+        <label>
+            <input type="radio" name="band-plan" value="{{this.id}}"{{?this.active}} checked{{/this.active}}{{?!this.supported}} disabled{{/!this.supported}}>
+            {{this.name}}
+        </label>
+        <span class="li-text-sub">{{this.description}}</span>
+    </li>
+{{/arr}}
\ No newline at end of file
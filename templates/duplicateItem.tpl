@@ -0,0 +1,9 @@
+{{#arr}}
+    <li class="ui-li-static li-has-radio li-has-multiline" data-frequency="{{this.frequency}}">
+        <label>
+            <input type="radio" name="duplicates-group-{{this.group}}" value="{{this.frequency}}"{{?this.kept}} checked{{/this.kept}}>
+            {{this.name}}
+        </label>
+        <span class="li-text-sub">{{this.frequency}} MHz{{?this.hasSignal}}, signal {{this.signal}}%{{/this.hasSignal}}</span>
+    </li>
+{{/arr}}
\ No newline at end of file
@@ -0,0 +1,3 @@
+{{#arr}}
+    <option value="{{this.value}}"{{?this.selected}} selected{{/this.selected}}>{{this.label}}</option>
+{{/arr}}
\ No newline at end of file
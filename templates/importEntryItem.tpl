@@ -0,0 +1,19 @@
+{{#arr}}
+    <li class="ui-li-static li-has-multiline">
+        {{this.name}}
+        <span class="li-text-sub">{{this.frequency}} MHz{{?this.hasConflict}}, conflicts with {{this.conflictName}} ({{this.conflictFrequency}} MHz){{/this.hasConflict}}{{?!this.hasConflict}}, new{{/!this.hasConflict}}</span>
+        {{?this.canKeepBoth}}
+        <select class="station-import-resolution" data-index="{{this.index}}">
+            <option value="skip" selected>Skip</option>
+            <option value="overwrite">Overwrite</option>
+            <option value="keep">Keep both</option>
+        </select>
+        {{/this.canKeepBoth}}
+        {{?this.onlyOverwrite}}
+        <select class="station-import-resolution" data-index="{{this.index}}">
+            <option value="skip" selected>Skip</option>
+            <option value="overwrite">Overwrite</option>
+        </select>
+        {{/this.onlyOverwrite}}
+    </li>
+{{/arr}}
\ No newline at end of file
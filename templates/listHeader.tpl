@@ -0,0 +1 @@
+<li class="ui-group-index">{{title}}</li>
\ No newline at end of file
@@ -0,0 +1,16 @@
+<div id="{{page}}-popup" class="ui-popup">
+    <div class="ui-popup-header">
+        <span id="{{page}}-popup-title"></span>
+    </div>
+    <div class="ui-popup-content popup-content-padding">
+        <div id="{{page}}-popup-text" class="popup-text"></div>
+        <div id="{{page}}-popup-progress" data-role="progressbar"></div>
+        <div id="{{page}}-popup-input-container">
+            <input id="{{page}}-popup-input" type="text">
+        </div>
+    </div>
+    <div id="{{page}}-popup-footer" class="ui-popup-footer">
+        <a class="ui-btn" id="{{page}}-popup-no-btn" data-rel="back" data-inline="true">No</a>
+        <a class="ui-btn" id="{{page}}-popup-yes-btn" data-inline="true">Yes</a>
+    </div>
+</div>
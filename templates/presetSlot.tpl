@@ -0,0 +1,6 @@
+{{#arr}}
+    <div class="preset-slot{{?this.empty}} preset-slot-empty{{/this.empty}}{{?this.active}} preset-slot-active{{/this.active}}" data-slot="{{this.number}}">
+        <span class="preset-slot-number">{{this.number}}</span>
+        {{this.label}}
+    </div>
+{{/arr}}
\ No newline at end of file
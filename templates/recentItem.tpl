@@ -0,0 +1,7 @@
+{{#arr}}
+    <li class="ui-li-static li-has-multiline{{?this.unsaved}} li-has-right-btn{{/this.unsaved}}" data-frequency="{{this.frequency}}">
+        {{this.name}}
+        <span class="li-text-sub">{{this.frequency}} MHz, {{this.time}}, {{this.duration}}</span>
+        {{?this.unsaved}}<div class="ui-btn recent-save-button" data-inline="true">Save</div>{{/this.unsaved}}
+    </li>
+{{/arr}}
\ No newline at end of file
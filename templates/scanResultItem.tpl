@@ -0,0 +1,7 @@
+{{#arr}}
+    <li class="ui-li-static li-has-checkbox li-has-multiline{{?this.playing}} scan-result-playing{{/this.playing}}" data-frequency="{{this.frequency}}">
+        <input type="checkbox" class="scan-result-check"{{?this.checked}} checked{{/this.checked}}>
+        <input type="text" class="scan-result-name" value="{{this.name}}">
+        <span class="li-text-sub">{{this.frequency}} MHz, signal {{this.quality}}%{{?this.exists}}, saved{{/this.exists}}{{?this.duplicateOf}}, duplicate of {{this.duplicateOf}} MHz{{/this.duplicateOf}}</span>
+    </li>
+{{/arr}}
\ No newline at end of file
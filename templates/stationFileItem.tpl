@@ -0,0 +1,3 @@
+{{#arr}}
+    <li class="ui-li-static" data-file="{{this.name}}">{{this.name}}</li>
+{{/arr}}
\ No newline at end of file
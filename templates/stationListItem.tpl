@@ -1,9 +1,12 @@
 {{#arr}}
-    <li class="ui-li-static li-has-multiline li-has-right-btn" data-frequency="{{this.frequency}}">
+    <li class="ui-li-static li-has-multiline li-has-right-btn" data-frequency="{{this.frequency}}"{{?this.color}} style="border-left: 6px solid {{this.color}}"{{/this.color}}>
+        {{?this.logo}}<img class="station-logo" src="{{this.logo}}">{{/this.logo}}
         <span class="station-name">
             {{this.name}}
         </span>
-        <span class="li-text-sub">{{this.frequency}} MHz</span>
+        <span class="li-text-sub">{{this.frequencyText}} MHz{{?this.genre}}, {{this.genre}}{{/this.genre}}{{?this.hasQuality}}, signal {{this.quality}}%{{/this.hasQuality}}</span>
+        <div class="ui-btn fourth-right-icon" data-inline="true" data-icon="groups" data-style="circle"></div>
+        <div class="ui-btn third-right-icon" data-inline="true" data-icon="preset" data-style="circle"></div>
         <div class="ui-btn second-right-icon" data-inline="true" data-icon="rename" data-style="circle"></div>
         <div class="ui-btn" data-inline="true" data-icon="delete" data-style="circle"></div>
     </li>
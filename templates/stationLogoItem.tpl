@@ -0,0 +1,6 @@
+{{#arr}}
+    <li class="ui-li-static" data-logo="{{this.uri}}">
+        {{?this.uri}}<img class="station-logo" src="{{this.uri}}">{{/this.uri}}
+        {{this.name}}
+    </li>
+{{/arr}}
\ No newline at end of file
@@ -0,0 +1,3 @@
+{{#arr}}
+    <option value="{{this.frequency}}"{{?this.selected}} selected{{/this.selected}}>{{this.label}}</option>
+{{/arr}}
\ No newline at end of file
@@ -0,0 +1,9 @@
+{{#arr}}
+    <li class="ui-li-static li-has-checkbox li-has-multiline" data-frequency="{{this.frequency}}">
+        <label>
+            <input type="checkbox" class="station-select-check" value="{{this.frequency}}"{{?this.selected}} checked{{/this.selected}}>
+            <span class="station-name">{{this.name}}</span>
+        </label>
+        <span class="li-text-sub">{{this.frequency}} MHz{{?this.hasQuality}}, signal {{this.quality}}%{{/this.hasQuality}}</span>
+    </li>
+{{/arr}}
\ No newline at end of file
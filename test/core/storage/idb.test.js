@@ -0,0 +1,287 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global require, Promise*/
+
+/**
+ * Migrations of core/storage/idb, run against in-memory IndexedDB.
+ * Run with: node --test test/
+ */
+
+var test = require('node:test'),
+    assert = require('assert'),
+    define = require('../../define'),
+    fakeIndexedDB = require('../../fakeIndexedDB'),
+    silentConsole = {error: function error() {
+        'use strict';
+
+        return undefined;
+    }};
+
+/**
+ * Returns new idb module instance using given IndexedDB.
+ *
+ * @param {object} indexedDB IndexedDB factory.
+ * @param {function} [fire] Receives fired events.
+ * @returns {object}
+ */
+function createIdb(indexedDB, fire) {
+    'use strict';
+
+    return define.instantiate('core/storage/idb', {
+        'core/event': {fire: fire || function ignore() {
+            return undefined;
+        }},
+        'core/window': {indexedDB: indexedDB, Promise: Promise}
+    });
+}
+
+/**
+ * Returns IndexedDB with database of version 5 holding given values,
+ * as stored by the application before migrations were added.
+ *
+ * @param {object} values Values by key.
+ * @returns {Promise} Resolved with the IndexedDB factory.
+ */
+function createVersion5(values) {
+    'use strict';
+
+    var indexedDB = fakeIndexedDB.create(),
+        idb = createIdb(indexedDB);
+
+    return idb.open().then(function write() {
+        return idb.setMany(values);
+    }).then(function getFactory() {
+        return indexedDB;
+    });
+}
+
+/**
+ * Returns stored records of the store.
+ *
+ * @param {object} indexedDB IndexedDB factory.
+ * @param {string} name Store name.
+ * @returns {object}
+ */
+function getStore(indexedDB, name) {
+    'use strict';
+
+    return indexedDB.databases.corestorage.stores[name];
+}
+
+test('steps run in version order from older database', function () {
+    'use strict';
+
+    var calls = [];
+
+    return createVersion5({a: 1}).then(function upgrade(indexedDB) {
+        var idb = createIdb(indexedDB);
+
+        /**
+         * Returns step recording its name and context versions.
+         *
+         * @param {string} name Step name.
+         * @returns {function}
+         */
+        function record(name) {
+            return function step(context) {
+                calls.push(name + ':' + context.oldVersion + '-' +
+                    context.newVersion);
+            };
+        }
+
+        idb.addMigration(8, record('8'));
+        idb.addMigration(6, record('6a'));
+        idb.addMigration(7, record('7'));
+        idb.addMigration(6, record('6b'));
+        return idb.open().then(function check() {
+            assert.deepStrictEqual(calls, ['6a:5-8', '6b:5-8', '7:5-8',
+                '8:5-8']);
+            assert.strictEqual(indexedDB.databases.corestorage.version, 8);
+            return idb.getValue('a');
+        }).then(function checkValue(value) {
+            assert.strictEqual(value, 1);
+            return indexedDB;
+        });
+    }).then(function reopen(indexedDB) {
+        var idb = createIdb(indexedDB);
+
+        calls = [];
+        idb.addMigration(6, function step6() {
+            calls.push('6');
+        });
+        idb.addMigration(9, function step9(context) {
+            calls.push('9:' + context.oldVersion);
+        });
+        return idb.open().then(function check() {
+            assert.deepStrictEqual(calls, ['9:8']);
+        });
+    });
+});
+
+test('context creates stores and indexes and transforms records',
+    function () {
+        'use strict';
+
+        return createVersion5({
+            keep: 'kept',
+            change: 'old',
+            drop: 'dropped'
+        }).then(function upgrade(indexedDB) {
+            var idb = createIdb(indexedDB);
+
+            idb.addMigration(6, function step(context) {
+                var store = context.createStore('items', {keyPath: 'id'});
+
+                context.createStore('items', {keyPath: 'other'});
+                context.createIndex('items', 'byName', 'name', {
+                    unique: true
+                });
+                context.createIndex('items', 'byName', 'other');
+                store.put({id: 'x', name: 'X'});
+                context.transform(context.keyValueStore,
+                    function transform(item) {
+                        if (item.key === 'drop') {
+                            return null;
+                        }
+                        if (item.key === 'change') {
+                            return {key: item.key, value: 'new'};
+                        }
+                        return undefined;
+                    });
+            });
+            return idb.open().then(function check() {
+                var items = getStore(indexedDB, 'items');
+
+                assert.strictEqual(items.keyPath, 'id');
+                assert.deepStrictEqual(items.indexes.byName, {
+                    keyPath: 'name',
+                    unique: true
+                });
+                assert.deepStrictEqual(items.data, {
+                    x: {id: 'x', name: 'X'}
+                });
+                return idb.getMany(['keep', 'change', 'drop']);
+            }).then(function checkValues(values) {
+                assert.deepStrictEqual(values, ['kept', 'new', undefined]);
+                return idb.collection('items').getAll();
+            }).then(function checkRecords(records) {
+                assert.deepStrictEqual(records, [{id: 'x', name: 'X'}]);
+            });
+        });
+    });
+
+test('failed step aborts upgrade and keeps stored data', function () {
+    'use strict';
+
+    var originalConsole = global.console;
+
+    global.console = silentConsole;
+    return createVersion5({a: 'stored'}).then(function upgrade(indexedDB) {
+        var idb = createIdb(indexedDB);
+
+        idb.addMigration(6, function create(context) {
+            context.createStore('added', {keyPath: 'id'});
+            context.transform(context.keyValueStore, function () {
+                return {key: 'a', value: 'changed'};
+            });
+        });
+        idb.addMigration(7, function fail(context) {
+            context.transform(context.keyValueStore, function () {
+                throw new Error('broken step');
+            });
+        });
+        return idb.open().then(function unexpected() {
+            assert.fail('open should be rejected');
+        }, function check(err) {
+            assert.strictEqual(err.name, 'AbortError');
+            assert.strictEqual(indexedDB.databases.corestorage.version, 5);
+            assert.strictEqual(getStore(indexedDB, 'added'), undefined);
+            assert.deepStrictEqual(getStore(indexedDB, 'kvstore').data, {
+                a: {key: 'a', value: 'stored'}
+            });
+        });
+    }).then(function restore() {
+        global.console = originalConsole;
+    }, function restoreAndFail(err) {
+        global.console = originalConsole;
+        throw err;
+    });
+});
+
+test('migrations are validated and cannot be added after open',
+    function () {
+        'use strict';
+
+        var idb = createIdb(fakeIndexedDB.create());
+
+        assert.throws(function addOld() {
+            idb.addMigration(5, function step() {
+                return undefined;
+            });
+        }, /Invalid migration version 5/);
+        assert.throws(function addFraction() {
+            idb.addMigration(6.5, function step() {
+                return undefined;
+            });
+        }, /Invalid migration version/);
+        return idb.open().then(function addLate() {
+            assert.throws(function add() {
+                idb.addMigration(6, function step() {
+                    return undefined;
+                });
+            }, /before the database is opened/);
+        });
+    });
+
+test('event API returns request ids carried by the events', function () {
+    'use strict';
+
+    var events = [],
+        completed = null,
+        idb = createIdb(fakeIndexedDB.create(), function fire(name, data) {
+            events.push({name: name, data: data});
+            if (name === 'completed') {
+                completed();
+            }
+        });
+
+    return idb.open().then(function request() {
+        var setId = idb.set('a', 1),
+            getId = idb.get('a'),
+            removeIds = idb.remove(['a', 'b']);
+
+        assert.strictEqual(typeof setId, 'number');
+        assert.strictEqual(typeof getId, 'number');
+        assert.strictEqual(removeIds.length, 2);
+        assert.strictEqual(typeof idb.remove('c'), 'number');
+        return new Promise(function wait(resolve) {
+            completed = resolve;
+        }).then(function check() {
+            var byId = {};
+
+            events.forEach(function addEvent(event) {
+                if (event.data) {
+                    byId[event.data.id] = event;
+                }
+            });
+            assert.strictEqual(byId[setId].name, 'write');
+            assert.strictEqual(byId[getId].name, 'read');
+            assert.strictEqual(byId[getId].data.value, 1);
+            assert.strictEqual(byId[removeIds[1]].data.key, 'b');
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global require, Promise*/
+
+/**
+ * Migration of the station list of models/stationStore from the
+ * key-value store to the stations object store, run against in-memory
+ * IndexedDB.
+ * Run with: node --test test/
+ */
+
+var test = require('node:test'),
+    assert = require('assert'),
+    define = require('../../define'),
+    fakeIndexedDB = require('../../fakeIndexedDB');
+
+/**
+ * Returns new idb module instance using given IndexedDB.
+ *
+ * @param {object} indexedDB IndexedDB factory.
+ * @returns {object}
+ */
+function createIdb(indexedDB) {
+    'use strict';
+
+    return define.instantiate('core/storage/idb', {
+        'core/event': {fire: function ignore() {
+            return undefined;
+        }},
+        'core/window': {indexedDB: indexedDB, Promise: Promise}
+    });
+}
+
+/**
+ * Returns new station store instance keeping stations in given idb
+ * module, which takes the place of the storage.
+ *
+ * @param {object} idb Idb module.
+ * @returns {object}
+ */
+function createStationStore(idb) {
+    'use strict';
+
+    return define.instantiate('models/stationStore', {
+        'core/storage': {
+            addMigration: idb.addMigration,
+            collection: idb.collection
+        },
+        'models/stationSchema': define.instantiate('models/stationSchema', {})
+    });
+}
+
+test('legacy station list is moved to records', function () {
+    'use strict';
+
+    var indexedDB = fakeIndexedDB.create(),
+        legacy = createIdb(indexedDB);
+
+    return legacy.open().then(function write() {
+        return legacy.setMany({
+            stations: JSON.stringify([
+                {name: 'First', frequency: 91.5},
+                {name: 'Duplicate', frequency: 91.5},
+                {name: 'Second', frequency: 100.1}
+            ]),
+            lastFrequency: 91.5
+        });
+    }).then(function upgrade() {
+        var idb = createIdb(indexedDB),
+            stationStore = createStationStore(idb);
+
+        return idb.open().then(function load() {
+            return stationStore.load();
+        }).then(function check(stations) {
+            var store = indexedDB.databases.corestorage.stores.stations;
+
+            assert.deepStrictEqual(stations.map(function getName(station) {
+                return station.name;
+            }).sort(), ['First', 'Second']);
+            assert.strictEqual(Object.keys(store.data).length, 2);
+            stations.forEach(function checkRecord(station) {
+                assert.deepStrictEqual(store.data[station.id], station);
+            });
+            assert.deepStrictEqual(store.indexes.frequency, {
+                keyPath: 'frequency',
+                unique: true
+            });
+            return idb.getMany(['stations', 'lastFrequency']);
+        }).then(function checkValues(values) {
+            assert.deepStrictEqual(values, [undefined, 91.5]);
+        });
+    });
+});
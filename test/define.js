@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global require, exports, global*/
+
+/**
+ * Loads application modules in Node.
+ * Module files call define, which only records the module definition.
+ * Every instantiate call runs the definition again with given modules
+ * as its requirements, so tests get fresh module state.
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    vm = require('vm'),
+    ROOT = path.join(__dirname, '..', 'js'),
+    definitions = {};
+
+global.define = function define(module) {
+    'use strict';
+
+    definitions[module.name] = module;
+};
+
+/**
+ * Returns path of the module file, core modules are kept in js/core.
+ *
+ * @param {string} name Module name.
+ * @returns {string}
+ */
+function getPath(name) {
+    'use strict';
+
+    return path.join(ROOT, name.indexOf('core') === 0 ? 'core' : '',
+        name + '.js');
+}
+
+/**
+ * Assigns value to the nested property given by path elements.
+ *
+ * @param {object} obj Object.
+ * @param {string[]} elements Path elements.
+ * @param {*} value Value.
+ */
+function assignNested(obj, elements, value) {
+    'use strict';
+
+    var key = elements.pop();
+
+    elements.forEach(function step(element) {
+        obj = obj[element] = obj[element] || {};
+    });
+    obj[key] = value;
+}
+
+/**
+ * Returns new instance of the module.
+ * Requirements are passed the same way as by the core loader.
+ *
+ * @param {string} name Module name.
+ * @param {object} modules Required modules by name.
+ * @returns {object}
+ */
+exports.instantiate = function instantiate(name, modules) {
+    'use strict';
+
+    var module = null,
+        requires = [],
+        req = {};
+
+    if (!definitions[name]) {
+        vm.runInThisContext(fs.readFileSync(getPath(name), 'utf8'), {
+            filename: getPath(name)
+        });
+    }
+    module = definitions[name];
+    requires = module.requires || [];
+
+    if (module.def.length === 1 && requires.length > 1) {
+        requires.forEach(function addRequired(required) {
+            req[required] = modules[required];
+            assignNested(req, required.split('/'), modules[required]);
+        });
+        return module.def(req);
+    }
+    return module.def.apply(null, requires.map(function get(required) {
+        return modules[required];
+    }));
+};
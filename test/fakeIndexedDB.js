@@ -0,0 +1,351 @@
+/*
+ * Copyright (c) 2014 Samsung Electronics Co., Ltd. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*global exports, setTimeout*/
+
+/**
+ * In-memory IndexedDB with the subset of the API used by
+ * core/storage/idb: versioned open with upgrade transaction, object
+ * stores with key paths and indexes, get, put, delete, clear, cursors
+ * and transactions rolled back on abort or failed request.
+ * Stored data is exposed as plain objects for assertions.
+ */
+
+/**
+ * Runs function asynchronously, like IndexedDB events.
+ *
+ * @param {function} fn Function.
+ */
+function later(fn) {
+    'use strict';
+
+    setTimeout(fn, 0);
+}
+
+/**
+ * Returns deep copy of the value, like the structured clone.
+ *
+ * @param {*} value Value.
+ * @returns {*}
+ */
+function clone(value) {
+    'use strict';
+
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Creates transaction over the database state.
+ * Transaction completes when no request is pending.
+ *
+ * @param {object} state Database state.
+ * @returns {object}
+ */
+function createTransaction(state) {
+    'use strict';
+
+    var snapshot = clone(state.stores),
+        trans = {error: null, pending: 0, finished: false};
+
+    trans.abort = function abort() {
+        if (trans.finished) {
+            return;
+        }
+        trans.finished = true;
+        state.stores = snapshot;
+        later(function fireAbort() {
+            if (trans.onabort) {
+                trans.onabort({target: trans});
+            }
+        });
+    };
+    trans.check = function check() {
+        if (trans.pending === 0 && !trans.finished) {
+            trans.finished = true;
+            later(function fireComplete() {
+                if (trans.oncomplete) {
+                    trans.oncomplete({target: trans});
+                }
+            });
+        }
+    };
+    trans.request = function request(operation) {
+        var req = {};
+
+        trans.pending += 1;
+        later(function run() {
+            trans.pending -= 1;
+            if (trans.finished) {
+                return;
+            }
+            try {
+                req.result = operation();
+            } catch (err) {
+                req.error = trans.error = err;
+                if (req.onerror) {
+                    req.onerror({target: req});
+                }
+                if (trans.onerror) {
+                    trans.onerror({target: req});
+                }
+                trans.abort();
+                return;
+            }
+            if (req.onsuccess) {
+                req.onsuccess({target: req});
+            }
+            trans.check();
+        });
+        return req;
+    };
+    trans.objectStore = function objectStore(name) {
+        if (!state.stores[name]) {
+            throw new Error('NotFoundError: ' + name);
+        }
+        return createStoreApi(state, name, trans);
+    };
+    later(trans.check);
+    return trans;
+}
+
+/**
+ * Throws if the record breaks unique index of the store.
+ *
+ * @param {object} store Store state.
+ * @param {*} key Record key.
+ * @param {object} value Record.
+ */
+function checkIndexes(store, key, value) {
+    'use strict';
+
+    Object.keys(store.indexes).forEach(function check(name) {
+        var index = store.indexes[name];
+
+        if (!index.unique) {
+            return;
+        }
+        Object.keys(store.data).forEach(function compare(other) {
+            if (other !== String(key) &&
+                    store.data[other][index.keyPath] ===
+                    value[index.keyPath]) {
+                throw new Error('ConstraintError: ' + name);
+            }
+        });
+    });
+}
+
+/**
+ * Creates object store API of the transaction.
+ *
+ * @param {object} state Database state.
+ * @param {string} name Store name.
+ * @param {object} trans Transaction.
+ * @returns {object}
+ */
+function createStoreApi(state, name, trans) {
+    'use strict';
+
+    /**
+     * Returns current state of the store.
+     *
+     * @returns {object}
+     */
+    function store() {
+        return state.stores[name];
+    }
+
+    return {
+        indexNames: {
+            contains: function contains(index) {
+                return store().indexes[index] !== undefined;
+            }
+        },
+        index: function index(indexName) {
+            return store().indexes[indexName];
+        },
+        createIndex: function createIndex(indexName, keyPath, options) {
+            store().indexes[indexName] = {
+                keyPath: keyPath,
+                unique: !!(options && options.unique)
+            };
+            return store().indexes[indexName];
+        },
+        put: function put(value, key) {
+            return trans.request(function write() {
+                var current = store(),
+                    id = current.keyPath ? value[current.keyPath] : key;
+
+                checkIndexes(current, id, value);
+                current.data[id] = clone(value);
+                return id;
+            });
+        },
+        get: function get(key) {
+            return trans.request(function read() {
+                return clone(store().data[key]);
+            });
+        },
+        'delete': function remove(key) {
+            return trans.request(function erase() {
+                delete store().data[key];
+            });
+        },
+        clear: function clear() {
+            return trans.request(function erase() {
+                store().data = {};
+            });
+        },
+        openCursor: function openCursor() {
+            var keys = Object.keys(store().data).sort(),
+                position = 0,
+                req = {};
+
+            /**
+             * Moves the cursor to the next record.
+             */
+            function step() {
+                trans.request(function move() {
+                    var key = keys[position];
+
+                    req.result = key === undefined ? null : {
+                        key: key,
+                        value: clone(store().data[key]),
+                        'continue': function next() {
+                            position += 1;
+                            step();
+                        },
+                        update: function update(value) {
+                            store().data[key] = clone(value);
+                        },
+                        'delete': function remove() {
+                            delete store().data[key];
+                        }
+                    };
+                    if (req.onsuccess) {
+                        req.onsuccess({target: req});
+                    }
+                });
+            }
+
+            step();
+            return req;
+        }
+    };
+}
+
+/**
+ * Creates database connection.
+ *
+ * @param {object} state Database state.
+ * @returns {object}
+ */
+function createDatabase(state) {
+    'use strict';
+
+    return {
+        objectStoreNames: {
+            contains: function contains(name) {
+                return state.stores[name] !== undefined;
+            }
+        },
+        createObjectStore: function createObjectStore(name, options) {
+            state.stores[name] = {
+                keyPath: options && options.keyPath,
+                indexes: {},
+                data: {}
+            };
+            return createStoreApi(state, name, state.upgrade);
+        },
+        transaction: function transaction() {
+            return createTransaction(state);
+        }
+    };
+}
+
+/**
+ * Upgrades the database in versionchange transaction.
+ *
+ * @param {object} state Database state.
+ * @param {object} req Open request.
+ * @param {number} version Requested version.
+ */
+function upgrade(state, req, version) {
+    'use strict';
+
+    var oldVersion = state.version,
+        db = createDatabase(state),
+        trans = createTransaction(state);
+
+    state.upgrade = trans;
+    state.version = version;
+    req.result = db;
+    req.transaction = trans;
+    trans.oncomplete = function onComplete() {
+        if (req.onsuccess) {
+            req.onsuccess({target: req});
+        }
+    };
+    trans.onabort = function onAbort() {
+        state.version = oldVersion;
+        req.error = {name: 'AbortError', message: 'Upgrade aborted'};
+        if (req.onerror) {
+            req.onerror({target: req});
+        }
+    };
+    try {
+        req.onupgradeneeded({
+            target: req,
+            oldVersion: oldVersion,
+            newVersion: version
+        });
+    } catch (err) {
+        trans.abort();
+    }
+}
+
+/**
+ * Creates IndexedDB factory with empty databases.
+ * Databases are available as the databases property.
+ *
+ * @returns {object}
+ */
+exports.create = function create() {
+    'use strict';
+
+    var databases = {};
+
+    return {
+        databases: databases,
+        open: function open(name, version) {
+            var req = {};
+
+            later(function run() {
+                var state = databases[name] =
+                        databases[name] || {version: 0, stores: {}};
+
+                if (version > state.version) {
+                    upgrade(state, req, version);
+                    return;
+                }
+                req.result = createDatabase(state);
+                if (req.onsuccess) {
+                    req.onsuccess({target: req});
+                }
+            });
+            return req;
+        }
+    };
+};